@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Falls back to the default only when unset or not a number, so a hedge
+// ratio band starting at 0 can be configured
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+function loadJsonFile(file) {
+    return file ? JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) : undefined;
+}
+
+// Central runtime configuration. Every value can be overridden through the
+// environment (or a local .env file).
+const config = {
+    env: process.env.NODE_ENV || 'development',
+    port: parseInt(process.env.PORT, 10) || 3000,
+
+    jwtSecret: process.env.JWT_SECRET || 'mas-hedging-super-secure-secret-key-2024',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
+
+    database: {
+        // Use ':memory:' for a throwaway database (e.g. in tests)
+        path: process.env.DATABASE_PATH || path.join(__dirname, '..', 'database', 'mas_hedging.db'),
+        migrationsDir: path.join(__dirname, '..', 'database', 'migrations')
+    },
+
+    simulator: {
+        seed: process.env.SIMULATOR_SEED || 42,
+        // Wall-clock milliseconds between recorded ticks
+        tickInterval: parseInt(process.env.MARKET_TICK_INTERVAL, 10) || 30000,
+        // Simulated seconds per wall-clock second (speeds up demos)
+        timeScale: parseFloat(process.env.SIMULATOR_TIME_SCALE) || 1,
+        // Optional JSON file with a 6x6 correlation matrix in
+        // COPPER, ALUMINUM, ZINC, NICKEL, LEAD, TIN order
+        correlation: loadJsonFile(process.env.SIMULATOR_CORRELATION_FILE)
+    },
+
+    priceFeed: {
+        // Providers in failover order, e.g. "http,file,simulator"
+        providers: (process.env.PRICE_FEED_PROVIDERS || 'simulator')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean),
+        // Days of daily history to request from the feed when market_data is empty
+        backfillDays: parseInt(process.env.PRICE_FEED_BACKFILL_DAYS, 10) || 0,
+
+        simulator: {
+            tickSeconds: (parseInt(process.env.MARKET_TICK_INTERVAL, 10) || 30000) / 1000
+        },
+        file: {
+            dir: process.env.PRICE_FEED_DIR || path.join(__dirname, '..', 'data', 'feeds'),
+            // Treat the drop directory as failed if its newest quote is older than this
+            maxAgeMs: parseInt(process.env.PRICE_FEED_FILE_MAX_AGE, 10) || 0
+        },
+        http: {
+            url: process.env.PRICE_FEED_HTTP_URL,
+            historyUrl: process.env.PRICE_FEED_HTTP_HISTORY_URL,
+            healthUrl: process.env.PRICE_FEED_HTTP_HEALTH_URL,
+            dataPath: process.env.PRICE_FEED_HTTP_DATA_PATH,
+            historyDataPath: process.env.PRICE_FEED_HTTP_HISTORY_DATA_PATH,
+            fieldMap: JSON.parse(process.env.PRICE_FEED_HTTP_FIELD_MAP || '{}'),
+            symbolMap: JSON.parse(process.env.PRICE_FEED_HTTP_SYMBOL_MAP || '{}'),
+            headers: process.env.PRICE_FEED_HTTP_API_KEY
+                ? { Authorization: `Bearer ${process.env.PRICE_FEED_HTTP_API_KEY}` }
+                : {},
+            timeout: parseInt(process.env.PRICE_FEED_HTTP_TIMEOUT, 10) || 5000,
+            retries: process.env.PRICE_FEED_HTTP_RETRIES !== undefined ? parseInt(process.env.PRICE_FEED_HTTP_RETRIES, 10) : 2,
+            retryDelay: parseInt(process.env.PRICE_FEED_HTTP_RETRY_DELAY, 10) || 500
+        }
+    },
+
+    forwardCurve: {
+        // Annual interest rate used in the cost-of-carry model
+        interestRate: parseFloat(process.env.FORWARD_INTEREST_RATE) || 0.045,
+        // Optional JSON file overriding per-metal storage/convenience-yield parameters
+        params: loadJsonFile(process.env.FORWARD_CURVE_PARAMS_FILE)
+    },
+
+    options: {
+        // Optional JSON file overriding per-metal implied volatility surface parameters
+        volParams: loadJsonFile(process.env.OPTION_VOL_PARAMS_FILE)
+    },
+
+    calendar: {
+        // Exchange weekend days and holidays ({ weekend: [6, 7], holidays: { "2026-12-25": "Christmas Day" } })
+        data: loadJsonFile(process.env.CALENDAR_FILE || path.join(__dirname, '..', 'data', 'exchange-holidays.json'))
+    },
+
+    execution: {
+        // Close positions automatically when a tick reaches their stop-loss,
+        // trailing stop or target price
+        enabled: process.env.EXECUTION_ENGINE_ENABLED !== 'false'
+    },
+
+    orders: {
+        // Fill pending limit and stop-entry orders when a tick reaches their level
+        enabled: process.env.ORDER_MATCHING_ENABLED !== 'false'
+    },
+
+    settlement: {
+        // Settle expired positions (and auto-roll them) on this schedule
+        enabled: process.env.SETTLEMENT_ENABLED !== 'false',
+        interval: parseInt(process.env.SETTLEMENT_INTERVAL, 10) || 60 * 60 * 1000,
+        // Without an official price, settle at the last market_data price only
+        // if it is from the expiry date or this many days before it
+        maxPriceAgeDays: parseInt(process.env.SETTLEMENT_MAX_PRICE_AGE_DAYS, 10) || 3
+    },
+
+    statistics: {
+        // Days of daily returns used for volatility and correlations
+        lookbackDays: parseInt(process.env.STATS_LOOKBACK_DAYS, 10) || 90,
+        // Days in the rolling realized volatility window
+        window: parseInt(process.env.STATS_VOLATILITY_WINDOW, 10) || 20,
+        // Decay factor for EWMA volatility
+        ewmaLambda: parseFloat(process.env.STATS_EWMA_LAMBDA) || 0.94,
+        // Trading days per year used to annualize daily volatility
+        tradingDays: parseInt(process.env.STATS_TRADING_DAYS, 10) || 252
+    },
+
+    risk: {
+        // Confidence levels reported for Value-at-Risk and Expected Shortfall
+        confidenceLevels: (process.env.VAR_CONFIDENCE_LEVELS || '0.95,0.99')
+            .split(',')
+            .map(level => parseFloat(level))
+            .filter(level => level > 0 && level < 1),
+        // VaR horizon in trading days
+        horizonDays: parseInt(process.env.VAR_HORIZON_DAYS, 10) || 1,
+        // Monte Carlo paths and the seed that makes them reproducible
+        simulations: parseInt(process.env.VAR_SIMULATIONS, 10) || 10000,
+        seed: process.env.VAR_SEED || 42
+    },
+
+    hedgeRatio: {
+        // Hedge ratio aimed for per metal and delivery month, and the band
+        // outside which a bucket is reported as under- or over-hedged
+        target: numberFromEnv('HEDGE_RATIO_TARGET', 1),
+        min: numberFromEnv('HEDGE_RATIO_MIN', 0.8),
+        max: numberFromEnv('HEDGE_RATIO_MAX', 1.25)
+    },
+
+    exposures: {
+        // Count floating-price commitments as exposure to the fixed price they
+        // will pay or receive (purchases short the metal, sales long), so
+        // hedges locking that price in (e.g. average-price swaps) are measured
+        // against them instead of showing as over-hedged
+        hedgeFloatingPrice: process.env.HEDGE_FLOATING_PRICE === 'true'
+    },
+
+    effectiveness: {
+        // Dollar-offset band a hedge must fall in to be highly effective; the
+        // regression slope must lie in the same band (negated)
+        offsetMin: parseFloat(process.env.HEDGE_EFFECTIVENESS_MIN) || 0.8,
+        offsetMax: parseFloat(process.env.HEDGE_EFFECTIVENESS_MAX) || 1.25,
+        // Minimum regression R-squared
+        minRSquared: parseFloat(process.env.HEDGE_EFFECTIVENESS_MIN_R2) || 0.8,
+        // Days of price history for prospective tests
+        lookbackDays: parseInt(process.env.HEDGE_EFFECTIVENESS_LOOKBACK_DAYS, 10) || 365,
+        // Fewer daily observations than this make a test inconclusive
+        minObservations: parseInt(process.env.HEDGE_EFFECTIVENESS_MIN_OBSERVATIONS, 10) || 20
+    },
+
+    hedgeCalculator: {
+        // Days of daily returns used to estimate minimum-variance hedge ratios
+        lookbackDays: parseInt(process.env.HEDGE_CALC_LOOKBACK_DAYS, 10) || 365,
+        // Hedge horizon when none is given
+        horizonDays: parseInt(process.env.HEDGE_CALC_HORIZON_DAYS, 10) || 90,
+        // Hedging instruments with fewer paired returns than this are skipped
+        minObservations: parseInt(process.env.HEDGE_CALC_MIN_OBSERVATIONS, 10) || 30
+    },
+
+    historyImport: {
+        // Largest CSV accepted by POST /api/market/import, in bytes
+        maxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE, 10) || 10 * 1024 * 1024
+    },
+
+    contracts: {
+        // Optional JSON file overriding exchange lot sizes in tonnes, e.g. { "COPPER": 25 }
+        lotSizes: loadJsonFile(process.env.LOT_SIZES_FILE),
+        // Recommendations flag exposure above this many lots in one metal
+        highExposureLots: parseInt(process.env.HIGH_EXPOSURE_LOTS, 10) || 40
+    },
+
+    fx: {
+        // Currencies positions can be booked and reported in; rates are stored as USD per unit
+        currencies: (process.env.FX_CURRENCIES || 'USD,EUR,CNY,GBP')
+            .split(',')
+            .map(currency => currency.trim().toUpperCase())
+            .filter(Boolean),
+        // How often FX rates are refreshed from the feed
+        refreshInterval: parseInt(process.env.FX_REFRESH_INTERVAL, 10) || 300000,
+        // FX providers in failover order: static, file, http
+        providers: (process.env.FX_FEED_PROVIDERS || 'static')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean),
+
+        static: {
+            // Optional JSON file of rates, e.g. { "EUR": 1.08, "CNY": 0.138 }
+            prices: loadJsonFile(process.env.FX_RATES_FILE)
+        },
+        file: {
+            dir: process.env.FX_FEED_DIR || path.join(__dirname, '..', 'data', 'fx'),
+            maxAgeMs: parseInt(process.env.FX_FEED_FILE_MAX_AGE, 10) || 0
+        },
+        http: {
+            url: process.env.FX_FEED_HTTP_URL,
+            dataPath: process.env.FX_FEED_HTTP_DATA_PATH,
+            fieldMap: JSON.parse(process.env.FX_FEED_HTTP_FIELD_MAP || '{}'),
+            symbolMap: JSON.parse(process.env.FX_FEED_HTTP_SYMBOL_MAP || '{}'),
+            headers: process.env.FX_FEED_HTTP_API_KEY
+                ? { Authorization: `Bearer ${process.env.FX_FEED_HTTP_API_KEY}` }
+                : {},
+            timeout: parseInt(process.env.FX_FEED_HTTP_TIMEOUT, 10) || 5000
+        }
+    },
+
+    marketStream: {
+        heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL, 10) || 30000,
+        // Conflate tick frames once a client's socket buffer exceeds this many bytes
+        highWaterMark: parseInt(process.env.WS_HIGH_WATER_MARK, 10) || 256 * 1024,
+        // Disconnect clients whose socket buffer exceeds this many bytes
+        maxBufferedAmount: parseInt(process.env.WS_MAX_BUFFERED_AMOUNT, 10) || 4 * 1024 * 1024
+    },
+
+    admin: {
+        email: process.env.ADMIN_EMAIL || 'admin@mashedging.com',
+        // The published default password is only used in development and
+        // tests; elsewhere no admin is created unless ADMIN_PASSWORD is set
+        password: process.env.ADMIN_PASSWORD
+            || (['development', 'test'].includes(process.env.NODE_ENV || 'development') ? 'admin123!' : null)
+    }
+};
+
+// Timers below a second turn setInterval into a busy loop, and VaR,
+// annualized statistics and password hashing need a sensible count
+const minimums = {
+    MARKET_TICK_INTERVAL: [config.simulator.tickInterval, 1000],
+    SETTLEMENT_INTERVAL: [config.settlement.interval, 1000],
+    FX_REFRESH_INTERVAL: [config.fx.refreshInterval, 1000],
+    WS_HEARTBEAT_INTERVAL: [config.marketStream.heartbeatInterval, 1000],
+    VAR_SIMULATIONS: [config.risk.simulations, 100],
+    STATS_TRADING_DAYS: [config.statistics.tradingDays, 1],
+    BCRYPT_ROUNDS: [config.bcryptRounds, 4]
+};
+
+Object.entries(minimums).forEach(([name, [value, min]]) => {
+    if (!(value >= min)) throw new Error(`${name} must be at least ${min}, got ${value}`);
+});
+
+module.exports = config;
@@ -1,177 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const sqlite3 = require('sqlite3').verbose();
+const config = require('../config');
+const Migrator = require('./migrator');
+const { seedDatabase } = require('./seeds');
 
 class Database {
-    constructor() {
-        this.db = new sqlite3.Database(':memory:', (err) => {
-            if (err) {
-                console.error('Error opening database:', err);
-            } else {
-                console.log('Connected to SQLite database');
-                this.initTables();
-            }
-        });
+    constructor(filename = config.database.path) {
+        this.filename = filename;
+        this.db = null;
+        this.transactionQueue = Promise.resolve();
+        // Set while a transaction's work runs, to tell its statements apart
+        this.transactionContext = new AsyncLocalStorage();
+        // Statements issued outside a transaction and not yet completed
+        this.inFlight = new Set();
+    }
+
+    // Open the database file, bring the schema up to date and seed defaults
+    async init() {
+        await this.open();
+        await this.exec('PRAGMA foreign_keys = ON');
+
+        const migrator = new Migrator(this, config.database.migrationsDir);
+        await migrator.migrate();
+        await seedDatabase(this);
+
+        return this;
     }
 
-    initTables() {
-        const createTables = [
-            `CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                firstName TEXT NOT NULL,
-                lastName TEXT NOT NULL,
-                email TEXT UNIQUE NOT NULL,
-                company TEXT,
-                password TEXT NOT NULL,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`,
-            `CREATE TABLE IF NOT EXISTS positions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                userId INTEGER NOT NULL,
-                metal TEXT NOT NULL,
-                type TEXT NOT NULL,
-                quantity REAL NOT NULL,
-                entryPrice REAL NOT NULL,
-                currentPrice REAL,
-                targetPrice REAL,
-                stopLoss REAL,
-                contractDate TEXT,
-                expiryDate TEXT,
-                status TEXT DEFAULT 'active',
-                pnl REAL DEFAULT 0,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (userId) REFERENCES users (id)
-            )`
-        ];
-
-        createTables.forEach(sql => {
-            this.db.run(sql, (err) => {
+    open() {
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.filename, (err) => {
                 if (err) {
-                    console.error('Error creating table:', err);
+                    console.error('Error opening database:', err);
+                    reject(err);
+                } else {
+                    console.log(`Connected to SQLite database at ${this.filename}`);
+                    resolve();
                 }
             });
         });
     }
 
-    async getUserByEmail(email) {
+    close() {
         return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
+            if (!this.db) return resolve();
+            this.db.close((err) => {
                 if (err) reject(err);
-                else resolve(row);
+                else {
+                    this.db = null;
+                    resolve();
+                }
             });
         });
     }
 
-    async createUser(userData) {
-        return new Promise((resolve, reject) => {
-            const { firstName, lastName, email, company, password } = userData;
-            this.db.run(
-                'INSERT INTO users (firstName, lastName, email, company, password) VALUES (?, ?, ?, ?, ?)',
-                [firstName, lastName, email, company, password],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve(this.lastID);
-                }
-            );
-        });
+    exec(sql) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        }));
     }
 
-    async getUserPositions(userId) {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM positions WHERE userId = ? ORDER BY createdAt DESC', [userId], (err, rows) => {
+    run(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
                 if (err) reject(err);
-                else {
-                    const updatedPositions = rows.map(position => {
-                        const currentPrice = this.getCurrentPrice(position.metal);
-                        const pnl = this.calculatePnL(position, currentPrice);
-                        return {
-                            ...position,
-                            currentPrice,
-                            pnl: pnl.amount,
-                            pnlPercentage: pnl.percentage
-                        };
-                    });
-                    resolve(updatedPositions);
-                }
+                else resolve({ id: this.lastID, changes: this.changes });
             });
-        });
+        }));
     }
 
-    async createPosition(positionData) {
-        return new Promise((resolve, reject) => {
-            const { userId, metal, type, quantity, entryPrice, targetPrice, stopLoss, contractDate, expiryDate } = positionData;
-            this.db.run(
-                'INSERT INTO positions (userId, metal, type, quantity, entryPrice, targetPrice, stopLoss, contractDate, expiryDate) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                [userId, metal, type, quantity, entryPrice, targetPrice, stopLoss, contractDate, expiryDate],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve(this.lastID);
-                }
-            );
-        });
+    get(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        }));
     }
 
-    async getUserDashboardSummary(userId) {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM positions WHERE userId = ?', [userId], (err, positions) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    const totalPositions = positions.length;
-                    const activePositions = positions.filter(p => p.status === 'active').length;
-                    
-                    let totalPnL = 0;
-                    let totalValue = 0;
-
-                    positions.forEach(position => {
-                        const currentPrice = this.getCurrentPrice(position.metal);
-                        const pnl = this.calculatePnL(position, currentPrice);
-                        totalPnL += pnl.amount;
-                        totalValue += position.quantity * position.entryPrice;
-                    });
-
-                    resolve({
-                        totalPositions,
-                        activePositions,
-                        totalPnL: parseFloat(totalPnL.toFixed(2)),
-                        totalValue: parseFloat(totalValue.toFixed(2)),
-                        winRate: totalPositions > 0 ? ((positions.filter(p => p.pnl > 0).length / totalPositions) * 100).toFixed(1) : 0
-                    });
-                }
+    all(sql, params = []) {
+        return this.schedule(() => new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
             });
-        });
+        }));
     }
 
-    getCurrentPrice(metal) {
-        const basePrices = {
-            'COPPER': 8500,
-            'ALUMINUM': 2374,
-            'ZINC': 3017,
-            'NICKEL': 21218,
-            'LEAD': 2151,
-            'TIN': 24605
-        };
-
-        const basePrice = basePrices[metal.toUpperCase()] || 1000;
-        const variation = (Math.random() - 0.5) * 0.1;
-        return parseFloat((basePrice * (1 + variation)).toFixed(2));
+    // Statements from a transaction's work run in it. Any other statement
+    // shares the connection, so it waits for the open and queued transactions
+    // to finish rather than running inside one and being rolled back with it.
+    schedule(statement) {
+        if (this.transactionContext.getStore()) return statement();
+
+        const result = this.transactionQueue.then(statement);
+        const settled = result.then(() => {}, () => {});
+        this.inFlight.add(settled);
+        settled.then(() => this.inFlight.delete(settled));
+        return result;
     }
 
-    calculatePnL(position, currentPrice) {
-        const entryValue = position.quantity * position.entryPrice;
-        const currentValue = position.quantity * currentPrice;
-        
-        let pnlAmount;
-        if (position.type === 'long') {
-            pnlAmount = currentValue - entryValue;
-        } else {
-            pnlAmount = entryValue - currentValue;
-        }
-
-        const pnlPercentage = (pnlAmount / entryValue) * 100;
+    // Run work(db) inside BEGIN/COMMIT, rolling back if it throws. Transactions
+    // share the single connection, so they are queued, and start once the
+    // statements already issued have completed. A transaction begun inside
+    // another one's work joins it.
+    transaction(work) {
+        if (this.transactionContext.getStore()) return work(this);
+
+        const issued = [...this.inFlight];
+        const result = this.transactionQueue.then(async () => {
+            await Promise.all(issued);
+            return this.transactionContext.run(true, async () => {
+                await this.exec('BEGIN IMMEDIATE');
+                try {
+                    const value = await work(this);
+                    await this.exec('COMMIT');
+                    return value;
+                } catch (error) {
+                    await this.exec('ROLLBACK');
+                    throw error;
+                }
+            });
+        });
 
-        return {
-            amount: parseFloat(pnlAmount.toFixed(2)),
-            percentage: parseFloat(pnlPercentage.toFixed(2))
-        };
+        this.transactionQueue = result.catch(() => {});
+        return result;
     }
 }
 
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Usage: node database/migrate.js [up [version] | down [steps] | status]
+const config = require('../config');
+const Database = require('./database');
+const Migrator = require('./migrator');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = new Database();
+    await db.open();
+    await db.exec('PRAGMA foreign_keys = ON');
+
+    const migrator = new Migrator(db, config.database.migrationsDir);
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrator.migrate(arg ? parseInt(arg, 10) : Infinity);
+                console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+                break;
+            }
+            case 'down': {
+                const reverted = await migrator.rollback(arg ? parseInt(arg, 10) : 1);
+                console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+                break;
+            }
+            case 'status': {
+                const migrations = await migrator.status();
+                migrations.forEach(m => {
+                    console.log(`${m.applied ? '[x]' : '[ ]'} ${String(m.version).padStart(3, '0')}_${m.name}`);
+                });
+                break;
+            }
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
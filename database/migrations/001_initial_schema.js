@@ -0,0 +1,110 @@
+// Core schema queried by the routers in routes/
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT UNIQUE NOT NULL,
+                password TEXT NOT NULL,
+                first_name TEXT NOT NULL,
+                last_name TEXT NOT NULL,
+                company TEXT,
+                phone TEXT,
+                role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+                subscription_plan TEXT NOT NULL DEFAULT 'basic' CHECK (subscription_plan IN ('basic', 'pro', 'enterprise')),
+                is_verified INTEGER NOT NULL DEFAULT 0,
+                verification_token TEXT,
+                reset_token TEXT,
+                reset_token_expires DATETIME,
+                last_login DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE hedging_positions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                metal_type TEXT NOT NULL,
+                position_type TEXT NOT NULL CHECK (position_type IN ('long', 'short')),
+                quantity REAL NOT NULL,
+                entry_price REAL NOT NULL,
+                current_price REAL,
+                target_price REAL,
+                stop_loss REAL,
+                contract_date DATE NOT NULL,
+                expiry_date DATE NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active',
+                profit_loss REAL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_hedging_positions_user_status ON hedging_positions (user_id, status);
+            CREATE INDEX idx_hedging_positions_metal ON hedging_positions (metal_type);
+
+            CREATE TABLE market_data (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                metal_type TEXT NOT NULL,
+                price REAL NOT NULL,
+                change_24h REAL DEFAULT 0,
+                change_percent REAL DEFAULT 0,
+                volume REAL DEFAULT 0,
+                market_cap REAL DEFAULT 0,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_market_data_metal_timestamp ON market_data (metal_type, timestamp);
+
+            CREATE TABLE audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                action TEXT NOT NULL,
+                details TEXT,
+                ip_address TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+            );
+
+            CREATE INDEX idx_audit_log_user ON audit_log (user_id, created_at);
+
+            CREATE TABLE notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                message TEXT NOT NULL,
+                type TEXT NOT NULL DEFAULT 'info',
+                is_read INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_notifications_user ON notifications (user_id, is_read);
+
+            CREATE TABLE trading_alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                metal_type TEXT NOT NULL,
+                alert_type TEXT NOT NULL CHECK (alert_type IN ('price_above', 'price_below', 'volume_spike')),
+                target_value REAL NOT NULL,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                triggered_at DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_trading_alerts_user ON trading_alerts (user_id, is_active);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            DROP TABLE IF EXISTS trading_alerts;
+            DROP TABLE IF EXISTS notifications;
+            DROP TABLE IF EXISTS audit_log;
+            DROP TABLE IF EXISTS market_data;
+            DROP TABLE IF EXISTS hedging_positions;
+            DROP TABLE IF EXISTS users;
+        `);
+    }
+};
@@ -0,0 +1,24 @@
+// Rolled-up OHLCV candles aggregated from market_data
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE market_candles (
+                metal_type TEXT NOT NULL,
+                interval TEXT NOT NULL,
+                bucket_start DATETIME NOT NULL,
+                open REAL NOT NULL,
+                high REAL NOT NULL,
+                low REAL NOT NULL,
+                close REAL NOT NULL,
+                volume REAL NOT NULL DEFAULT 0,
+                tick_count INTEGER NOT NULL DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (metal_type, interval, bucket_start)
+            );
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec('DROP TABLE IF EXISTS market_candles;');
+    }
+};
@@ -0,0 +1,23 @@
+// Daily forward curve snapshots (cash, 3-month and monthly prompts) per metal
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE forward_curves (
+                metal_type TEXT NOT NULL,
+                curve_date DATE NOT NULL,
+                tenor TEXT NOT NULL,
+                prompt_date DATE NOT NULL,
+                price REAL NOT NULL,
+                spot_price REAL NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (metal_type, curve_date, tenor)
+            );
+
+            CREATE INDEX idx_forward_curves_prompt ON forward_curves (metal_type, curve_date, prompt_date);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec('DROP TABLE IF EXISTS forward_curves;');
+    }
+};
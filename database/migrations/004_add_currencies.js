@@ -0,0 +1,31 @@
+// FX rates (USD per unit of currency), position currencies and user reporting currency
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE fx_rates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                currency TEXT NOT NULL,
+                rate REAL NOT NULL,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_fx_rates_currency_timestamp ON fx_rates (currency, timestamp);
+
+            ALTER TABLE hedging_positions ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+            ALTER TABLE hedging_positions ADD COLUMN entry_fx_rate REAL NOT NULL DEFAULT 1;
+            ALTER TABLE hedging_positions ADD COLUMN close_fx_rate REAL;
+
+            ALTER TABLE users ADD COLUMN reporting_currency TEXT NOT NULL DEFAULT 'USD';
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            ALTER TABLE users DROP COLUMN reporting_currency;
+            ALTER TABLE hedging_positions DROP COLUMN close_fx_rate;
+            ALTER TABLE hedging_positions DROP COLUMN entry_fx_rate;
+            ALTER TABLE hedging_positions DROP COLUMN currency;
+            DROP TABLE IF EXISTS fx_rates;
+        `);
+    }
+};
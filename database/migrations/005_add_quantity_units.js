@@ -0,0 +1,18 @@
+// Unit each position's quantity was entered in; quantity itself stays in tonnes
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            ALTER TABLE hedging_positions ADD COLUMN quantity_unit TEXT NOT NULL DEFAULT 't';
+            ALTER TABLE hedging_positions ADD COLUMN unit_quantity REAL;
+
+            UPDATE hedging_positions SET unit_quantity = quantity;
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            ALTER TABLE hedging_positions DROP COLUMN unit_quantity;
+            ALTER TABLE hedging_positions DROP COLUMN quantity_unit;
+        `);
+    }
+};
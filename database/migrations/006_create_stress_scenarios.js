@@ -0,0 +1,25 @@
+// Saved stress scenarios: price/FX shocks or a historical replay, stored as JSON
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE stress_scenarios (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                shocks TEXT NOT NULL,
+                last_run_at DATETIME,
+                last_impact REAL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_stress_scenarios_user ON stress_scenarios (user_id);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec('DROP TABLE IF EXISTS stress_scenarios;');
+    }
+};
@@ -0,0 +1,23 @@
+// Trailing stops (a distance or a percentage behind the best price seen since
+// entry) and the reason each position was closed
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            ALTER TABLE hedging_positions ADD COLUMN trailing_stop_amount REAL;
+            ALTER TABLE hedging_positions ADD COLUMN trailing_stop_percent REAL;
+            ALTER TABLE hedging_positions ADD COLUMN best_price REAL;
+            ALTER TABLE hedging_positions ADD COLUMN close_reason TEXT;
+
+            UPDATE hedging_positions SET close_reason = 'manual' WHERE status = 'closed';
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            ALTER TABLE hedging_positions DROP COLUMN close_reason;
+            ALTER TABLE hedging_positions DROP COLUMN best_price;
+            ALTER TABLE hedging_positions DROP COLUMN trailing_stop_percent;
+            ALTER TABLE hedging_positions DROP COLUMN trailing_stop_amount;
+        `);
+    }
+};
@@ -0,0 +1,32 @@
+// Official settlement prices per metal and date, and expiry settlement /
+// auto-roll tracking on positions
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE settlement_prices (
+                metal_type TEXT NOT NULL,
+                settlement_date DATE NOT NULL,
+                price REAL NOT NULL,
+                source TEXT NOT NULL DEFAULT 'official',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (metal_type, settlement_date)
+            );
+
+            ALTER TABLE hedging_positions ADD COLUMN auto_roll INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE hedging_positions ADD COLUMN rolled_from_id INTEGER REFERENCES hedging_positions (id);
+            ALTER TABLE hedging_positions ADD COLUMN settled_at DATETIME;
+
+            CREATE INDEX idx_hedging_positions_expiry ON hedging_positions (status, expiry_date);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_hedging_positions_expiry;
+            ALTER TABLE hedging_positions DROP COLUMN settled_at;
+            ALTER TABLE hedging_positions DROP COLUMN rolled_from_id;
+            ALTER TABLE hedging_positions DROP COLUMN auto_roll;
+            DROP TABLE IF EXISTS settlement_prices;
+        `);
+    }
+};
@@ -0,0 +1,47 @@
+// Fills behind each position: the opening trade, adds, partial reduces and the
+// final close. Quantities are in tonnes, prices in the position's currency and
+// realized P&L in the base currency. entry_price / entry_fx_rate hold the
+// position's average entry after an open or add, and the entry a reduce or
+// close was realized against.
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE position_fills (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                position_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                fill_type TEXT NOT NULL CHECK (fill_type IN ('open', 'add', 'reduce', 'close')),
+                quantity REAL NOT NULL,
+                price REAL NOT NULL,
+                fx_rate REAL NOT NULL DEFAULT 1,
+                entry_price REAL NOT NULL,
+                entry_fx_rate REAL NOT NULL DEFAULT 1,
+                realized_pnl REAL,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (position_id) REFERENCES hedging_positions (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_position_fills_position ON position_fills (position_id);
+            CREATE INDEX idx_position_fills_user ON position_fills (user_id, created_at);
+
+            INSERT INTO position_fills (position_id, user_id, fill_type, quantity, price, fx_rate, entry_price, entry_fx_rate, created_at)
+            SELECT id, user_id, 'open', quantity, entry_price, entry_fx_rate, entry_price, entry_fx_rate, created_at
+            FROM hedging_positions;
+
+            INSERT INTO position_fills (
+                position_id, user_id, fill_type, quantity, price, fx_rate,
+                entry_price, entry_fx_rate, realized_pnl, reason, created_at
+            )
+            SELECT id, user_id, 'close', quantity, COALESCE(current_price, entry_price), COALESCE(close_fx_rate, 1),
+                   entry_price, entry_fx_rate, profit_loss, close_reason, updated_at
+            FROM hedging_positions
+            WHERE status != 'active';
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec('DROP TABLE IF EXISTS position_fills;');
+    }
+};
@@ -0,0 +1,46 @@
+// Working orders: market, limit and stop-entry orders that open a hedging
+// position when filled. Quantities are in tonnes and prices in the order's
+// currency; position_id links a filled order to the position it opened.
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                metal_type TEXT NOT NULL,
+                position_type TEXT NOT NULL CHECK (position_type IN ('long', 'short')),
+                order_type TEXT NOT NULL CHECK (order_type IN ('market', 'limit', 'stop')),
+                quantity REAL NOT NULL,
+                quantity_unit TEXT NOT NULL DEFAULT 't',
+                unit_quantity REAL NOT NULL,
+                limit_price REAL,
+                stop_price REAL,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                expiry_date DATE NOT NULL,
+                target_price REAL,
+                stop_loss REAL,
+                trailing_stop_amount REAL,
+                trailing_stop_percent REAL,
+                auto_roll INTEGER NOT NULL DEFAULT 0,
+                time_in_force TEXT NOT NULL DEFAULT 'gtc' CHECK (time_in_force IN ('gtc', 'gtd')),
+                good_till DATE,
+                status TEXT NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending', 'filled', 'cancelled', 'expired', 'rejected')),
+                status_reason TEXT,
+                position_id INTEGER REFERENCES hedging_positions (id),
+                fill_price REAL,
+                filled_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_orders_user_status ON orders (user_id, status);
+            CREATE INDEX idx_orders_status_metal ON orders (status, metal_type);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec('DROP TABLE IF EXISTS orders;');
+    }
+};
@@ -0,0 +1,34 @@
+// Physical exposures (purchase and sales commitments, inventory) hedged by
+// hedging_positions. Quantities are in tonnes; delivery_month is YYYY-MM.
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE physical_exposures (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                metal_type TEXT NOT NULL,
+                exposure_type TEXT NOT NULL
+                    CHECK (exposure_type IN ('purchase_commitment', 'sales_commitment', 'inventory')),
+                quantity REAL NOT NULL,
+                quantity_unit TEXT NOT NULL DEFAULT 't',
+                unit_quantity REAL NOT NULL,
+                delivery_month TEXT NOT NULL,
+                pricing_basis TEXT NOT NULL DEFAULT 'fixed' CHECK (pricing_basis IN ('fixed', 'floating')),
+                price REAL,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                reference TEXT,
+                notes TEXT,
+                status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_physical_exposures_user ON physical_exposures (user_id, status, metal_type);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec('DROP TABLE IF EXISTS physical_exposures;');
+    }
+};
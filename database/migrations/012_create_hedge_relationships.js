@@ -0,0 +1,68 @@
+// Hedge accounting: relationships designating hedging positions against a
+// hedged item (a physical exposure or a forecast transaction), and the stored
+// effectiveness tests run on them
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE hedge_relationships (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                hedge_type TEXT NOT NULL DEFAULT 'cash_flow' CHECK (hedge_type IN ('cash_flow', 'fair_value')),
+                hedged_item_type TEXT NOT NULL CHECK (hedged_item_type IN ('exposure', 'forecast')),
+                exposure_id INTEGER REFERENCES physical_exposures (id) ON DELETE SET NULL,
+                metal_type TEXT NOT NULL,
+                quantity REAL NOT NULL,
+                item_direction TEXT NOT NULL CHECK (item_direction IN ('long', 'short')),
+                delivery_month TEXT NOT NULL,
+                risk_objective TEXT,
+                designation_date DATE NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'de_designated')),
+                de_designated_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_hedge_relationships_user ON hedge_relationships (user_id, status);
+
+            CREATE TABLE hedge_relationship_positions (
+                relationship_id INTEGER NOT NULL,
+                position_id INTEGER NOT NULL,
+                PRIMARY KEY (relationship_id, position_id),
+                FOREIGN KEY (relationship_id) REFERENCES hedge_relationships (id) ON DELETE CASCADE,
+                FOREIGN KEY (position_id) REFERENCES hedging_positions (id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE hedge_effectiveness_tests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                relationship_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                test_type TEXT NOT NULL CHECK (test_type IN ('prospective', 'retrospective')),
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                observations INTEGER NOT NULL DEFAULT 0,
+                hedged_item_change REAL,
+                hedge_change REAL,
+                dollar_offset REAL,
+                regression_slope REAL,
+                r_squared REAL,
+                result TEXT NOT NULL CHECK (result IN ('pass', 'fail', 'inconclusive')),
+                report TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (relationship_id) REFERENCES hedge_relationships (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_hedge_effectiveness_tests_relationship ON hedge_effectiveness_tests (relationship_id, created_at);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            DROP TABLE IF EXISTS hedge_effectiveness_tests;
+            DROP TABLE IF EXISTS hedge_relationship_positions;
+            DROP TABLE IF EXISTS hedge_relationships;
+        `);
+    }
+};
@@ -0,0 +1,45 @@
+// European options on the metal forward as hedging positions. instrument_type
+// is 'future' for the existing positions, or 'call'/'put', with
+// position_type saying whether the option was bought (long) or written
+// (short). For options entry_price is the premium per tonne and strike_price
+// the strike, both in the position's currency. Options booked together as a
+// collar or spread share an option_structures row.
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE option_structures (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                structure_type TEXT NOT NULL,
+                metal_type TEXT NOT NULL,
+                exposure_direction TEXT NOT NULL CHECK (exposure_direction IN ('long', 'short')),
+                quantity REAL NOT NULL,
+                quantity_unit TEXT NOT NULL DEFAULT 't',
+                unit_quantity REAL NOT NULL,
+                expiry_date DATE NOT NULL,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                net_premium REAL NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_option_structures_user ON option_structures (user_id);
+
+            ALTER TABLE hedging_positions ADD COLUMN instrument_type TEXT NOT NULL DEFAULT 'future'
+                CHECK (instrument_type IN ('future', 'call', 'put'));
+            ALTER TABLE hedging_positions ADD COLUMN strike_price REAL;
+            ALTER TABLE hedging_positions ADD COLUMN entry_volatility REAL;
+            ALTER TABLE hedging_positions ADD COLUMN structure_id INTEGER REFERENCES option_structures (id);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            ALTER TABLE hedging_positions DROP COLUMN structure_id;
+            ALTER TABLE hedging_positions DROP COLUMN entry_volatility;
+            ALTER TABLE hedging_positions DROP COLUMN strike_price;
+            ALTER TABLE hedging_positions DROP COLUMN instrument_type;
+            DROP TABLE IF EXISTS option_structures;
+        `);
+    }
+};
@@ -0,0 +1,34 @@
+// Average-price swaps as hedging positions (instrument_type 'swap'). A swap
+// fixes entry_price against the average of daily prices over its averaging
+// period, averaging_start to expiry_date; long pays fixed and receives the
+// average. SQLite cannot change a CHECK constraint, so instrument_type is
+// rebuilt with 'swap' allowed.
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            ALTER TABLE hedging_positions ADD COLUMN instrument TEXT NOT NULL DEFAULT 'future'
+                CHECK (instrument IN ('future', 'call', 'put', 'swap'));
+            UPDATE hedging_positions SET instrument = instrument_type;
+            ALTER TABLE hedging_positions DROP COLUMN instrument_type;
+            ALTER TABLE hedging_positions RENAME COLUMN instrument TO instrument_type;
+
+            ALTER TABLE hedging_positions ADD COLUMN averaging_start DATE;
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            DELETE FROM position_fills
+            WHERE position_id IN (SELECT id FROM hedging_positions WHERE instrument_type = 'swap');
+            DELETE FROM hedging_positions WHERE instrument_type = 'swap';
+
+            ALTER TABLE hedging_positions DROP COLUMN averaging_start;
+
+            ALTER TABLE hedging_positions ADD COLUMN instrument TEXT NOT NULL DEFAULT 'future'
+                CHECK (instrument IN ('future', 'call', 'put'));
+            UPDATE hedging_positions SET instrument = instrument_type;
+            ALTER TABLE hedging_positions DROP COLUMN instrument_type;
+            ALTER TABLE hedging_positions RENAME COLUMN instrument TO instrument_type;
+        `);
+    }
+};
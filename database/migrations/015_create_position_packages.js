@@ -0,0 +1,32 @@
+// Multi-leg packages: calendar spreads, inter-metal spreads and custom
+// combinations of futures booked and closed together. Each leg is a
+// hedging position pointing at its package; a package is active while any of
+// its legs is.
+module.exports = {
+    up: async (db) => {
+        await db.exec(`
+            CREATE TABLE position_packages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                package_type TEXT NOT NULL CHECK (package_type IN ('calendar_spread', 'inter_metal_spread', 'custom')),
+                currency TEXT NOT NULL DEFAULT 'USD',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_position_packages_user ON position_packages (user_id);
+
+            ALTER TABLE hedging_positions ADD COLUMN package_id INTEGER REFERENCES position_packages (id);
+            CREATE INDEX idx_hedging_positions_package ON hedging_positions (package_id);
+        `);
+    },
+
+    down: async (db) => {
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_hedging_positions_package;
+            ALTER TABLE hedging_positions DROP COLUMN package_id;
+            DROP TABLE IF EXISTS position_packages;
+        `);
+    }
+};
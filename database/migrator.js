@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Applies the numbered migrations in database/migrations. Each migration file
+// is named NNN_description.js and exports async up(db) and down(db) functions.
+class Migrator {
+    constructor(db, migrationsDir) {
+        this.db = db;
+        this.migrationsDir = migrationsDir;
+    }
+
+    async ensureMigrationsTable() {
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    loadMigrations() {
+        return fs.readdirSync(this.migrationsDir)
+            .map(file => {
+                const match = file.match(MIGRATION_FILE_PATTERN);
+                if (!match) return null;
+
+                const migration = require(path.join(this.migrationsDir, file));
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up and down functions`);
+                }
+
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async appliedVersions() {
+        await this.ensureMigrationsTable();
+        const rows = await this.db.all('SELECT version FROM schema_migrations ORDER BY version ASC');
+        return rows.map(row => row.version);
+    }
+
+    async status() {
+        const applied = new Set(await this.appliedVersions());
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version)
+        }));
+    }
+
+    // Apply every pending migration, optionally stopping at targetVersion
+    async migrate(targetVersion = Infinity) {
+        const applied = new Set(await this.appliedVersions());
+        const pending = this.loadMigrations()
+            .filter(migration => !applied.has(migration.version) && migration.version <= targetVersion);
+
+        for (const migration of pending) {
+            await this.db.transaction(async () => {
+                await migration.up(this.db);
+                await this.db.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+            console.log(`Applied migration ${migration.name} (v${migration.version})`);
+        }
+
+        return pending.map(migration => migration.version);
+    }
+
+    // Revert the most recently applied migrations
+    async rollback(steps = 1) {
+        const applied = await this.appliedVersions();
+        const migrations = this.loadMigrations();
+        const toRevert = applied.slice(-steps).reverse();
+
+        for (const version of toRevert) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration) {
+                throw new Error(`Migration file for version ${version} not found`);
+            }
+
+            await this.db.transaction(async () => {
+                await migration.down(this.db);
+                await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+            });
+            console.log(`Reverted migration ${migration.name} (v${migration.version})`);
+        }
+
+        return toRevert;
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,46 @@
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+const { simulator, recordQuotes } = require('../services/marketData');
+const { recordForwardCurves } = require('../services/forwardCurve');
+
+async function seedAdmin(db) {
+    const existing = await db.get('SELECT id FROM users WHERE role = ? LIMIT 1', ['admin']);
+    if (existing) return false;
+
+    if (!config.admin.password) {
+        console.log('No admin account created: set ADMIN_PASSWORD to create one');
+        return false;
+    }
+
+    const hashedPassword = await bcrypt.hash(config.admin.password, config.bcryptRounds);
+    await db.run(`
+        INSERT INTO users (email, password, first_name, last_name, company, role, subscription_plan, is_verified)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [config.admin.email, hashedPassword, 'Admin', 'User', 'MAS Hedging', 'admin', 'enterprise', 1]);
+
+    return true;
+}
+
+// Start market_data from the simulator's reference prices
+async function seedMarketData(db) {
+    const count = await db.get('SELECT COUNT(*) as count FROM market_data');
+    if (count.count > 0) return false;
+
+    const quotes = await recordQuotes(db, simulator.getQuotes());
+    await recordForwardCurves(db, quotes);
+    return true;
+}
+
+// Populate an empty database with the default admin account and reference prices
+async function seedDatabase(db) {
+    const adminCreated = await seedAdmin(db);
+    if (adminCreated) {
+        console.log(`Created default admin account: ${config.admin.email}`);
+    }
+
+    await seedMarketData(db);
+}
+
+module.exports = {
+    seedDatabase
+};
@@ -0,0 +1,9 @@
+// Expose the promise-based database adapter to the routers as req.db
+const attachDatabase = (db) => {
+    return (req, res, next) => {
+        req.db = db;
+        next();
+    };
+};
+
+module.exports = { attachDatabase };
@@ -24,6 +24,11 @@ const errorHandler = (err, req, res, next) => {
         error.status = 401;
     }
 
+    // Upload errors (file too large, unexpected field)
+    if (err.name === 'MulterError') {
+        error.status = 400;
+    }
+
     // SQLite errors
     if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
         error.message = 'Resource already exists';
@@ -6,6 +6,7 @@ class MASHedgingApp {
         this.currentSection = 'home';
         this.marketData = {};
         this.charts = {};
+        this.marketSocket = null;
         
         this.init();
     }
@@ -262,9 +263,11 @@ class MASHedgingApp {
             metalType: document.getElementById('position-metal').value,
             positionType: document.getElementById('position-type').value,
             quantity: parseFloat(document.getElementById('position-quantity').value),
+            quantityUnit: document.getElementById('position-quantity-unit').value,
             entryPrice: parseFloat(document.getElementById('position-entry-price').value),
             targetPrice: document.getElementById('position-target-price').value ? parseFloat(document.getElementById('position-target-price').value) : null,
             stopLoss: document.getElementById('position-stop-loss').value ? parseFloat(document.getElementById('position-stop-loss').value) : null,
+            trailingStopPercent: document.getElementById('position-trailing-stop').value ? parseFloat(document.getElementById('position-trailing-stop').value) : null,
             contractDate: document.getElementById('position-contract-date').value,
             expiryDate: document.getElementById('position-expiry-date').value
         };
@@ -291,6 +294,10 @@ class MASHedgingApp {
                 if (this.currentSection === 'positions') {
                     await this.loadPositions();
                 }
+            } else if (data.suggestedExpiryDate) {
+                // Offer the next valid prompt date in place of the rejected expiry
+                document.getElementById('position-expiry-date').value = data.suggestedExpiryDate;
+                this.showNotification(`${data.error}. Next valid prompt: ${data.suggestedExpiryDate}`, 'error');
             } else {
                 this.showNotification(data.error || 'Failed to create position', 'error');
             }
@@ -310,7 +317,11 @@ class MASHedgingApp {
             
             if (response.ok) {
                 const data = await response.json();
-                this.currentUser = data.user;
+                this.currentUser = {
+                    ...data.user,
+                    firstName: data.user.first_name,
+                    lastName: data.user.last_name
+                };
                 this.updateUIForLoggedInUser();
             } else {
                 // Token is invalid
@@ -326,9 +337,11 @@ class MASHedgingApp {
         document.getElementById('auth-buttons').classList.add('hidden');
         document.getElementById('user-menu').classList.remove('hidden');
         document.getElementById('user-name').textContent = `${this.currentUser.firstName} ${this.currentUser.lastName}`;
+        this.connectMarketStream();
     }
 
     logout() {
+        this.disconnectMarketStream();
         this.authToken = null;
         this.currentUser = null;
         localStorage.removeItem('authToken');
@@ -629,10 +642,13 @@ class MASHedgingApp {
                             ${position.position_type.toUpperCase()}
                         </span>
                     </td>
-                    <td class="py-3 px-4 text-right">${position.quantity}</td>
+                    <td class="py-3 px-4 text-right">
+                        ${position.unit_quantity} ${position.quantity_unit}
+                        ${position.quantity_unit !== 't' ? `<div class="text-xs text-gray-400">${position.quantity_tonnes.toLocaleString()} t</div>` : ''}
+                    </td>
                     <td class="py-3 px-4 text-right">$${position.entry_price.toLocaleString()}</td>
                     <td class="py-3 px-4 text-right">$${(position.current_market_price || position.entry_price).toLocaleString()}</td>
-                    <td class="py-3 px-4 text-right ${pnlClass}">
+                    <td class="py-3 px-4 text-right ${pnlClass}" data-position-pnl="${position.status === 'active' ? position.id : ''}">
                         $${position.profit_loss.toLocaleString()}
                         <div class="text-xs">(${position.profit_loss_percent.toFixed(2)}%)</div>
                     </td>
@@ -705,7 +721,7 @@ class MASHedgingApp {
         }
         
         // Pre-fill the form with the selected metal and current price
-        document.getElementById('position-metal').value = metal;
+        document.getElementById('position-metal').value = metal.toLowerCase();
         if (this.marketData[metal]) {
             document.getElementById('position-entry-price').value = this.marketData[metal].price;
         }
@@ -740,9 +756,10 @@ class MASHedgingApp {
     }
 
     startMarketDataUpdates() {
-        // Update market data every 30 seconds
+        // Poll market data every 30 seconds unless the live stream is connected
         setInterval(() => {
-            if (this.currentSection === 'market' || this.currentSection === 'home') {
+            const streaming = this.marketSocket && this.marketSocket.readyState === WebSocket.OPEN;
+            if (!streaming && (this.currentSection === 'market' || this.currentSection === 'home')) {
                 this.loadMarketData();
             }
         }, 30000);
@@ -751,6 +768,70 @@ class MASHedgingApp {
         this.loadMarketData();
     }
 
+    connectMarketStream() {
+        if (!this.authToken || !window.WebSocket || this.marketSocket) return;
+
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        const url = `${protocol}://${window.location.host}/ws/market?token=${encodeURIComponent(this.authToken)}`;
+        const socket = new WebSocket(url, 'market-data');
+        this.marketSocket = socket;
+
+        socket.addEventListener('open', () => {
+            const metals = ['COPPER', 'ALUMINUM', 'ZINC', 'NICKEL', 'LEAD', 'TIN'];
+            socket.send(JSON.stringify({ type: 'subscribe', metals, positions: true }));
+        });
+
+        socket.addEventListener('message', (event) => {
+            const message = JSON.parse(event.data);
+
+            if (message.type === 'tick') {
+                this.marketData[message.metal] = {
+                    ...this.marketData[message.metal],
+                    metal_type: message.metal,
+                    price: message.price,
+                    change_24h: message.change24h,
+                    change_percent: message.changePercent,
+                    volume: message.volume,
+                    timestamp: message.timestamp
+                };
+                this.renderMarketData();
+                this.updateMarketTicker();
+            } else if (message.type === 'positions' && this.currentSection === 'positions') {
+                this.updatePositionPnL(message.positions);
+            }
+        });
+
+        // Reconnect after a short delay while the user is still signed in
+        socket.addEventListener('close', () => {
+            if (this.marketSocket !== socket) return;
+            this.marketSocket = null;
+            if (this.authToken) {
+                setTimeout(() => this.connectMarketStream(), 5000);
+            }
+        });
+    }
+
+    disconnectMarketStream() {
+        if (this.marketSocket) {
+            const socket = this.marketSocket;
+            this.marketSocket = null;
+            socket.close();
+        }
+    }
+
+    updatePositionPnL(updates) {
+        updates.forEach(update => {
+            const row = document.querySelector(`[data-position-pnl="${update.id}"]`);
+            if (!row) return;
+
+            row.className = `py-3 px-4 text-right ${update.profit_loss >= 0 ? 'text-green-400' : 'text-red-400'}`;
+            row.innerHTML = `
+                $${update.profit_loss.toLocaleString()}
+                <div class="text-xs">(${update.profit_loss_percent.toFixed(2)}%)</div>
+            `;
+        });
+    }
+
     setDefaultDates() {
         const today = new Date();
         const nextMonth = new Date(today);
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const validator = require('validator');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
 const router = express.Router();
 
 // Register new user
@@ -30,7 +31,7 @@ router.post('/register', async (req, res) => {
         }
 
         // Hash password
-        const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS));
+        const hashedPassword = await bcrypt.hash(password, config.bcryptRounds);
         const verificationToken = uuidv4();
 
         // Create user
@@ -89,8 +90,8 @@ router.post('/login', async (req, res) => {
                 role: user.role,
                 subscriptionPlan: user.subscription_plan
             },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
+            config.jwtSecret,
+            { expiresIn: config.jwtExpiresIn }
         );
 
         // Log the login
@@ -110,6 +111,7 @@ router.post('/login', async (req, res) => {
                 company: user.company,
                 role: user.role,
                 subscriptionPlan: user.subscription_plan,
+                reportingCurrency: user.reporting_currency,
                 isVerified: user.is_verified
             }
         });
@@ -218,7 +220,7 @@ router.post('/reset-password', async (req, res) => {
             return res.status(400).json({ error: 'Invalid or expired reset token' });
         }
 
-        const hashedPassword = await bcrypt.hash(newPassword, parseInt(process.env.BCRYPT_ROUNDS));
+        const hashedPassword = await bcrypt.hash(newPassword, config.bcryptRounds);
 
         await req.db.run(`
             UPDATE users 
@@ -250,7 +252,7 @@ router.post('/refresh-token', async (req, res) => {
         }
 
         // Verify the current token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = jwt.verify(token, config.jwtSecret);
         
         // Get fresh user data
         const user = await req.db.get('SELECT * FROM users WHERE id = ?', [decoded.userId]);
@@ -266,8 +268,8 @@ router.post('/refresh-token', async (req, res) => {
                 role: user.role,
                 subscriptionPlan: user.subscription_plan
             },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
+            config.jwtSecret,
+            { expiresIn: config.jwtExpiresIn }
         );
 
         res.json({ token: newToken });
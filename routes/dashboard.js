@@ -1,5 +1,13 @@
 const express = require('express');
 const moment = require('moment');
+const { valuePositions, realizedPnL } = require('../services/pnl');
+const { getReportingCurrency, getLatestRates, positionFxRates } = require('../services/fx');
+const { businessDaysBetween } = require('../services/calendar');
+const { getMarketStatistics, portfolioVolatility } = require('../services/statistics');
+const { MAX_SIMULATIONS, calculateVaR } = require('../services/valueAtRisk');
+const { getHedgeRatios } = require('../services/exposures');
+const { positionRisk, reportingGreeks } = require('../services/options');
+const config = require('../config');
 const router = express.Router();
 
 // Get dashboard overview
@@ -12,7 +20,8 @@ router.get('/overview', async (req, res) => {
             SELECT 
                 COUNT(*) as total_positions,
                 SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active_positions,
-                SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_positions
+                SUM(CASE WHEN status != 'active' THEN 1 ELSE 0 END) as closed_positions,
+                SUM(CASE WHEN status = 'settled' THEN 1 ELSE 0 END) as settled_positions
             FROM hedging_positions 
             WHERE user_id = ?
         `, [userId]);
@@ -30,29 +39,31 @@ router.get('/overview', async (req, res) => {
             WHERE hp.user_id = ? AND hp.status = 'active'
         `, [userId]);
 
+        // Value positions at the forward price for their expiry, in the user's reporting currency
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+        const activeValues = await valuePositions(req.db, activePnL, reportingCurrency);
+
         let totalUnrealizedPnL = 0;
         activePnL.forEach(position => {
-            const currentPrice = position.current_market_price || position.entry_price;
-            let pnl = 0;
-            
-            if (position.position_type === 'long') {
-                pnl = (currentPrice - position.entry_price) * position.quantity;
-            } else {
-                pnl = (position.entry_price - currentPrice) * position.quantity;
-            }
-            
-            totalUnrealizedPnL += pnl;
+            totalUnrealizedPnL += activeValues[position.id].pnl.amount;
         });
 
-        // Get realized P&L from closed positions
-        const realizedPnL = await req.db.get(`
-            SELECT 
-                COALESCE(SUM(profit_loss), 0) as total_realized_pnl,
-                COUNT(*) as closed_trades,
-                SUM(CASE WHEN profit_loss > 0 THEN 1 ELSE 0 END) as winning_trades
-            FROM hedging_positions 
-            WHERE user_id = ? AND status = 'closed'
-        `, [userId]);
+        // Get realized P&L from the fills of closed, settled and partially closed positions
+        const closedPositions = await req.db.all(`
+            SELECT * FROM hedging_positions 
+            WHERE user_id = ? AND (status != 'active' OR id IN (
+                SELECT position_id FROM position_fills WHERE user_id = ? AND fill_type = 'reduce'
+            ))
+        `, [userId, userId]);
+        const realized = await realizedPnL(req.db, closedPositions, reportingCurrency);
+
+        const realizedStats = { total_realized_pnl: 0, closed_trades: 0, winning_trades: 0 };
+        closedPositions.filter(position => realized[position.id]).forEach(position => {
+            const pnl = realized[position.id].amount;
+            realizedStats.total_realized_pnl += pnl;
+            realizedStats.closed_trades++;
+            if (pnl > 0) realizedStats.winning_trades++;
+        });
 
         // Get recent activity
         const recentActivity = await req.db.all(`
@@ -63,12 +74,18 @@ router.get('/overview', async (req, res) => {
             LIMIT 10
         `, [userId]);
 
-        // Get portfolio distribution by metal
+        // Get portfolio distribution by metal, valued at cost in the reporting currency
+        const fxRates = await positionFxRates(req.db, activePnL, reportingCurrency);
+        const metalValues = {};
+        activePnL.forEach(position => {
+            metalValues[position.metal_type] = (metalValues[position.metal_type] || 0)
+                + position.quantity * position.entry_price * fxRates[position.id].entryRate;
+        });
+
         const portfolioDistribution = await req.db.all(`
             SELECT 
                 metal_type,
                 COUNT(*) as position_count,
-                SUM(quantity * entry_price) as total_value,
                 SUM(CASE WHEN position_type = 'long' THEN quantity ELSE 0 END) as long_quantity,
                 SUM(CASE WHEN position_type = 'short' THEN quantity ELSE 0 END) as short_quantity
             FROM hedging_positions 
@@ -83,24 +100,39 @@ router.get('/overview', async (req, res) => {
             WHERE user_id = ? AND is_read = 0
         `, [userId]);
 
+        // Metal/month buckets whose hedge ratio is outside the target band
+        const hedgeRatios = await getHedgeRatios(req.db, userId);
+        const flagged = (statuses) => hedgeRatios.buckets.filter(bucket => statuses.includes(bucket.status));
+
         // Calculate win rate
-        const winRate = realizedPnL.closed_trades > 0 
-            ? (realizedPnL.winning_trades / realizedPnL.closed_trades * 100).toFixed(2)
+        const winRate = realizedStats.closed_trades > 0 
+            ? (realizedStats.winning_trades / realizedStats.closed_trades * 100).toFixed(2)
             : 0;
 
         res.json({
+            currency: reportingCurrency,
             summary: {
                 totalPositions: positionsSummary.total_positions || 0,
                 activePositions: positionsSummary.active_positions || 0,
                 closedPositions: positionsSummary.closed_positions || 0,
+                settledPositions: positionsSummary.settled_positions || 0,
                 totalUnrealizedPnL: parseFloat(totalUnrealizedPnL.toFixed(2)),
-                totalRealizedPnL: parseFloat(realizedPnL.total_realized_pnl.toFixed(2)),
+                totalRealizedPnL: parseFloat(realizedStats.total_realized_pnl.toFixed(2)),
                 winRate: parseFloat(winRate),
                 unreadNotifications: notificationsCount.unread_count || 0
             },
+            hedgeCoverage: {
+                target: hedgeRatios.target,
+                min: hedgeRatios.min,
+                max: hedgeRatios.max,
+                buckets: hedgeRatios.buckets.length,
+                hedgedBuckets: flagged(['hedged']).length,
+                underHedged: flagged(['unhedged', 'under_hedged']),
+                overHedged: flagged(['over_hedged', 'wrong_direction'])
+            },
             portfolioDistribution: portfolioDistribution.map(item => ({
                 ...item,
-                total_value: parseFloat(item.total_value.toFixed(2))
+                total_value: parseFloat((metalValues[item.metal_type] || 0).toFixed(2))
             })),
             recentActivity: recentActivity.map(activity => ({
                 ...activity,
@@ -145,19 +177,34 @@ router.get('/performance', async (req, res) => {
                 groupBy = "date(created_at)";
         }
 
-        // Get daily/weekly/monthly P&L
-        const performanceData = await req.db.all(`
-            SELECT 
-                ${groupBy} as period,
-                SUM(CASE WHEN status = 'closed' THEN profit_loss ELSE 0 END) as realized_pnl,
-                COUNT(CASE WHEN status = 'closed' THEN 1 END) as trades_closed,
-                COUNT(*) as total_trades
+        // Get daily/weekly/monthly P&L in the user's reporting currency
+        const positions = await req.db.all(`
+            SELECT *, ${groupBy} as period
             FROM hedging_positions 
             WHERE user_id = ? AND created_at > ${dateFilter}
-            GROUP BY ${groupBy}
             ORDER BY period ASC
         `, [userId]);
 
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+        const realized = await realizedPnL(req.db, positions, reportingCurrency);
+
+        const performanceData = [];
+        positions.forEach(position => {
+            let row = performanceData[performanceData.length - 1];
+            if (!row || row.period !== position.period) {
+                row = { period: position.period, realized_pnl: 0, trades_closed: 0, total_trades: 0 };
+                performanceData.push(row);
+            }
+
+            row.total_trades++;
+            if (realized[position.id]) {
+                row.realized_pnl += realized[position.id].amount;
+            }
+            if (position.status !== 'active') {
+                row.trades_closed++;
+            }
+        });
+
         // Calculate cumulative P&L
         let cumulativePnL = 0;
         const chartData = performanceData.map(row => {
@@ -173,6 +220,7 @@ router.get('/performance', async (req, res) => {
 
         res.json({
             period,
+            currency: reportingCurrency,
             data: chartData,
             summary: {
                 totalPeriods: chartData.length,
@@ -189,10 +237,37 @@ router.get('/performance', async (req, res) => {
 });
 
 // Get risk metrics
+// Value-at-Risk options from the query string; returns options or { error }
+function parseVaRQuery(query) {
+    const confidenceLevels = query.confidence
+        ? String(query.confidence).split(',').map(Number)
+        : config.risk.confidenceLevels;
+    if (!confidenceLevels.length || confidenceLevels.some(level => !(level > 0 && level < 1))) {
+        return { error: 'Confidence levels must be between 0 and 1, e.g. 0.95,0.99' };
+    }
+
+    const horizonDays = query.horizon !== undefined ? Number(query.horizon) : config.risk.horizonDays;
+    if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > 250) {
+        return { error: 'Horizon must be a whole number of days between 1 and 250' };
+    }
+
+    const simulations = query.simulations !== undefined ? Number(query.simulations) : config.risk.simulations;
+    if (!Number.isInteger(simulations) || simulations < 100 || simulations > MAX_SIMULATIONS) {
+        return { error: `Simulations must be a whole number between 100 and ${MAX_SIMULATIONS}` };
+    }
+
+    return { confidenceLevels, horizonDays, simulations, seed: query.seed || config.risk.seed };
+}
+
 router.get('/risk-metrics', async (req, res) => {
     try {
         const userId = req.user.userId;
 
+        const varOptions = parseVaRQuery(req.query);
+        if (varOptions.error) {
+            return res.status(400).json({ error: varOptions.error });
+        }
+
         // Get active positions with current market data
         const activePositions = await req.db.all(`
             SELECT hp.*, md.price as current_market_price
@@ -210,31 +285,58 @@ router.get('/risk-metrics', async (req, res) => {
         let totalExposure = 0;
         let totalUnrealizedPnL = 0;
         const metalExposure = {};
+        const netMetalExposure = {};
         const positionTypeExposure = { long: 0, short: 0 };
 
+        // Exposure is at cost and P&L at the market price, both in the user's reporting currency
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+        const values = await valuePositions(req.db, activePositions, reportingCurrency);
+        const fxRates = await positionFxRates(req.db, activePositions, reportingCurrency);
+
+        // Options and swaps count at their delta-equivalent notional at the forward price
+        const risk = await positionRisk(req.db, activePositions);
+        const rates = await getLatestRates(req.db);
+        const reportingRate = rates[reportingCurrency] || 1;
+        const greekTotals = {};
+        const zeroGreeks = () => ({ delta: 0, deltaValue: 0, gamma: 0, vega: 0, theta: 0 });
+
         activePositions.forEach(position => {
-            const currentPrice = position.current_market_price || position.entry_price;
-            const positionValue = position.quantity * position.entry_price;
+            const greeks = risk[position.id] ? risk[position.id].greeks : null;
+            if (greeks) {
+                const total = greekTotals[position.metal_type] || (greekTotals[position.metal_type] = zeroGreeks());
+                Object.keys(total).forEach(greek => { total[greek] += greeks[greek]; });
+            }
+
+            let positionValue;
+            let direction = position.position_type;
+            if (position.instrument_type !== 'future') {
+                const deltaValue = greeks ? greeks.deltaValue / reportingRate : 0;
+                positionValue = Math.abs(deltaValue);
+                direction = deltaValue < 0 ? 'short' : 'long';
+            } else {
+                positionValue = position.quantity * position.entry_price * fxRates[position.id].entryRate;
+            }
             
             totalExposure += positionValue;
             
             // Calculate unrealized P&L
-            let pnl = 0;
-            if (position.position_type === 'long') {
-                pnl = (currentPrice - position.entry_price) * position.quantity;
-            } else {
-                pnl = (position.entry_price - currentPrice) * position.quantity;
-            }
-            totalUnrealizedPnL += pnl;
+            totalUnrealizedPnL += values[position.id].pnl.amount;
 
             // Track exposure by metal
             if (!metalExposure[position.metal_type]) {
                 metalExposure[position.metal_type] = 0;
             }
             metalExposure[position.metal_type] += positionValue;
+            netMetalExposure[position.metal_type] = (netMetalExposure[position.metal_type] || 0)
+                + (direction === 'long' ? positionValue : -positionValue);
 
             // Track exposure by position type
-            positionTypeExposure[position.position_type] += positionValue;
+            positionTypeExposure[direction] += positionValue;
+        });
+
+        const portfolioGreeks = zeroGreeks();
+        Object.values(greekTotals).forEach(total => {
+            Object.keys(portfolioGreeks).forEach(greek => { portfolioGreeks[greek] += total[greek]; });
         });
 
         // Calculate concentration risk (largest single metal exposure)
@@ -243,52 +345,49 @@ router.get('/risk-metrics', async (req, res) => {
 
         // Calculate positions at risk (stop loss triggered)
         const positionsAtRisk = activePositions.filter(position => {
-            if (!position.stop_loss || !position.current_market_price) return false;
+            // Stops are set in the position's currency, like the valued price
+            const currentPrice = values[position.id].price;
+            if (!position.stop_loss || !currentPrice) return false;
             
             if (position.position_type === 'long') {
-                return position.current_market_price <= position.stop_loss;
+                return currentPrice <= position.stop_loss;
             } else {
-                return position.current_market_price >= position.stop_loss;
+                return currentPrice >= position.stop_loss;
             }
         });
 
-        // Calculate Value at Risk (simplified - 5% worst case scenario)
-        const var5Percent = totalExposure * 0.05;
+        // Annualized volatility of the net exposure per metal, from EWMA
+        // volatilities and return correlations
+        const statistics = await getMarketStatistics(req.db);
+        const volatility = portfolioVolatility(netMetalExposure, statistics);
 
-        // Get historical volatility data
-        const volatilityData = await req.db.all(`
-            SELECT 
-                metal_type,
-                AVG(ABS(change_percent)) as avg_volatility,
-                MAX(ABS(change_percent)) as max_volatility
-            FROM market_data 
-            WHERE timestamp > datetime('now', '-30 days')
-            GROUP BY metal_type
-        `);
-
-        // Calculate portfolio beta (simplified - average volatility weighted by exposure)
-        let portfolioBeta = 0;
-        if (totalExposure > 0) {
-            Object.keys(metalExposure).forEach(metal => {
-                const metalVol = volatilityData.find(v => v.metal_type === metal);
-                if (metalVol) {
-                    const weight = metalExposure[metal] / totalExposure;
-                    portfolioBeta += weight * (metalVol.avg_volatility / 100);
-                }
-            });
-        }
+        // Value at Risk and Expected Shortfall of the same net exposures
+        const valueAtRisk = await calculateVaR(req.db, netMetalExposure, varOptions);
 
         res.json({
+            currency: reportingCurrency,
             totalExposure: parseFloat(totalExposure.toFixed(2)),
             totalUnrealizedPnL: parseFloat(totalUnrealizedPnL.toFixed(2)),
             concentrationRisk: parseFloat(concentrationRisk.toFixed(2)),
-            portfolioBeta: parseFloat(portfolioBeta.toFixed(4)),
-            valueAtRisk: parseFloat(var5Percent.toFixed(2)),
+            portfolioVolatility: {
+                annualized: parseFloat(volatility.amount.toFixed(2)),
+                percentage: parseFloat(volatility.percentage.toFixed(2)),
+                missingMetals: volatility.missing
+            },
+            valueAtRisk,
+            greeks: {
+                ...reportingGreeks(portfolioGreeks, reportingCurrency, rates),
+                byMetal: Object.keys(greekTotals).map(metal => ({
+                    metal,
+                    ...reportingGreeks(greekTotals[metal], reportingCurrency, rates)
+                }))
+            },
             positionsAtRisk: positionsAtRisk.length,
             metalExposure: Object.keys(metalExposure).map(metal => ({
                 metal,
                 exposure: parseFloat(metalExposure[metal].toFixed(2)),
-                percentage: parseFloat((metalExposure[metal] / totalExposure * 100).toFixed(2))
+                percentage: parseFloat((metalExposure[metal] / totalExposure * 100).toFixed(2)),
+                annualizedVolatility: statistics.volatility[metal] ? statistics.volatility[metal].ewma.annualized : null
             })),
             positionTypeBalance: {
                 long: parseFloat(positionTypeExposure.long.toFixed(2)),
@@ -393,7 +492,7 @@ router.get('/alerts', async (req, res) => {
             recentNotifications,
             expiringPositions: expiringPositions.map(position => ({
                 ...position,
-                days_until_expiry: moment(position.expiry_date).diff(moment(), 'days')
+                days_until_expiry: businessDaysBetween(new Date(), position.expiry_date)
             })),
             summary: {
                 activeAlerts: tradingAlerts.filter(a => !a.triggered_at).length,
@@ -0,0 +1,181 @@
+const express = require('express');
+const { getReportingCurrency } = require('../services/fx');
+const { validateExposure, getHedgeRatios } = require('../services/exposures');
+const router = express.Router();
+
+function describeExposure(exposure) {
+    return `${exposure.exposure_type.replace('_', ' ')} of ${exposure.unit_quantity} ${exposure.quantity_unit} ${exposure.metal_type} for ${exposure.delivery_month}`;
+}
+
+// Hedge ratio per metal and month against active hedging positions
+router.get('/hedge-ratios', async (req, res) => {
+    try {
+        const metal = req.query.metal ? String(req.query.metal).toUpperCase() : null;
+        const ratios = await getHedgeRatios(req.db, req.user.userId, { metal });
+        res.json(ratios);
+
+    } catch (error) {
+        console.error('Hedge ratios error:', error);
+        res.status(500).json({ error: 'Failed to calculate hedge ratios' });
+    }
+});
+
+// Get the user's physical exposures
+router.get('/', async (req, res) => {
+    try {
+        const { status = 'open', metal = 'all' } = req.query;
+
+        let query = 'SELECT * FROM physical_exposures WHERE user_id = ?';
+        const params = [req.user.userId];
+
+        if (status !== 'all') {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        if (metal !== 'all') {
+            query += ' AND metal_type = ?';
+            params.push(metal.toUpperCase());
+        }
+
+        query += ' ORDER BY metal_type, delivery_month, id';
+
+        const exposures = await req.db.all(query, params);
+        res.json({ exposures });
+
+    } catch (error) {
+        console.error('Get exposures error:', error);
+        res.status(500).json({ error: 'Failed to fetch exposures' });
+    }
+});
+
+// Record a physical exposure
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+
+        const { exposure, error } = validateExposure(req.body, null, reportingCurrency);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await req.db.run(`
+            INSERT INTO physical_exposures (
+                user_id, metal_type, exposure_type, quantity, quantity_unit, unit_quantity,
+                delivery_month, pricing_basis, price, currency, reference, notes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId, exposure.metal_type, exposure.exposure_type, exposure.quantity, exposure.quantity_unit, exposure.unit_quantity,
+            exposure.delivery_month, exposure.pricing_basis, exposure.price || null, exposure.currency,
+            exposure.reference || null, exposure.notes || null
+        ]);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'EXPOSURE_CREATED', `Recorded ${describeExposure(exposure)}`, req.ip]);
+
+        const created = await req.db.get('SELECT * FROM physical_exposures WHERE id = ?', [result.id]);
+        res.status(201).json({ message: 'Exposure recorded successfully', exposure: created });
+
+    } catch (error) {
+        console.error('Create exposure error:', error);
+        res.status(500).json({ error: 'Failed to record exposure' });
+    }
+});
+
+// Get a single exposure
+router.get('/:id', async (req, res) => {
+    try {
+        const exposure = await req.db.get(`
+            SELECT * FROM physical_exposures WHERE id = ? AND user_id = ?
+        `, [req.params.id, req.user.userId]);
+
+        if (!exposure) {
+            return res.status(404).json({ error: 'Exposure not found' });
+        }
+
+        res.json({ exposure });
+
+    } catch (error) {
+        console.error('Get exposure error:', error);
+        res.status(500).json({ error: 'Failed to fetch exposure' });
+    }
+});
+
+// Update an exposure, e.g. to change its quantity or close it once delivered
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const existing = await req.db.get(`
+            SELECT * FROM physical_exposures WHERE id = ? AND user_id = ?
+        `, [id, userId]);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Exposure not found' });
+        }
+
+        const { exposure, error } = validateExposure(req.body, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await req.db.run(`
+            UPDATE physical_exposures
+            SET metal_type = ?, exposure_type = ?, quantity = ?, quantity_unit = ?, unit_quantity = ?,
+                delivery_month = ?, pricing_basis = ?, price = ?, currency = ?, reference = ?, notes = ?,
+                status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ?
+        `, [
+            exposure.metal_type, exposure.exposure_type, exposure.quantity, exposure.quantity_unit, exposure.unit_quantity,
+            exposure.delivery_month, exposure.pricing_basis, exposure.price, exposure.currency, exposure.reference, exposure.notes,
+            exposure.status, id, userId
+        ]);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'EXPOSURE_UPDATED', `Updated exposure ${id}`, req.ip]);
+
+        const updated = await req.db.get('SELECT * FROM physical_exposures WHERE id = ?', [id]);
+        res.json({ message: 'Exposure updated successfully', exposure: updated });
+
+    } catch (error) {
+        console.error('Update exposure error:', error);
+        res.status(500).json({ error: 'Failed to update exposure' });
+    }
+});
+
+// Delete an exposure
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const exposure = await req.db.get(`
+            SELECT * FROM physical_exposures WHERE id = ? AND user_id = ?
+        `, [id, userId]);
+
+        if (!exposure) {
+            return res.status(404).json({ error: 'Exposure not found' });
+        }
+
+        await req.db.run('DELETE FROM physical_exposures WHERE id = ?', [id]);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'EXPOSURE_DELETED', `Deleted ${describeExposure(exposure)}`, req.ip]);
+
+        res.json({ message: 'Exposure deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete exposure error:', error);
+        res.status(500).json({ error: 'Failed to delete exposure' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,335 @@
+const express = require('express');
+const {
+    TEST_TYPES,
+    validateHedgingPositions,
+    validateRelationship,
+    resolvePeriod,
+    relationshipPositions,
+    runEffectivenessTest,
+    reportToCsv
+} = require('../services/hedgeEffectiveness');
+const router = express.Router();
+
+// Test columns without the stored report, for listings
+const TEST_SUMMARY_COLUMNS = `
+    id, relationship_id, test_type, period_start, period_end, observations, hedged_item_change,
+    hedge_change, dollar_offset, regression_slope, r_squared, result, created_at
+`;
+
+function getRelationship(db, id, userId) {
+    return db.get('SELECT * FROM hedge_relationships WHERE id = ? AND user_id = ?', [id, userId]);
+}
+
+// Replace the positions designated in a relationship
+async function designatePositions(db, relationshipId, positions) {
+    await db.run('DELETE FROM hedge_relationship_positions WHERE relationship_id = ?', [relationshipId]);
+    for (const position of positions) {
+        await db.run(`
+            INSERT INTO hedge_relationship_positions (relationship_id, position_id) VALUES (?, ?)
+        `, [relationshipId, position.id]);
+    }
+}
+
+// Get the user's hedge relationships with their positions and latest test
+router.get('/', async (req, res) => {
+    try {
+        const { status = 'active' } = req.query;
+
+        let query = 'SELECT * FROM hedge_relationships WHERE user_id = ?';
+        const params = [req.user.userId];
+
+        if (status !== 'all') {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        query += ' ORDER BY designation_date DESC, id DESC';
+
+        const relationships = await req.db.all(query, params);
+        for (const relationship of relationships) {
+            const links = await req.db.all(`
+                SELECT position_id FROM hedge_relationship_positions WHERE relationship_id = ? ORDER BY position_id
+            `, [relationship.id]);
+            relationship.position_ids = links.map(link => link.position_id);
+            relationship.latest_test = await req.db.get(`
+                SELECT ${TEST_SUMMARY_COLUMNS} FROM hedge_effectiveness_tests
+                WHERE relationship_id = ?
+                ORDER BY id DESC LIMIT 1
+            `, [relationship.id]) || null;
+        }
+
+        res.json({ relationships });
+
+    } catch (error) {
+        console.error('Get hedge relationships error:', error);
+        res.status(500).json({ error: 'Failed to fetch hedge relationships' });
+    }
+});
+
+// Designate a hedge relationship
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { relationship, positions, error } = await validateRelationship(req.db, userId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await req.db.run(`
+            INSERT INTO hedge_relationships (
+                user_id, name, hedge_type, hedged_item_type, exposure_id, metal_type, quantity,
+                item_direction, delivery_month, risk_objective, designation_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId, relationship.name, relationship.hedge_type, relationship.hedged_item_type, relationship.exposure_id,
+            relationship.metal_type, relationship.quantity, relationship.item_direction, relationship.delivery_month,
+            relationship.risk_objective, relationship.designation_date
+        ]);
+        await designatePositions(req.db, result.id, positions);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [
+            userId,
+            'HEDGE_DESIGNATED',
+            `Designated hedge relationship ${result.id} "${relationship.name}": positions ${positions.map(p => p.id).join(', ')} against ${relationship.hedged_item_type} ${relationship.item_direction} ${relationship.quantity} t ${relationship.metal_type} ${relationship.delivery_month}`,
+            req.ip
+        ]);
+
+        const created = await getRelationship(req.db, result.id, userId);
+        res.status(201).json({
+            message: 'Hedge relationship designated successfully',
+            relationship: { ...created, position_ids: positions.map(p => p.id) }
+        });
+
+    } catch (error) {
+        console.error('Designate hedge relationship error:', error);
+        res.status(500).json({ error: 'Failed to designate hedge relationship' });
+    }
+});
+
+// Get a relationship with its positions and test history
+router.get('/:id', async (req, res) => {
+    try {
+        const relationship = await getRelationship(req.db, req.params.id, req.user.userId);
+        if (!relationship) {
+            return res.status(404).json({ error: 'Hedge relationship not found' });
+        }
+
+        const positions = await relationshipPositions(req.db, relationship.id);
+        const tests = await req.db.all(`
+            SELECT ${TEST_SUMMARY_COLUMNS} FROM hedge_effectiveness_tests
+            WHERE relationship_id = ?
+            ORDER BY id DESC
+        `, [relationship.id]);
+
+        res.json({ relationship, positions, tests });
+
+    } catch (error) {
+        console.error('Get hedge relationship error:', error);
+        res.status(500).json({ error: 'Failed to fetch hedge relationship' });
+    }
+});
+
+// Update an active relationship's name, risk objective or designated positions
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const existing = await getRelationship(req.db, id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Hedge relationship not found' });
+        }
+
+        if (existing.status !== 'active') {
+            return res.status(400).json({ error: 'Cannot update a de-designated hedge relationship' });
+        }
+
+        const { name, riskObjective, positionIds } = req.body;
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({ error: 'name cannot be empty' });
+        }
+
+        let positions = null;
+        if (positionIds !== undefined) {
+            const checked = await validateHedgingPositions(req.db, userId, existing, positionIds, existing.id);
+            if (checked.error) {
+                return res.status(400).json({ error: checked.error });
+            }
+            positions = checked.positions;
+        }
+
+        await req.db.run(`
+            UPDATE hedge_relationships
+            SET name = ?, risk_objective = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            name !== undefined ? String(name).trim() : existing.name,
+            riskObjective !== undefined ? riskObjective || null : existing.risk_objective,
+            id
+        ]);
+        if (positions) {
+            await designatePositions(req.db, existing.id, positions);
+        }
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [
+            userId,
+            'HEDGE_RELATIONSHIP_UPDATED',
+            `Updated hedge relationship ${id}${positions ? `: positions ${positions.map(p => p.id).join(', ')}` : ''}`,
+            req.ip
+        ]);
+
+        const updated = await getRelationship(req.db, id, userId);
+        res.json({ message: 'Hedge relationship updated successfully', relationship: updated });
+
+    } catch (error) {
+        console.error('Update hedge relationship error:', error);
+        res.status(500).json({ error: 'Failed to update hedge relationship' });
+    }
+});
+
+// De-designate a relationship; its positions can then be designated elsewhere
+router.post('/:id/de-designate', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const relationship = await getRelationship(req.db, id, userId);
+        if (!relationship) {
+            return res.status(404).json({ error: 'Hedge relationship not found' });
+        }
+
+        const result = await req.db.run(`
+            UPDATE hedge_relationships
+            SET status = 'de_designated', de_designated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'active'
+        `, [id]);
+
+        if (!result.changes) {
+            return res.status(400).json({ error: 'Hedge relationship is already de-designated' });
+        }
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'HEDGE_DE_DESIGNATED', `De-designated hedge relationship ${id}${req.body.reason ? `: ${req.body.reason}` : ''}`, req.ip]);
+
+        res.json({ message: 'Hedge relationship de-designated successfully' });
+
+    } catch (error) {
+        console.error('De-designate hedge relationship error:', error);
+        res.status(500).json({ error: 'Failed to de-designate hedge relationship' });
+    }
+});
+
+// Run a prospective or retrospective effectiveness test and store its report
+router.post('/:id/tests', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { testType } = req.body;
+
+        const relationship = await getRelationship(req.db, req.params.id, userId);
+        if (!relationship) {
+            return res.status(404).json({ error: 'Hedge relationship not found' });
+        }
+
+        if (!TEST_TYPES.includes(testType)) {
+            return res.status(400).json({ error: `Test type must be one of: ${TEST_TYPES.join(', ')}` });
+        }
+
+        if (testType === 'prospective' && relationship.status !== 'active') {
+            return res.status(400).json({ error: 'Prospective tests need an active hedge relationship' });
+        }
+
+        const { period, error: periodError } = resolvePeriod(relationship, testType, req.body);
+        if (periodError) {
+            return res.status(400).json({ error: periodError });
+        }
+
+        const { test, error } = await runEffectivenessTest(req.db, relationship, testType, period);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'HEDGE_EFFECTIVENESS_TESTED', `Ran ${testType} effectiveness test ${test.id} on hedge relationship ${relationship.id}: ${test.result}`, req.ip]);
+
+        const { report, ...summary } = test;
+        res.status(201).json({ message: 'Effectiveness test completed', test: summary, report: JSON.parse(report) });
+
+    } catch (error) {
+        console.error('Effectiveness test error:', error);
+        res.status(500).json({ error: 'Failed to run effectiveness test' });
+    }
+});
+
+// Get a relationship's effectiveness tests
+router.get('/:id/tests', async (req, res) => {
+    try {
+        const relationship = await getRelationship(req.db, req.params.id, req.user.userId);
+        if (!relationship) {
+            return res.status(404).json({ error: 'Hedge relationship not found' });
+        }
+
+        const { testType } = req.query;
+        let query = `SELECT ${TEST_SUMMARY_COLUMNS} FROM hedge_effectiveness_tests WHERE relationship_id = ?`;
+        const params = [relationship.id];
+
+        if (testType) {
+            query += ' AND test_type = ?';
+            params.push(testType);
+        }
+
+        query += ' ORDER BY id DESC';
+
+        const tests = await req.db.all(query, params);
+        res.json({ tests });
+
+    } catch (error) {
+        console.error('Get effectiveness tests error:', error);
+        res.status(500).json({ error: 'Failed to fetch effectiveness tests' });
+    }
+});
+
+// Download a stored effectiveness report as JSON (default) or CSV
+router.get('/:id/tests/:testId/report', async (req, res) => {
+    try {
+        const { format = 'json' } = req.query;
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be either "json" or "csv"' });
+        }
+
+        const test = await req.db.get(`
+            SELECT * FROM hedge_effectiveness_tests
+            WHERE id = ? AND relationship_id = ? AND user_id = ?
+        `, [req.params.testId, req.params.id, req.user.userId]);
+
+        if (!test) {
+            return res.status(404).json({ error: 'Effectiveness test not found' });
+        }
+
+        const report = JSON.parse(test.report);
+        const filename = `hedge-effectiveness-${test.relationship_id}-${test.test_type}-${test.period_end}-${test.id}.${format}`;
+        res.attachment(filename);
+
+        if (format === 'csv') {
+            res.type('text/csv').send(reportToCsv(report));
+        } else {
+            res.json(report);
+        }
+
+    } catch (error) {
+        console.error('Effectiveness report error:', error);
+        res.status(500).json({ error: 'Failed to download effectiveness report' });
+    }
+});
+
+module.exports = router;
@@ -1,5 +1,52 @@
 const express = require('express');
 const moment = require('moment');
+const { requireRole } = require('../middleware/auth');
+const { valuePositions, realizedPnL } = require('../services/pnl');
+const { getLatestCurves, priceAtDate } = require('../services/forwardCurve');
+const {
+    BASE_CURRENCY,
+    isSupportedCurrency,
+    getRate,
+    getLatestRates,
+    convert,
+    getReportingCurrency
+} = require('../services/fx');
+const { checkPromptDate, nextValidPrompt, businessDaysBetween } = require('../services/calendar');
+const { lotSize, normalizeUnit, toTonnes, fromTonnes, validateQuantity, describeQuantity } = require('../services/units');
+const {
+    checkPositionLimit,
+    validateClosePrice,
+    openPosition,
+    forwardPriceForPosition,
+    marketPriceForPosition,
+    closePosition,
+    reducePosition,
+    addToPosition
+} = require('../services/positions');
+const { validateTriggers, validateTrailingStop, trailingStopLevel } = require('../services/execution');
+const { settleExpiredPositions } = require('../services/settlement');
+const { getHedgeRatios } = require('../services/exposures');
+const { latestEffectiveness } = require('../services/hedgeEffectiveness');
+const { validateHedgeRequest, calculateOptimalHedge } = require('../services/hedgeCalculator');
+const {
+    INSTRUMENT_TYPES,
+    OPTION_TYPES,
+    priceOption,
+    describeInstrument,
+    positionRisk,
+    reportingGreeks
+} = require('../services/options');
+const { validateStructure, priceStructure, createStructure } = require('../services/optionStructures');
+const { averagingPeriod, swapAveraging } = require('../services/swaps');
+const { DEFAULT_METALS } = require('../services/marketSimulator');
+const {
+    validatePackage,
+    createPackage,
+    packageLegs,
+    summarizePackage,
+    closePackage
+} = require('../services/packages');
+const config = require('../config');
 const router = express.Router();
 
 // Get user's hedging positions
@@ -28,7 +75,7 @@ router.get('/positions', async (req, res) => {
 
         if (metal !== 'all') {
             query += ' AND hp.metal_type = ?';
-            params.push(metal);
+            params.push(metal.toUpperCase());
         }
 
         query += ' ORDER BY hp.created_at DESC LIMIT ? OFFSET ?';
@@ -36,25 +83,44 @@ router.get('/positions', async (req, res) => {
 
         const positions = await req.db.all(query, params);
 
-        // Calculate P&L for each position
-        const enrichedPositions = positions.map(position => {
-            const currentPrice = position.current_market_price || position.entry_price;
-            let profitLoss = 0;
-
-            if (position.position_type === 'long') {
-                profitLoss = (currentPrice - position.entry_price) * position.quantity;
-            } else {
-                profitLoss = (position.entry_price - currentPrice) * position.quantity;
-            }
+        // Value active positions against the forward curve point at their expiry
+        // and closed ones at their close price. Prices are shown in the position's
+        // currency and P&L in the user's reporting currency.
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+        const values = await valuePositions(req.db, positions, reportingCurrency);
+        const realized = await realizedPnL(req.db, positions, reportingCurrency);
+        const rates = await getLatestRates(req.db);
+        const risk = await positionRisk(req.db, positions.filter(p => p.status === 'active'));
 
-            const profitLossPercent = ((profitLoss / (position.entry_price * position.quantity)) * 100);
+        const enrichedPositions = positions.map(position => {
+            const { price, pnl } = values[position.id];
+            const positionRiskEntry = risk[position.id];
+            const spotPrice = position.current_market_price;
+            const realizedAmount = realized[position.id] ? realized[position.id].amount : 0;
 
             return {
                 ...position,
-                current_market_price: currentPrice,
-                profit_loss: parseFloat(profitLoss.toFixed(2)),
-                profit_loss_percent: parseFloat(profitLossPercent.toFixed(2)),
-                days_to_expiry: moment(position.expiry_date).diff(moment(), 'days')
+                spot_price: spotPrice
+                    ? parseFloat(convert(spotPrice, BASE_CURRENCY, position.currency, rates).toFixed(2))
+                    : null,
+                current_market_price: price,
+                // Unrealized on the open quantity while active; the lifetime realized P&L once closed
+                profit_loss: position.status === 'active' ? pnl.amount : realizedAmount,
+                profit_loss_percent: pnl.percentage,
+                realized_pnl: realizedAmount,
+                ...describeQuantity(position),
+                reporting_currency: reportingCurrency,
+                trailing_stop_level: position.status === 'active' ? trailingStopLevel(position, position.best_price) : null,
+                implied_volatility: positionRiskEntry && positionRiskEntry.volatility !== null
+                    ? parseFloat(positionRiskEntry.volatility.toFixed(4))
+                    : null,
+                greeks: positionRiskEntry ? reportingGreeks(positionRiskEntry.greeks, reportingCurrency, rates) : null,
+                // Swaps: known and remaining averaging days, prices in the base currency
+                averaging: positionRiskEntry && positionRiskEntry.averaging
+                    ? { ...positionRiskEntry.averaging, averagePrice: parseFloat(positionRiskEntry.averaging.averagePrice.toFixed(2)), currency: BASE_CURRENCY }
+                    : null,
+                // Exchange business days, so weekends and holidays are not counted
+                days_to_expiry: businessDaysBetween(new Date(), position.expiry_date)
             };
         });
 
@@ -68,7 +134,8 @@ router.get('/positions', async (req, res) => {
             summary: {
                 totalPositions,
                 activePositions,
-                totalPnL: parseFloat(totalPnL.toFixed(2))
+                totalPnL: parseFloat(totalPnL.toFixed(2)),
+                currency: reportingCurrency
             }
         });
 
@@ -83,79 +150,205 @@ router.post('/positions', async (req, res) => {
     try {
         const userId = req.user.userId;
         const {
-            metalType,
             positionType,
             quantity,
             entryPrice,
             targetPrice,
             stopLoss,
+            trailingStopAmount,
+            trailingStopPercent,
+            autoRoll,
             contractDate,
-            expiryDate
+            averagingMonth
         } = req.body;
-
-        // Validation
-        if (!metalType || !positionType || !quantity || !entryPrice || !contractDate || !expiryDate) {
+        let { expiryDate } = req.body;
+        const metalType = req.body.metalType && String(req.body.metalType).toUpperCase();
+        const instrumentType = req.body.instrumentType || 'future';
+        const option = OPTION_TYPES.includes(instrumentType);
+        const swap = instrumentType === 'swap';
+
+        // Validation; an option's entry price (its premium) defaults to the model
+        // price and a swap's (its fixed price) to the estimated average. Swaps
+        // take an averagingMonth instead of an expiry date.
+        if (!metalType || !positionType || !quantity || (!entryPrice && instrumentType === 'future') || !contractDate
+            || (swap ? !averagingMonth : !expiryDate)) {
             return res.status(400).json({ error: 'All required fields must be provided' });
         }
 
+        if (!DEFAULT_METALS[metalType]) {
+            return res.status(400).json({ error: `Unknown metal: ${req.body.metalType}` });
+        }
+
         if (!['long', 'short'].includes(positionType)) {
             return res.status(400).json({ error: 'Position type must be either "long" or "short"' });
         }
 
-        if (quantity <= 0 || entryPrice <= 0) {
+        if (!INSTRUMENT_TYPES.includes(instrumentType)) {
+            return res.status(400).json({ error: `Instrument type must be one of: ${INSTRUMENT_TYPES.join(', ')}` });
+        }
+
+        if (quantity <= 0 || (entryPrice !== undefined && entryPrice !== null && !(entryPrice > 0))) {
             return res.status(400).json({ error: 'Quantity and entry price must be positive numbers' });
         }
 
+        const strikePrice = option ? Number(req.body.strikePrice) : null;
+        if (option && !(strikePrice > 0)) {
+            return res.status(400).json({ error: 'Options need a positive strikePrice' });
+        }
+
+        // The execution engine and auto-roll work on futures prices
+        if (instrumentType !== 'future' && (targetPrice || stopLoss || trailingStopAmount || trailingStopPercent || autoRoll)) {
+            return res.status(400).json({ error: 'Stop-loss, target, trailing stop and auto-roll apply to futures only' });
+        }
+
+        // A swap averages over the business days of its month and expires on the last
+        const averaging = swap ? averagingPeriod(averagingMonth) : null;
+        if (swap) {
+            if (!averaging) {
+                return res.status(400).json({ error: 'averagingMonth must be a month (YYYY-MM)' });
+            }
+            expiryDate = averaging.end;
+        }
+
         if (moment(expiryDate).isBefore(moment(contractDate))) {
-            return res.status(400).json({ error: 'Expiry date must be after contract date' });
+            return res.status(400).json({ error: swap ? 'The averaging period has already ended' : 'Expiry date must be after contract date' });
+        }
+
+        const triggerError = validateTriggers(positionType, entryPrice, stopLoss, targetPrice)
+            || validateTrailingStop(trailingStopAmount, trailingStopPercent);
+        if (triggerError) {
+            return res.status(400).json({ error: triggerError });
+        }
+
+        // Expiry must be a tradable prompt date for the metal as of the contract date
+        const prompt = swap ? { valid: true } : checkPromptDate(metalType, expiryDate, contractDate);
+        if (!prompt.valid) {
+            return res.status(400).json({
+                error: `Expiry date is not a valid prompt date: ${prompt.reason}`,
+                suggestedExpiryDate: nextValidPrompt(metalType, expiryDate, contractDate)
+            });
+        }
+
+        // Quantities may be entered in tonnes, lots, kilograms or pounds but are stored in tonnes
+        const quantityUnit = normalizeUnit(req.body.quantityUnit);
+        const quantityError = validateQuantity(quantity, quantityUnit, metalType);
+        if (quantityError) {
+            return res.status(400).json({ error: quantityError });
+        }
+        const quantityTonnes = toTonnes(quantity, quantityUnit, metalType);
+
+        // Prices are booked in the position's currency, defaulting to the user's reporting currency
+        const currency = req.body.currency
+            ? String(req.body.currency).toUpperCase()
+            : await getReportingCurrency(req.db, userId);
+
+        if (!isSupportedCurrency(currency)) {
+            return res.status(400).json({ error: `Unsupported currency: ${currency}` });
         }
 
         // Check user's subscription limits
-        const user = await req.db.get('SELECT subscription_plan FROM users WHERE id = ?', [userId]);
-        const positionCount = await req.db.get('SELECT COUNT(*) as count FROM hedging_positions WHERE user_id = ? AND status = "active"', [userId]);
+        const limitError = await checkPositionLimit(req.db, userId);
+        if (limitError) {
+            return res.status(403).json({ error: limitError });
+        }
 
-        const limits = {
-            basic: 5,
-            pro: 25,
-            enterprise: 1000
-        };
+        // Validate the entry price against the forward price for the expiry date
+        const curves = await getLatestCurves(req.db, [metalType]);
+        let marketPrice = priceAtDate(curves[metalType], expiryDate);
+        if (marketPrice === null) {
+            const marketData = await req.db.get(`
+                SELECT price FROM market_data 
+                WHERE metal_type = ? 
+                ORDER BY timestamp DESC 
+                LIMIT 1
+            `, [metalType]);
+            marketPrice = marketData ? marketData.price : null;
+        }
 
-        if (positionCount.count >= limits[user.subscription_plan]) {
-            return res.status(403).json({ 
-                error: `Position limit reached for ${user.subscription_plan} plan. Upgrade to create more positions.` 
-            });
+        // Swaps are priced at the estimated average over their period
+        if (swap) {
+            const estimate = await swapAveraging(req.db, [{
+                id: 0, metal_type: metalType, instrument_type: instrumentType, averaging_start: averaging.start, expiry_date: expiryDate
+            }]);
+            marketPrice = estimate[0] ? estimate[0].averagePrice : null;
+            if (!marketPrice) {
+                return res.status(400).json({ error: `No market price available for ${metalType}` });
+            }
+        }
+
+        // Market prices are in the base currency; compare in the position's currency
+        const entryFxRate = await getRate(req.db, currency);
+
+        // Options are booked at the given premium, or the Black-76 premium off
+        // the volatility surface, and remember the volatility they were priced at
+        let premium = null;
+        if (option) {
+            if (!marketPrice) {
+                return res.status(400).json({ error: `No market price available for ${metalType}` });
+            }
+            premium = priceOption(
+                { metal_type: metalType, instrument_type: instrumentType, strike_price: strikePrice, expiry_date: expiryDate },
+                marketPrice,
+                { strikeRate: entryFxRate }
+            );
+            if (!entryPrice && !(premium.premium / entryFxRate >= 0.01)) {
+                return res.status(400).json({ error: 'The option is worth less than 0.01 per tonne; give an entryPrice' });
+            }
         }
 
-        // Get current market price for validation
-        const marketData = await req.db.get(`
-            SELECT price FROM market_data 
-            WHERE metal_type = ? 
-            ORDER BY timestamp DESC 
-            LIMIT 1
-        `, [metalType]);
+        if (marketPrice) {
+            marketPrice /= entryFxRate;
+        }
 
-        if (marketData && Math.abs(entryPrice - marketData.price) / marketData.price > 0.1) {
+        if (!option && entryPrice && marketPrice && Math.abs(entryPrice - marketPrice) / marketPrice > 0.1) {
             return res.status(400).json({ 
                 error: 'Entry price is more than 10% away from current market price' 
             });
         }
+        let bookedPrice = Number(entryPrice);
+        if (!entryPrice && option) {
+            bookedPrice = parseFloat((premium.premium / entryFxRate).toFixed(2));
+        } else if (!entryPrice && swap) {
+            bookedPrice = parseFloat(marketPrice.toFixed(2));
+        }
 
-        // Create the position
-        const result = await req.db.run(`
-            INSERT INTO hedging_positions (
-                user_id, metal_type, position_type, quantity, entry_price, 
-                target_price, stop_loss, contract_date, expiry_date
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            userId, metalType, positionType, quantity, entryPrice,
-            targetPrice || null, stopLoss || null, contractDate, expiryDate
-        ]);
+        // Create the position and its open fill
+        const positionId = await openPosition(req.db, {
+            userId,
+            metalType,
+            positionType,
+            quantity: quantityTonnes,
+            entryPrice: bookedPrice,
+            contractDate,
+            expiryDate,
+            currency,
+            entryFxRate,
+            quantityUnit,
+            unitQuantity: quantity,
+            targetPrice,
+            stopLoss,
+            trailingStopAmount,
+            trailingStopPercent,
+            autoRoll,
+            instrumentType,
+            strikePrice,
+            entryVolatility: premium ? parseFloat(premium.volatility.toFixed(4)) : null,
+            averagingStart: averaging ? averaging.start : null
+        });
+
+        const description = describeInstrument({
+            position_type: positionType,
+            instrument_type: instrumentType,
+            strike_price: strikePrice,
+            currency,
+            expiry_date: expiryDate
+        });
 
         // Log the position creation
         await req.db.run(`
             INSERT INTO audit_log (user_id, action, details, ip_address)
             VALUES (?, ?, ?, ?)
-        `, [userId, 'POSITION_CREATED', `Created ${positionType} position for ${quantity} ${metalType} at ${entryPrice}`, req.ip]);
+        `, [userId, 'POSITION_CREATED', `Created ${description} for ${quantity} ${quantityUnit} ${metalType} at ${bookedPrice} ${currency}`, req.ip]);
 
         // Create notification
         await req.db.run(`
@@ -164,13 +357,14 @@ router.post('/positions', async (req, res) => {
         `, [
             userId,
             'New Position Created',
-            `Your ${positionType} position for ${quantity} ${metalType} has been created successfully.`,
+            `Your ${description} for ${quantity} ${quantityUnit} ${metalType} has been created successfully.`,
             'success'
         ]);
 
         res.status(201).json({
             message: 'Hedging position created successfully',
-            positionId: result.id
+            positionId,
+            entryPrice: bookedPrice
         });
 
     } catch (error) {
@@ -184,7 +378,7 @@ router.put('/positions/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.userId;
-        const { targetPrice, stopLoss, status } = req.body;
+        const { targetPrice, stopLoss, trailingStopAmount, trailingStopPercent, autoRoll, status, closePrice } = req.body;
 
         // Check if position belongs to user
         const position = await req.db.get(`
@@ -196,8 +390,17 @@ router.put('/positions/:id', async (req, res) => {
             return res.status(404).json({ error: 'Position not found' });
         }
 
-        if (position.status === 'closed') {
-            return res.status(400).json({ error: 'Cannot modify closed position' });
+        if (position.status !== 'active') {
+            return res.status(status === 'closed' ? 409 : 400).json({ error: `Cannot modify ${position.status} position` });
+        }
+
+        if (position.instrument_type !== 'future' && [targetPrice, stopLoss, trailingStopAmount, trailingStopPercent, autoRoll].some(value => value)) {
+            return res.status(400).json({ error: 'Stop-loss, target, trailing stop and auto-roll apply to futures only' });
+        }
+
+        const triggerError = validateTriggers(position.position_type, position.entry_price, stopLoss, targetPrice);
+        if (triggerError) {
+            return res.status(400).json({ error: triggerError });
         }
 
         let updateFields = [];
@@ -213,53 +416,82 @@ router.put('/positions/:id', async (req, res) => {
             params.push(stopLoss);
         }
 
-        if (status && ['active', 'closed'].includes(status)) {
+        if (autoRoll !== undefined) {
+            updateFields.push('auto_roll = ?');
+            params.push(autoRoll ? 1 : 0);
+        }
+
+        // Setting one kind of trailing stop replaces the other; null removes it
+        if (trailingStopAmount !== undefined || trailingStopPercent !== undefined) {
+            const trailingStopError = validateTrailingStop(trailingStopAmount, trailingStopPercent);
+            if (trailingStopError) {
+                return res.status(400).json({ error: trailingStopError });
+            }
+            updateFields.push('trailing_stop_amount = ?', 'trailing_stop_percent = ?', 'best_price = COALESCE(best_price, entry_price)');
+            params.push(trailingStopAmount || null, trailingStopPercent || null);
+        }
+
+        if (status === 'active') {
             updateFields.push('status = ?');
             params.push(status);
+        }
 
-            // If closing position, calculate final P&L
-            if (status === 'closed') {
-                const currentPrice = await req.db.get(`
-                    SELECT price FROM market_data 
-                    WHERE metal_type = ? 
-                    ORDER BY timestamp DESC 
-                    LIMIT 1
-                `, [position.metal_type]);
-
-                if (currentPrice) {
-                    let finalPnL = 0;
-                    if (position.position_type === 'long') {
-                        finalPnL = (currentPrice.price - position.entry_price) * position.quantity;
-                    } else {
-                        finalPnL = (position.entry_price - currentPrice.price) * position.quantity;
-                    }
-
-                    updateFields.push('profit_loss = ?');
-                    params.push(parseFloat(finalPnL.toFixed(2)));
-                }
+        // Closing goes through closePosition at the given close price (in the
+        // position's currency) or its market price, like POST /close
+        const closing = status === 'closed';
+        if (closing) {
+            const closePriceError = validateClosePrice(closePrice);
+            if (closePriceError) {
+                return res.status(400).json({ error: closePriceError });
             }
         }
 
-        if (updateFields.length === 0) {
+        if (updateFields.length === 0 && !closing) {
             return res.status(400).json({ error: 'No valid fields to update' });
         }
 
-        updateFields.push('updated_at = CURRENT_TIMESTAMP');
-        params.push(id, userId);
+        const updated = await req.db.transaction(async () => {
+            let closed = null;
+            if (closing) {
+                closed = await closePosition(req.db, position, {
+                    closePrice: closePrice !== undefined && closePrice !== null ? Number(closePrice) : null,
+                    ipAddress: req.ip
+                });
+                // Closed by another request since it was read
+                if (!closed) return null;
+            }
 
-        await req.db.run(`
-            UPDATE hedging_positions 
-            SET ${updateFields.join(', ')} 
-            WHERE id = ? AND user_id = ?
-        `, params);
+            if (updateFields.length > 0) {
+                updateFields.push('updated_at = CURRENT_TIMESTAMP');
+                params.push(id, userId);
+
+                await req.db.run(`
+                    UPDATE hedging_positions 
+                    SET ${updateFields.join(', ')} 
+                    WHERE id = ? AND user_id = ?
+                `, params);
+
+                // Log the update
+                await req.db.run(`
+                    INSERT INTO audit_log (user_id, action, details, ip_address)
+                    VALUES (?, ?, ?, ?)
+                `, [userId, 'POSITION_UPDATED', `Updated position ${id}`, req.ip]);
+            }
 
-        // Log the update
-        await req.db.run(`
-            INSERT INTO audit_log (user_id, action, details, ip_address)
-            VALUES (?, ?, ?, ?)
-        `, [userId, 'POSITION_UPDATED', `Updated position ${id}`, req.ip]);
+            return { closed };
+        });
+
+        if (!updated) {
+            return res.status(409).json({ error: 'Position was changed by another request; please retry' });
+        }
 
-        res.json({ message: 'Position updated successfully' });
+        const { closed } = updated;
+        res.json(closed ? {
+            message: 'Position closed successfully',
+            finalPnL: parseFloat(closed.finalPnL.toFixed(2)),
+            closePrice: closed.closePrice,
+            reportingCurrency: closed.reportingCurrency
+        } : { message: 'Position updated successfully' });
 
     } catch (error) {
         console.error('Update position error:', error);
@@ -267,12 +499,12 @@ router.put('/positions/:id', async (req, res) => {
     }
 });
 
-// Close hedging position
+// Close hedging position, or part of it when a quantity is given
 router.post('/positions/:id/close', async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.userId;
-        const { closePrice } = req.body;
+        const { closePrice, quantity } = req.body;
 
         const position = await req.db.get(`
             SELECT * FROM hedging_positions 
@@ -283,59 +515,456 @@ router.post('/positions/:id/close', async (req, res) => {
             return res.status(404).json({ error: 'Active position not found' });
         }
 
-        // Use provided close price or current market price
-        let finalClosePrice = closePrice;
-        if (!finalClosePrice) {
-            const marketData = await req.db.get(`
-                SELECT price FROM market_data 
-                WHERE metal_type = ? 
-                ORDER BY timestamp DESC 
-                LIMIT 1
-            `, [position.metal_type]);
-            finalClosePrice = marketData ? marketData.price : position.entry_price;
+        const closePriceError = validateClosePrice(closePrice);
+        if (closePriceError) {
+            return res.status(400).json({ error: closePriceError });
+        }
+
+        // Partial closes are entered in any quantity unit, defaulting to the position's own
+        let quantityTonnes = position.quantity;
+        if (quantity !== undefined && quantity !== null) {
+            const quantityUnit = req.body.quantityUnit ? normalizeUnit(req.body.quantityUnit) : position.quantity_unit;
+            const quantityError = validateQuantity(quantity, quantityUnit, position.metal_type);
+            if (quantityError) {
+                return res.status(400).json({ error: quantityError });
+            }
+
+            quantityTonnes = toTonnes(quantity, quantityUnit, position.metal_type);
+            if (quantityTonnes > position.quantity + 1e-9) {
+                return res.status(400).json({ error: `Quantity exceeds the open quantity of ${position.quantity} t` });
+            }
+
+            // Lot-based positions must stay a whole number of lots
+            const remaining = position.quantity - quantityTonnes;
+            if (position.quantity_unit === 'lot' && remaining > 1e-9) {
+                const remainingLots = fromTonnes(remaining, 'lot', position.metal_type);
+                if (Math.abs(remainingLots - Math.round(remainingLots)) > 1e-6) {
+                    return res.status(400).json({ error: 'Lot-based positions must be reduced by whole lots' });
+                }
+            }
+        }
+
+        // Use provided close price (in the position's currency) or the market
+        // price for the position; writes the audit log and notification
+        const closed = await reducePosition(req.db, position, {
+            quantity: quantityTonnes,
+            closePrice: closePrice !== undefined && closePrice !== null ? Number(closePrice) : null,
+            ipAddress: req.ip
+        });
+        if (!closed) {
+            return res.status(409).json({ error: 'Position was changed by another request; please retry' });
+        }
+
+        const fullyClosed = closed.remainingQuantity === 0;
+        res.json({
+            message: fullyClosed ? 'Position closed successfully' : 'Position reduced successfully',
+            finalPnL: parseFloat(closed.finalPnL.toFixed(2)),
+            closePrice: closed.closePrice,
+            closedQuantity: quantityTonnes,
+            remainingQuantity: closed.remainingQuantity,
+            status: fullyClosed ? 'closed' : 'active',
+            currency: position.currency,
+            reportingCurrency: closed.reportingCurrency
+        });
+
+    } catch (error) {
+        console.error('Close position error:', error);
+        res.status(500).json({ error: 'Failed to close position' });
+    }
+});
+
+// Add to an active position at a weighted-average entry price
+router.post('/positions/:id/add', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+        const { quantity } = req.body;
+
+        const position = await req.db.get(`
+            SELECT * FROM hedging_positions 
+            WHERE id = ? AND user_id = ? AND status = 'active'
+        `, [id, userId]);
+
+        if (!position) {
+            return res.status(404).json({ error: 'Active position not found' });
+        }
+
+        const quantityUnit = req.body.quantityUnit ? normalizeUnit(req.body.quantityUnit) : position.quantity_unit;
+        const quantityError = validateQuantity(quantity, quantityUnit, position.metal_type);
+        if (quantityError) {
+            return res.status(400).json({ error: quantityError });
+        }
+        const quantityTonnes = toTonnes(quantity, quantityUnit, position.metal_type);
+
+        if (position.quantity_unit === 'lot') {
+            const addedLots = fromTonnes(quantityTonnes, 'lot', position.metal_type);
+            if (Math.abs(addedLots - Math.round(addedLots)) > 1e-6) {
+                return res.status(400).json({ error: 'Lot-based positions must be increased by whole lots' });
+            }
         }
 
-        // Calculate final P&L
-        let finalPnL = 0;
-        if (position.position_type === 'long') {
-            finalPnL = (finalClosePrice - position.entry_price) * position.quantity;
-        } else {
-            finalPnL = (position.entry_price - finalClosePrice) * position.quantity;
+        // Fill at the given price (in the position's currency) or the market
+        // price (the premium for options), which must be within 10% of the
+        // market as for new positions
+        const marketPrice = await marketPriceForPosition(req.db, position);
+        const fxRate = await getRate(req.db, position.currency);
+        const market = marketPrice ? marketPrice / fxRate : null;
+        const price = req.body.price !== undefined && req.body.price !== null
+            ? Number(req.body.price)
+            : market && parseFloat(market.toFixed(2));
+
+        if (!(price > 0)) {
+            return res.status(400).json({ error: 'Price must be a positive number' });
+        }
+
+        if (market && Math.abs(price - market) / market > 0.1) {
+            return res.status(400).json({ error: 'Price is more than 10% away from current market price' });
+        }
+
+        // Existing stop and target levels must stay on the right side of the new average entry
+        const newEntryPrice = (position.quantity * position.entry_price + quantityTonnes * price) / (position.quantity + quantityTonnes);
+        const triggerError = validateTriggers(position.position_type, newEntryPrice, position.stop_loss, position.target_price);
+        if (triggerError) {
+            return res.status(400).json({ error: `${triggerError} after this add; update it first` });
+        }
+
+        const added = await addToPosition(req.db, position, { quantity: quantityTonnes, price, ipAddress: req.ip });
+        if (!added) {
+            return res.status(409).json({ error: 'Position was changed by another request; please retry' });
+        }
+
+        res.json({
+            message: 'Position increased successfully',
+            addedQuantity: quantityTonnes,
+            price,
+            quantity: added.quantity,
+            entryPrice: parseFloat(added.entryPrice.toFixed(4)),
+            currency: position.currency
+        });
+
+    } catch (error) {
+        console.error('Add to position error:', error);
+        res.status(500).json({ error: 'Failed to add to position' });
+    }
+});
+
+// Fills (open, add, reduce, close) behind a position
+router.get('/positions/:id/fills', async (req, res) => {
+    try {
+        const position = await req.db.get(`
+            SELECT * FROM hedging_positions 
+            WHERE id = ? AND user_id = ?
+        `, [req.params.id, req.user.userId]);
+
+        if (!position) {
+            return res.status(404).json({ error: 'Position not found' });
         }
 
+        const fills = await req.db.all(`
+            SELECT id, fill_type, quantity, price, fx_rate, entry_price, entry_fx_rate, realized_pnl, reason, created_at
+            FROM position_fills
+            WHERE position_id = ?
+            ORDER BY id
+        `, [position.id]);
+
+        const reportingCurrency = await getReportingCurrency(req.db, req.user.userId);
+        const realized = (await realizedPnL(req.db, [position], reportingCurrency))[position.id];
+
+        res.json({
+            positionId: position.id,
+            currency: position.currency,
+            reportingCurrency,
+            realizedPnL: realized ? realized.amount : 0,
+            fills
+        });
+
+    } catch (error) {
+        console.error('Get fills error:', error);
+        res.status(500).json({ error: 'Failed to fetch position fills' });
+    }
+});
+
+// Quote an option: Black-76 premium and per-tonne Greeks at the forward price
+// for its expiry, in the given (or the user's reporting) currency
+router.post('/options/quote', async (req, res) => {
+    try {
+        const { instrumentType, expiryDate } = req.body;
+        const metalType = req.body.metalType && String(req.body.metalType).toUpperCase();
+        const strikePrice = Number(req.body.strikePrice);
+
+        if (!metalType || !expiryDate) {
+            return res.status(400).json({ error: 'metalType and expiryDate are required' });
+        }
+
+        if (!OPTION_TYPES.includes(instrumentType)) {
+            return res.status(400).json({ error: `Instrument type must be one of: ${OPTION_TYPES.join(', ')}` });
+        }
+
+        if (!(strikePrice > 0)) {
+            return res.status(400).json({ error: 'Options need a positive strikePrice' });
+        }
+
+        const currency = req.body.currency
+            ? String(req.body.currency).toUpperCase()
+            : await getReportingCurrency(req.db, req.user.userId);
+
+        if (!isSupportedCurrency(currency)) {
+            return res.status(400).json({ error: `Unsupported currency: ${currency}` });
+        }
+
+        const option = { metal_type: metalType, instrument_type: instrumentType, strike_price: strikePrice, expiry_date: expiryDate };
+        const forward = await forwardPriceForPosition(req.db, option);
+        if (!forward) {
+            return res.status(400).json({ error: `No market price available for ${metalType}` });
+        }
+
+        const fxRate = await getRate(req.db, currency);
+        const pricing = priceOption(option, forward, { strikeRate: fxRate });
+
+        res.json({
+            metalType,
+            instrumentType,
+            strikePrice,
+            expiryDate,
+            currency,
+            forward: parseFloat((forward / fxRate).toFixed(2)),
+            yearsToExpiry: parseFloat(pricing.years.toFixed(4)),
+            volatility: parseFloat(pricing.volatility.toFixed(4)),
+            premium: parseFloat((pricing.premium / fxRate).toFixed(2)),
+            delta: parseFloat(pricing.delta.toFixed(4)),
+            gamma: parseFloat(pricing.gamma.toFixed(8)),
+            vega: parseFloat((pricing.vega / fxRate).toFixed(4)),
+            theta: parseFloat((pricing.theta / fxRate).toFixed(4))
+        });
+
+    } catch (error) {
+        console.error('Option quote error:', error);
+        res.status(500).json({ error: 'Failed to quote option' });
+    }
+});
+
+// Get the user's option structures with their legs
+router.get('/structures', async (req, res) => {
+    try {
+        const structures = await req.db.all(`
+            SELECT * FROM option_structures WHERE user_id = ? ORDER BY created_at DESC, id DESC
+        `, [req.user.userId]);
+
+        for (const structure of structures) {
+            structure.legs = await req.db.all(`
+                SELECT id, instrument_type, position_type, strike_price, entry_price, entry_volatility, status
+                FROM hedging_positions
+                WHERE structure_id = ?
+                ORDER BY id
+            `, [structure.id]);
+        }
+
+        res.json({ structures });
+
+    } catch (error) {
+        console.error('Get option structures error:', error);
+        res.status(500).json({ error: 'Failed to fetch option structures' });
+    }
+});
+
+// Price a floor, cap, collar, zero-cost collar or spread and, unless
+// preview is set, book its legs as option positions at the model premiums
+router.post('/structures', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { structure, error, suggestedExpiryDate } = await validateStructure(req.db, userId, req.body);
+        if (error) {
+            return res.status(400).json(suggestedExpiryDate ? { error, suggestedExpiryDate } : { error });
+        }
+
+        const { quote, error: pricingError } = await priceStructure(req.db, structure);
+        if (pricingError) {
+            return res.status(400).json({ error: pricingError });
+        }
+
+        if (req.body.preview) {
+            return res.json({ preview: true, structure: quote });
+        }
+
+        const limitError = await checkPositionLimit(req.db, userId, quote.legs.length - 1);
+        if (limitError) {
+            return res.status(403).json({ error: limitError });
+        }
+
+        const { structureId, positionIds } = await createStructure(req.db, userId, structure, quote);
+        const description = `${structure.structureType.replace(/_/g, ' ')} on ${structure.unitQuantity} ${structure.quantityUnit} ${structure.metalType} expiring ${structure.expiryDate}`;
+        const legs = quote.legs.map(leg => describeInstrument({
+            position_type: leg.positionType,
+            instrument_type: leg.instrumentType,
+            strike_price: leg.strikePrice,
+            currency: structure.currency
+        })).join(', ');
+
         await req.db.run(`
-            UPDATE hedging_positions 
-            SET status = 'closed', profit_loss = ?, current_price = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `, [parseFloat(finalPnL.toFixed(2)), finalClosePrice, id]);
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'STRUCTURE_CREATED', `Booked ${description}: ${legs}; net premium ${quote.netPremium} ${structure.currency}/t`, req.ip]);
+
+        await req.db.run(`
+            INSERT INTO notifications (user_id, title, message, type)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'Option Structure Booked', `Your ${description} has been booked (${legs}).`, 'success']);
+
+        res.status(201).json({
+            message: 'Option structure booked successfully',
+            structureId,
+            positionIds,
+            structure: quote
+        });
+
+    } catch (error) {
+        console.error('Create option structure error:', error);
+        res.status(500).json({ error: 'Failed to book option structure' });
+    }
+});
+
+function getPackage(db, id, userId) {
+    return db.get('SELECT * FROM position_packages WHERE id = ? AND user_id = ?', [id, userId]);
+}
+
+// Get the user's packages with their legs, net P&L and net exposure
+router.get('/packages', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { status = 'active' } = req.query;
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+
+        const packages = await req.db.all(`
+            SELECT * FROM position_packages WHERE user_id = ? ORDER BY created_at DESC, id DESC
+        `, [userId]);
+
+        const summaries = [];
+        for (const pkg of packages) {
+            const summary = await summarizePackage(req.db, pkg, await packageLegs(req.db, pkg.id), reportingCurrency);
+            if (status === 'all' || summary.status === status) {
+                summaries.push(summary);
+            }
+        }
+
+        res.json({ packages: summaries });
+
+    } catch (error) {
+        console.error('Get packages error:', error);
+        res.status(500).json({ error: 'Failed to fetch packages' });
+    }
+});
+
+// Book a calendar spread, inter-metal spread or custom package; all legs
+// open together or none does
+router.post('/packages', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { pkg, error, suggestedExpiryDate } = await validatePackage(req.db, userId, req.body);
+        if (error) {
+            return res.status(400).json(suggestedExpiryDate ? { error, suggestedExpiryDate } : { error });
+        }
+
+        const limitError = await checkPositionLimit(req.db, userId, pkg.legs.length - 1);
+        if (limitError) {
+            return res.status(403).json({ error: limitError });
+        }
+
+        const { packageId, positionIds } = await createPackage(req.db, userId, pkg);
+        const legs = pkg.legs.map(leg => `${leg.positionType} ${leg.unitQuantity} ${leg.quantityUnit} ${leg.metalType} ${leg.expiryDate} at ${leg.entryPrice}`).join(', ');
 
-        // Log the closure
         await req.db.run(`
             INSERT INTO audit_log (user_id, action, details, ip_address)
             VALUES (?, ?, ?, ?)
-        `, [userId, 'POSITION_CLOSED', `Closed position ${id} with P&L: ${finalPnL.toFixed(2)}`, req.ip]);
+        `, [userId, 'PACKAGE_CREATED', `Booked package ${packageId} "${pkg.name}" (${pkg.packageType}): ${legs} ${pkg.currency}`, req.ip]);
 
-        // Create notification
-        const pnlType = finalPnL >= 0 ? 'profit' : 'loss';
         await req.db.run(`
             INSERT INTO notifications (user_id, title, message, type)
             VALUES (?, ?, ?, ?)
-        `, [
-            userId,
-            'Position Closed',
-            `Your ${position.position_type} position for ${position.metal_type} has been closed with a ${pnlType} of $${Math.abs(finalPnL).toFixed(2)}.`,
-            finalPnL >= 0 ? 'success' : 'warning'
-        ]);
+        `, [userId, 'Package Booked', `Your package "${pkg.name}" has been booked with ${positionIds.length} legs.`, 'success']);
+
+        const created = await getPackage(req.db, packageId, userId);
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+        res.status(201).json({
+            message: 'Package booked successfully',
+            package: await summarizePackage(req.db, created, await packageLegs(req.db, packageId), reportingCurrency)
+        });
+
+    } catch (error) {
+        console.error('Create package error:', error);
+        res.status(500).json({ error: 'Failed to book package' });
+    }
+});
+
+// Get a package with its legs, net P&L and net exposure
+router.get('/packages/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const pkg = await getPackage(req.db, req.params.id, userId);
+        if (!pkg) {
+            return res.status(404).json({ error: 'Package not found' });
+        }
+
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+        res.json({ package: await summarizePackage(req.db, pkg, await packageLegs(req.db, pkg.id), reportingCurrency) });
+
+    } catch (error) {
+        console.error('Get package error:', error);
+        res.status(500).json({ error: 'Failed to fetch package' });
+    }
+});
+
+// Close every active leg of a package at its market price
+router.post('/packages/:id/close', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const pkg = await getPackage(req.db, req.params.id, userId);
+        if (!pkg) {
+            return res.status(404).json({ error: 'Package not found' });
+        }
+
+        const legs = await packageLegs(req.db, pkg.id);
+        if (!legs.some(leg => leg.status === 'active')) {
+            return res.status(400).json({ error: 'Package has no active legs' });
+        }
+
+        const { closed, finalPnL } = await closePackage(req.db, legs, req.ip);
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'PACKAGE_CLOSED', `Closed package ${pkg.id} "${pkg.name}": positions ${closed.map(leg => leg.id).join(', ')} with P&L: ${finalPnL.toFixed(2)} ${reportingCurrency}`, req.ip]);
 
         res.json({
-            message: 'Position closed successfully',
-            finalPnL: parseFloat(finalPnL.toFixed(2)),
-            closePrice: finalClosePrice
+            message: 'Package closed successfully',
+            closed,
+            finalPnL,
+            reportingCurrency
         });
 
     } catch (error) {
-        console.error('Close position error:', error);
-        res.status(500).json({ error: 'Failed to close position' });
+        console.error('Close package error:', error);
+        res.status(500).json({ error: 'Failed to close package' });
+    }
+});
+
+// Admin only: settle expired positions now instead of waiting for the job
+router.post('/settlements/run', requireRole(['admin']), async (req, res) => {
+    try {
+        const result = await settleExpiredPositions(req.db);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [req.user.userId, 'SETTLEMENT_RUN', `Settled ${result.settled.length} positions, ${result.pending.length} pending`, req.ip]);
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Settlement run error:', error);
+        res.status(500).json({ error: 'Failed to settle expired positions' });
     }
 });
 
@@ -363,57 +992,84 @@ router.get('/analytics', async (req, res) => {
                 dateFilter = "datetime('now', '-30 days')";
         }
 
-        // Get performance metrics
-        const performanceData = await req.db.all(`
-            SELECT 
-                metal_type,
-                position_type,
-                COUNT(*) as total_positions,
-                SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_positions,
-                SUM(CASE WHEN status = 'closed' AND profit_loss > 0 THEN 1 ELSE 0 END) as winning_positions,
-                SUM(CASE WHEN status = 'closed' THEN profit_loss ELSE 0 END) as total_pnl,
-                AVG(CASE WHEN status = 'closed' THEN profit_loss ELSE NULL END) as avg_pnl,
-                MAX(CASE WHEN status = 'closed' THEN profit_loss ELSE NULL END) as best_trade,
-                MIN(CASE WHEN status = 'closed' THEN profit_loss ELSE NULL END) as worst_trade
-            FROM hedging_positions 
+        const positions = await req.db.all(`
+            SELECT * FROM hedging_positions 
             WHERE user_id = ? AND created_at > ${dateFilter}
-            GROUP BY metal_type, position_type
         `, [userId]);
 
+        // Realized P&L from the reduce and close fills of these positions, so
+        // partial closes count as well, in the user's reporting currency
+        const reportingCurrency = await getReportingCurrency(req.db, userId);
+        const realized = await realizedPnL(req.db, positions, reportingCurrency);
+
+        const summarize = (group) => {
+            const pnls = group.filter(p => realized[p.id]).map(p => realized[p.id].amount);
+            const totalPnL = pnls.reduce((sum, pnl) => sum + pnl, 0);
+            return {
+                total_positions: group.length,
+                closed_positions: group.filter(p => p.status !== 'active').length,
+                active_positions: group.filter(p => p.status === 'active').length,
+                partially_closed_positions: group.filter(p => p.status === 'active' && realized[p.id]).length,
+                realized_positions: pnls.length,
+                winning_positions: pnls.filter(pnl => pnl > 0).length,
+                total_pnl: parseFloat(totalPnL.toFixed(2)),
+                avg_pnl: pnls.length > 0 ? parseFloat((totalPnL / pnls.length).toFixed(2)) : 0,
+                best_trade: pnls.length > 0 ? Math.max(...pnls) : 0,
+                worst_trade: pnls.length > 0 ? Math.min(...pnls) : 0
+            };
+        };
+
+        // Get performance metrics by metal and direction
+        const groups = {};
+        positions.forEach(position => {
+            const key = `${position.metal_type}:${position.position_type}`;
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(position);
+        });
+
+        const performanceData = Object.values(groups).map(group => ({
+            metal_type: group[0].metal_type,
+            position_type: group[0].position_type,
+            ...summarize(group)
+        }));
+
         // Calculate overall statistics
-        const overallStats = await req.db.get(`
-            SELECT 
-                COUNT(*) as total_positions,
-                SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_positions,
-                SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active_positions,
-                SUM(CASE WHEN status = 'closed' AND profit_loss > 0 THEN 1 ELSE 0 END) as winning_positions,
-                SUM(CASE WHEN status = 'closed' THEN profit_loss ELSE 0 END) as total_realized_pnl,
-                AVG(CASE WHEN status = 'closed' THEN profit_loss ELSE NULL END) as avg_trade_pnl
-            FROM hedging_positions 
-            WHERE user_id = ? AND created_at > ${dateFilter}
-        `, [userId]);
+        const overall = summarize(positions);
 
-        // Calculate win rate
-        const winRate = overallStats.closed_positions > 0 
-            ? (overallStats.winning_positions / overallStats.closed_positions * 100).toFixed(2)
+        // Calculate win rate over positions with realized P&L
+        const winRate = overall.realized_positions > 0 
+            ? (overall.winning_positions / overall.realized_positions * 100).toFixed(2)
             : 0;
 
+        // Latest effectiveness test results for active hedge relationships
+        const relationships = await latestEffectiveness(req.db, userId);
+        const latestResults = relationships.map(r => r.retrospective || r.prospective).filter(Boolean);
+
         res.json({
             period,
+            currency: reportingCurrency,
             overallStats: {
-                ...overallStats,
+                total_positions: overall.total_positions,
+                closed_positions: overall.closed_positions,
+                active_positions: overall.active_positions,
+                partially_closed_positions: overall.partially_closed_positions,
+                winning_positions: overall.winning_positions,
                 win_rate: parseFloat(winRate),
-                total_realized_pnl: parseFloat((overallStats.total_realized_pnl || 0).toFixed(2)),
-                avg_trade_pnl: parseFloat((overallStats.avg_trade_pnl || 0).toFixed(2))
+                total_realized_pnl: overall.total_pnl,
+                avg_trade_pnl: overall.avg_pnl
             },
             performanceByMetal: performanceData.map(row => ({
                 ...row,
-                win_rate: row.closed_positions > 0 ? ((row.winning_positions / row.closed_positions) * 100).toFixed(2) : 0,
-                total_pnl: parseFloat((row.total_pnl || 0).toFixed(2)),
-                avg_pnl: parseFloat((row.avg_pnl || 0).toFixed(2)),
-                best_trade: parseFloat((row.best_trade || 0).toFixed(2)),
-                worst_trade: parseFloat((row.worst_trade || 0).toFixed(2))
-            }))
+                win_rate: row.realized_positions > 0 ? ((row.winning_positions / row.realized_positions) * 100).toFixed(2) : 0
+            })),
+            hedgeEffectiveness: {
+                relationships: relationships.length,
+                tested: latestResults.length,
+                effective: latestResults.filter(test => test.result === 'pass').length,
+                ineffective: latestResults.filter(test => test.result === 'fail').length,
+                inconclusive: latestResults.filter(test => test.result === 'inconclusive').length,
+                byRelationship: relationships
+            }
         });
 
     } catch (error) {
@@ -422,6 +1078,24 @@ router.get('/analytics', async (req, res) => {
     }
 });
 
+// Minimum-variance hedge ratio and contracts for an exposure, against the
+// exposure's own metal and cross-hedges in the other metals
+router.get('/optimal-hedge', async (req, res) => {
+    try {
+        const { request, error } = await validateHedgeRequest(req.db, req.user.userId, req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await calculateOptimalHedge(req.db, request);
+        res.json(result);
+
+    } catch (error) {
+        console.error('Optimal hedge error:', error);
+        res.status(500).json({ error: 'Failed to calculate optimal hedge' });
+    }
+});
+
 // Get hedging recommendations
 router.get('/recommendations', async (req, res) => {
     try {
@@ -473,19 +1147,44 @@ router.get('/recommendations', async (req, res) => {
                 }
             }
 
-            // Check for overexposure
-            if (userPosition && userPosition.total_quantity > 1000) {
+            // Check for overexposure, measured in exchange lots so the threshold scales per metal
+            const highExposureTonnes = config.contracts.highExposureLots * lotSize(metal.metal_type);
+            if (userPosition && userPosition.total_quantity > highExposureTonnes) {
                 recommendations.push({
                     type: 'risk_management',
                     metal: metal.metal_type,
                     action: 'Consider reducing exposure',
-                    reason: `High exposure to ${metal.metal_type} - consider diversifying or reducing position size`,
+                    reason: `High exposure to ${metal.metal_type} (${parseFloat(userPosition.total_quantity.toFixed(3))}t, over ${config.contracts.highExposureLots} lots) - consider diversifying or reducing position size`,
                     urgency: 'low',
                     current_price: metal.current_price
                 });
             }
         }
 
+        // Bring metal/month buckets of physical exposure back into the hedge ratio band
+        const hedgeRatios = await getHedgeRatios(req.db, userId);
+        const bandLabel = `${hedgeRatios.min * 100}-${hedgeRatios.max * 100}%`;
+        hedgeRatios.buckets.filter(bucket => bucket.adjustment).forEach(bucket => {
+            const { positionType, quantity } = bucket.adjustment;
+            const market = marketData.find(m => m.metal_type === bucket.metal);
+            const coverage = bucket.hedgeRatio === null
+                ? `has hedges of ${Math.abs(bucket.hedged)}t but no physical exposure`
+                : `is ${(bucket.hedgeRatio * 100).toFixed(1)}% hedged (target band ${bandLabel})`;
+
+            recommendations.push({
+                type: 'hedge_ratio',
+                metal: bucket.metal,
+                month: bucket.month,
+                status: bucket.status,
+                action: bucket.status === 'over_hedged'
+                    ? `Consider reducing ${positionType === 'long' ? 'short' : 'long'} hedges by ${quantity}t for ${bucket.month}`
+                    : `Consider ${positionType} hedge of ${quantity}t for ${bucket.month}`,
+                reason: `${bucket.metal} ${bucket.month} ${coverage}`,
+                urgency: ['unhedged', 'wrong_direction'].includes(bucket.status) ? 'high' : 'medium',
+                current_price: market ? market.current_price : null
+            });
+        });
+
         // Check for portfolio diversification
         const metalTypes = [...new Set(activePositions.map(p => p.metal_type))];
         if (metalTypes.length < 3 && activePositions.length > 0) {
@@ -504,7 +1203,11 @@ router.get('/recommendations', async (req, res) => {
             portfolio_summary: {
                 active_positions: activePositions.length,
                 metals_covered: metalTypes.length,
-                total_exposure: activePositions.reduce((sum, p) => sum + p.total_quantity, 0)
+                total_exposure: parseFloat(activePositions.reduce((sum, p) => sum + p.total_quantity, 0).toFixed(3)),
+                exposure_unit: 't',
+                hedge_buckets: hedgeRatios.buckets.length,
+                under_hedged_buckets: hedgeRatios.buckets.filter(b => ['unhedged', 'under_hedged'].includes(b.status)).length,
+                over_hedged_buckets: hedgeRatios.buckets.filter(b => ['over_hedged', 'wrong_direction'].includes(b.status)).length
             }
         });
 
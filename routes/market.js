@@ -1,6 +1,20 @@
 const express = require('express');
-const axios = require('axios');
-const { authenticateOptional } = require('../middleware/auth');
+const multer = require('multer');
+const { authenticateToken, authenticateOptional, requireRole } = require('../middleware/auth');
+const config = require('../config');
+const { getLatestMarketData, priceFeed } = require('../services/marketData');
+const { PROTOCOL } = require('../services/marketStream');
+const { CANDLE_INTERVALS, intervalSeconds, getCandles } = require('../services/candles');
+const { getLatestCurves, curveStructure } = require('../services/forwardCurve');
+const { BASE_CURRENCY, fxFeed, getLatestRates } = require('../services/fx');
+const { DEFAULT_LOT_SIZES, QUANTITY_UNITS, lotSize } = require('../services/units');
+const { importPriceHistory } = require('../services/historyImport');
+const calendar = require('../services/calendar');
+const { recordSettlementPrice } = require('../services/settlement');
+const { parseIndicatorQuery, getIndicators } = require('../services/indicators');
+const { getMarketStatistics } = require('../services/statistics');
+const { DEFAULT_METALS } = require('../services/marketSimulator');
+const { volatilitySurface } = require('../services/options');
 const router = express.Router();
 
 // Cache for market data to avoid excessive API calls
@@ -22,29 +36,9 @@ router.get('/data', authenticateOptional, async (req, res) => {
             });
         }
 
-        // Get latest data from database
-        const marketData = await req.db.all(`
-            SELECT metal_type, price, change_24h, change_percent, volume, market_cap, timestamp
-            FROM market_data 
-            WHERE timestamp > datetime('now', '-1 hour')
-            ORDER BY metal_type, timestamp DESC
-        `);
-
-        // Group by metal type and get the latest entry for each
-        const latestData = {};
-        marketData.forEach(row => {
-            if (!latestData[row.metal_type] || new Date(row.timestamp) > new Date(latestData[row.metal_type].timestamp)) {
-                latestData[row.metal_type] = row;
-            }
-        });
-
-        // If we have real-time data enabled, fetch from external APIs
-        if (process.env.ENABLE_REAL_DATA === 'true') {
-            await updateRealTimeData(req.db, latestData);
-        } else {
-            // Simulate price changes for demo
-            await simulatePriceChanges(req.db, latestData);
-        }
+        // The market ticker keeps market_data current from the price feed,
+        // so get the latest tick for each metal from the database
+        const latestData = await getLatestMarketData(req.db);
 
         // Update cache
         marketDataCache = latestData;
@@ -62,52 +56,67 @@ router.get('/data', authenticateOptional, async (req, res) => {
     }
 });
 
-// Get historical data for a specific metal
+// Lookback window in milliseconds for each supported history period
+const HISTORY_PERIODS = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000,
+    '1y': 365 * 24 * 60 * 60 * 1000
+};
+const MAX_CANDLES = 2000;
+
+// Get OHLC candles for a specific metal
 router.get('/history/:metal', authenticateOptional, async (req, res) => {
     try {
-        const { metal } = req.params;
+        const metal = req.params.metal.toUpperCase();
         const { period = '24h', interval = '1h' } = req.query;
 
-        let timeFilter = '';
-        switch (period) {
-            case '1h':
-                timeFilter = "datetime('now', '-1 hour')";
-                break;
-            case '24h':
-                timeFilter = "datetime('now', '-1 day')";
-                break;
-            case '7d':
-                timeFilter = "datetime('now', '-7 days')";
-                break;
-            case '30d':
-                timeFilter = "datetime('now', '-30 days')";
-                break;
-            default:
-                timeFilter = "datetime('now', '-1 day')";
+        if (!HISTORY_PERIODS[period]) {
+            return res.status(400).json({ error: `Period must be one of: ${Object.keys(HISTORY_PERIODS).join(', ')}` });
         }
 
-        const historicalData = await req.db.all(`
-            SELECT price, volume, timestamp
-            FROM market_data 
-            WHERE metal_type = ? AND timestamp > ${timeFilter}
-            ORDER BY timestamp ASC
+        if (!CANDLE_INTERVALS.includes(interval)) {
+            return res.status(400).json({ error: `Interval must be one of: ${CANDLE_INTERVALS.join(', ')}` });
+        }
+
+        if (HISTORY_PERIODS[period] / 1000 / intervalSeconds(interval) > MAX_CANDLES) {
+            return res.status(400).json({ error: `Too many candles for ${period} at ${interval}; choose a larger interval` });
+        }
+
+        const to = new Date();
+        const from = new Date(to.getTime() - HISTORY_PERIODS[period]);
+        const candles = await getCandles(req.db, metal, interval, from, to);
+
+        // 24h metrics always cover the last 24 hours, whatever the period
+        const last24h = await req.db.get(`
+            SELECT MAX(price) as high, MIN(price) as low
+            FROM market_data
+            WHERE metal_type = ? AND timestamp > datetime('now', '-1 day')
         `, [metal]);
 
-        // Calculate additional metrics
-        const prices = historicalData.map(d => d.price);
-        const high24h = Math.max(...prices);
-        const low24h = Math.min(...prices);
-        const avgVolume = historicalData.reduce((sum, d) => sum + (d.volume || 0), 0) / historicalData.length;
+        const first = candles[0];
+        const last = candles[candles.length - 1];
+        const periodChange = first && last ? last.close - first.open : null;
 
         res.json({
             metal,
             period,
-            data: historicalData,
+            interval,
+            data: candles,
             metrics: {
-                high24h,
-                low24h,
-                avgVolume,
-                dataPoints: historicalData.length
+                open: first ? first.open : null,
+                close: last ? last.close : null,
+                high: candles.length ? Math.max(...candles.map(c => c.high)) : null,
+                low: candles.length ? Math.min(...candles.map(c => c.low)) : null,
+                change: periodChange !== null ? parseFloat(periodChange.toFixed(2)) : null,
+                changePercent: periodChange !== null ? parseFloat((periodChange / first.open * 100).toFixed(2)) : null,
+                totalVolume: candles.reduce((sum, c) => sum + c.volume, 0),
+                avgVolume: candles.length ? Math.round(candles.reduce((sum, c) => sum + c.volume, 0) / candles.length) : 0,
+                high24h: last24h.high,
+                low24h: last24h.low,
+                dataPoints: candles.length
             }
         });
 
@@ -117,6 +126,86 @@ router.get('/history/:metal', authenticateOptional, async (req, res) => {
     }
 });
 
+// Technical indicators over closed candles for a metal. ?indicators= takes a
+// comma-separated subset of sma, ema, rsi, macd, bollinger, atr (default all);
+// window parameters are described in services/indicators.
+router.get('/indicators/:metal', authenticateOptional, async (req, res) => {
+    try {
+        const metal = req.params.metal.toUpperCase();
+        const { period = '7d', interval = '1h' } = req.query;
+
+        if (!HISTORY_PERIODS[period]) {
+            return res.status(400).json({ error: `Period must be one of: ${Object.keys(HISTORY_PERIODS).join(', ')}` });
+        }
+
+        if (!CANDLE_INTERVALS.includes(interval)) {
+            return res.status(400).json({ error: `Interval must be one of: ${CANDLE_INTERVALS.join(', ')}` });
+        }
+
+        if (HISTORY_PERIODS[period] / 1000 / intervalSeconds(interval) > MAX_CANDLES) {
+            return res.status(400).json({ error: `Too many candles for ${period} at ${interval}; choose a larger interval` });
+        }
+
+        const { indicators, params, error } = parseIndicatorQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await getIndicators(req.db, metal, interval, HISTORY_PERIODS[period], indicators, params);
+
+        res.json({
+            metal,
+            period,
+            interval,
+            indicators,
+            params,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Indicators error:', error);
+        res.status(500).json({ error: 'Failed to calculate indicators' });
+    }
+});
+
+const MAX_STATISTICS_LOOKBACK = 730;
+
+// Realized and EWMA volatility per metal and the correlation matrix of daily
+// returns. Optional ?metals=COPPER,ZINC, ?lookback= (days), ?window= (days) and
+// ?lambda= override the configured defaults.
+router.get('/statistics', authenticateOptional, async (req, res) => {
+    try {
+        const metals = req.query.metals
+            ? String(req.query.metals).split(',').map(metal => metal.trim().toUpperCase()).filter(Boolean)
+            : Object.keys(DEFAULT_METALS);
+        const unknown = metals.filter(metal => !DEFAULT_METALS[metal]);
+        if (unknown.length) {
+            return res.status(400).json({ error: `Unknown metals: ${unknown.join(', ')}` });
+        }
+
+        const lookbackDays = req.query.lookback !== undefined ? Number(req.query.lookback) : config.statistics.lookbackDays;
+        const window = req.query.window !== undefined ? Number(req.query.window) : config.statistics.window;
+        const lambda = req.query.lambda !== undefined ? Number(req.query.lambda) : config.statistics.ewmaLambda;
+
+        if (!Number.isInteger(lookbackDays) || lookbackDays < 2 || lookbackDays > MAX_STATISTICS_LOOKBACK) {
+            return res.status(400).json({ error: `Lookback must be a whole number of days between 2 and ${MAX_STATISTICS_LOOKBACK}` });
+        }
+        if (!Number.isInteger(window) || window < 2 || window > lookbackDays) {
+            return res.status(400).json({ error: 'Window must be a whole number of days between 2 and the lookback' });
+        }
+        if (!(lambda > 0 && lambda < 1)) {
+            return res.status(400).json({ error: 'Lambda must be between 0 and 1' });
+        }
+
+        const statistics = await getMarketStatistics(req.db, { metals, lookbackDays, window, lambda });
+        res.json(statistics);
+
+    } catch (error) {
+        console.error('Market statistics error:', error);
+        res.status(500).json({ error: 'Failed to calculate market statistics' });
+    }
+});
+
 // Get market summary and statistics
 router.get('/summary', authenticateOptional, async (req, res) => {
     try {
@@ -169,7 +258,7 @@ router.get('/summary', authenticateOptional, async (req, res) => {
 // Get real-time price for a specific metal
 router.get('/price/:metal', authenticateOptional, async (req, res) => {
     try {
-        const { metal } = req.params;
+        const metal = req.params.metal.toUpperCase();
 
         const currentPrice = await req.db.get(`
             SELECT price, change_24h, change_percent, volume, timestamp
@@ -195,91 +284,285 @@ router.get('/price/:metal', authenticateOptional, async (req, res) => {
     }
 });
 
-// WebSocket endpoint for real-time updates (placeholder)
-router.get('/ws-info', (req, res) => {
+// Get the latest forward curve for every metal
+router.get('/forward-curves', authenticateOptional, async (req, res) => {
+    try {
+        const curves = await getLatestCurves(req.db);
+
+        const result = {};
+        Object.entries(curves).forEach(([metal, points]) => {
+            result[metal] = {
+                curveDate: points[0].curveDate,
+                spotPrice: points[0].spotPrice,
+                ...curveStructure(points),
+                points: points.map(({ tenor, promptDate, price }) => ({ tenor, promptDate, price }))
+            };
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Forward curves fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch forward curves' });
+    }
+});
+
+// Get the latest forward curve (term structure) for a specific metal
+router.get('/forward-curve/:metal', authenticateOptional, async (req, res) => {
+    try {
+        const metal = req.params.metal.toUpperCase();
+        const points = (await getLatestCurves(req.db, [metal]))[metal];
+
+        if (!points) {
+            return res.status(404).json({ error: 'No forward curve for this metal' });
+        }
+
+        res.json({
+            metal,
+            curveDate: points[0].curveDate,
+            spotPrice: points[0].spotPrice,
+            updatedAt: points[0].updatedAt,
+            ...curveStructure(points),
+            points: points.map(({ tenor, promptDate, price }) => ({ tenor, promptDate, price }))
+        });
+    } catch (error) {
+        console.error('Forward curve fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch forward curve' });
+    }
+});
+
+// Get the implied volatility surface for a metal: volatilities by prompt and
+// strike (as a fraction of the forward) used to price options
+router.get('/vol-surface/:metal', authenticateOptional, async (req, res) => {
+    try {
+        const metal = req.params.metal.toUpperCase();
+
+        const latest = await req.db.get(`
+            SELECT price FROM market_data
+            WHERE metal_type = ?
+            ORDER BY timestamp DESC
+            LIMIT 1
+        `, [metal]);
+
+        if (!latest) {
+            return res.status(404).json({ error: 'Metal not found' });
+        }
+
+        res.json(volatilitySurface(metal, latest.price));
+    } catch (error) {
+        console.error('Volatility surface fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch volatility surface' });
+    }
+});
+
+// Get the latest FX rates (base-currency units per unit of each currency)
+router.get('/fx-rates', authenticateOptional, async (req, res) => {
+    try {
+        const rates = await getLatestRates(req.db);
+        res.json({
+            base: BASE_CURRENCY,
+            currencies: config.fx.currencies,
+            rates,
+            provider: fxFeed.activeProvider
+        });
+    } catch (error) {
+        console.error('FX rates fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch FX rates' });
+    }
+});
+
+// Exchange contract specifications: lot sizes and accepted quantity units
+router.get('/contracts', (req, res) => {
     res.json({
-        websocketUrl: `ws://${req.get('host')}/ws/market`,
-        protocols: ['market-data'],
-        reconnectInterval: 5000,
-        maxReconnectAttempts: 10
+        priceUnit: 'USD/t',
+        quantityUnits: QUANTITY_UNITS,
+        contracts: Object.keys(DEFAULT_LOT_SIZES).map(metal => ({
+            metal,
+            lotSize: lotSize(metal),
+            lotUnit: 't'
+        }))
     });
 });
 
-// Helper function to simulate price changes
-async function simulatePriceChanges(db, currentData) {
-    const metals = Object.keys(currentData);
-    
-    for (const metal of metals) {
-        const current = currentData[metal];
-        if (!current) continue;
-
-        // Simulate realistic price movement (±2% max change)
-        const changePercent = (Math.random() - 0.5) * 4; // -2% to +2%
-        const newPrice = current.price * (1 + changePercent / 100);
-        const priceChange = newPrice - current.price;
-        
-        // Simulate volume changes
-        const volumeChange = (Math.random() - 0.5) * 0.4; // ±20%
-        const newVolume = Math.max(0, current.volume * (1 + volumeChange));
-
-        // Update database with new simulated data
-        await db.run(`
-            INSERT INTO market_data (metal_type, price, change_24h, change_percent, volume, market_cap)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `, [
+// Exchange holidays between two dates (defaults to the next 12 months)
+router.get('/calendar', (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 365 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    res.json({
+        exchange: calendar.exchange,
+        from: calendar.formatDate(from),
+        to: calendar.formatDate(to),
+        holidays: calendar.holidaysBetween(from, to)
+    });
+});
+
+// Prompt structure for a metal, or validation of ?date= with the next valid prompt
+router.get('/prompt-dates/:metal', (req, res) => {
+    const metal = req.params.metal.toUpperCase();
+    if (!calendar.MAX_PROMPT_MONTHS[metal]) {
+        return res.status(404).json({ error: 'Metal not found' });
+    }
+
+    const asOf = req.query.asOf || new Date();
+    if (req.query.date) {
+        const check = calendar.checkPromptDate(metal, req.query.date, asOf);
+        return res.json({
             metal,
-            parseFloat(newPrice.toFixed(2)),
-            parseFloat(priceChange.toFixed(2)),
-            parseFloat(changePercent.toFixed(2)),
-            Math.round(newVolume),
-            Math.round(newPrice * newVolume * 0.1) // Simplified market cap calculation
+            date: req.query.date,
+            ...check,
+            nextValidPrompt: check.valid ? req.query.date : calendar.nextValidPrompt(metal, req.query.date, asOf)
+        });
+    }
+
+    const cash = calendar.cashDate(asOf);
+    const monthlyPrompts = [];
+    const month = cash.clone().startOf('month');
+    while (monthlyPrompts.length < 12) {
+        const prompt = calendar.monthlyPrompt(month.year(), month.month());
+        if (prompt.isAfter(cash)) monthlyPrompts.push(prompt.format('YYYY-MM-DD'));
+        month.add(1, 'month');
+    }
+
+    res.json({
+        metal,
+        cash: cash.format('YYYY-MM-DD'),
+        threeMonth: calendar.threeMonthDate(asOf).format('YYYY-MM-DD'),
+        weeklyUntilMonths: calendar.WEEKLY_PROMPT_MONTHS,
+        maxMonths: calendar.MAX_PROMPT_MONTHS[metal],
+        nextMonthlyPrompts: monthlyPrompts
+    });
+});
+
+// Settlement prices for a metal (default: the last 30 days)
+router.get('/settlement-prices/:metal', authenticateOptional, async (req, res) => {
+    try {
+        const metal = req.params.metal.toUpperCase();
+        const to = req.query.to || calendar.formatDate(new Date());
+        const from = req.query.from || calendar.formatDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+
+        const prices = await req.db.all(`
+            SELECT settlement_date as date, price, source
+            FROM settlement_prices
+            WHERE metal_type = ? AND settlement_date BETWEEN ? AND ?
+            ORDER BY settlement_date DESC
+        `, [metal, from, to]);
+
+        res.json({ metal, from, to, prices });
+
+    } catch (error) {
+        console.error('Settlement prices error:', error);
+        res.status(500).json({ error: 'Failed to fetch settlement prices' });
+    }
+});
+
+// Record an official settlement price (admin only); replaces any price for the
+// same metal and date. Positions already settled keep their settlement.
+router.post('/settlement-prices', authenticateToken, requireRole(['admin']), async (req, res) => {
+    try {
+        const metal = req.body.metal && String(req.body.metal).toUpperCase();
+        const { date } = req.body;
+        const price = Number(req.body.price);
+
+        if (!metal || !DEFAULT_METALS[metal]) {
+            return res.status(400).json({ error: 'A valid metal is required' });
+        }
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !calendar.isBusinessDay(date)) {
+            return res.status(400).json({ error: 'Date must be an exchange business day (YYYY-MM-DD)' });
+        }
+        if (!(price > 0)) {
+            return res.status(400).json({ error: 'Price must be a positive number' });
+        }
+
+        await recordSettlementPrice(req.db, metal, date, price);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [req.user.userId, 'SETTLEMENT_PRICE_RECORDED', `Recorded ${metal} settlement price ${price} for ${date}`, req.ip]);
+
+        res.status(201).json({ message: 'Settlement price recorded', metal, date, price });
+
+    } catch (error) {
+        console.error('Record settlement price error:', error);
+        res.status(500).json({ error: 'Failed to record settlement price' });
+    }
+});
+
+// CSV uploads are parsed in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.historyImport.maxFileSize },
+    fileFilter: (req, file, cb) => {
+        const isCsv = /\.csv$/i.test(file.originalname)
+            || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+        cb(isCsv ? null : Object.assign(new Error('Only CSV files are accepted'), { status: 400 }), isCsv);
+    }
+});
+
+// Import historical settlement prices (admin only). Upload a CSV as the "file"
+// field with date,metal,price[,volume] columns.
+router.post('/import', authenticateToken, requireRole(['admin']), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'A CSV file is required in the "file" field' });
+        }
+
+        const result = await importPriceHistory(req.db, req.file.buffer.toString('utf8'));
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [
+            req.user.userId,
+            'MARKET_DATA_IMPORTED',
+            `Imported ${result.imported} of ${result.totalRows} price rows from ${req.file.originalname}`,
+            req.ip
         ]);
 
-        // Update the current data object
-        currentData[metal] = {
-            ...current,
-            price: parseFloat(newPrice.toFixed(2)),
-            change_24h: parseFloat(priceChange.toFixed(2)),
-            change_percent: parseFloat(changePercent.toFixed(2)),
-            volume: Math.round(newVolume),
-            timestamp: new Date().toISOString()
-        };
+        // Nothing imported and rows were rejected: the whole file was bad
+        const status = result.imported === 0 && result.failed > 0 ? 422 : 200;
+        res.status(status).json({ message: 'Import complete', file: req.file.originalname, ...result });
+    } catch (error) {
+        console.error('Price import error:', error);
+        res.status(500).json({ error: 'Failed to import price history' });
     }
-}
-
-// Helper function to fetch real market data (placeholder for actual API integration)
-async function updateRealTimeData(db, currentData) {
-    // This would integrate with real APIs like:
-    // - London Metal Exchange (LME)
-    // - Alpha Vantage
-    // - Metals API
-    // - Yahoo Finance
-    
+});
+
+// Get price feed provider health. Provider details (file paths, upstream
+// errors) are for admins; everyone else sees each provider's status only.
+router.get('/feed/health', authenticateOptional, async (req, res) => {
     try {
-        // Example API call structure (commented out as it requires real API keys)
-        /*
-        const apiKey = process.env.METALS_API_KEY;
-        const response = await axios.get(`https://api.metals.live/v1/spot`, {
-            headers: { 'Authorization': `Bearer ${apiKey}` }
+        const health = await priceFeed.healthCheck();
+        const isAdmin = req.user && req.user.role === 'admin';
+        res.status(health.healthy ? 200 : 503).json(isAdmin ? health : {
+            healthy: health.healthy,
+            providers: health.providers.map(provider => ({ name: provider.name, healthy: provider.healthy }))
         });
-        
-        // Process real API data and update database
-        for (const metalData of response.data) {
-            await db.run(`
-                INSERT INTO market_data (metal_type, price, change_24h, change_percent, volume)
-                VALUES (?, ?, ?, ?, ?)
-            `, [metalData.symbol, metalData.price, metalData.change, metalData.changePercent, metalData.volume]);
-        }
-        */
-        
-        // For now, fall back to simulation
-        await simulatePriceChanges(db, currentData);
-        
     } catch (error) {
-        console.error('Real-time data fetch error:', error);
-        // Fall back to simulation if real API fails
-        await simulatePriceChanges(db, currentData);
+        console.error('Feed health error:', error);
+        res.status(500).json({ error: 'Failed to check price feed health' });
     }
-}
+});
+
+// Connection details for the real-time WebSocket stream
+router.get('/ws-info', (req, res) => {
+    res.json({
+        websocketUrl: `ws://${req.get('host')}/ws/market`,
+        protocols: [PROTOCOL],
+        authentication: 'Pass the JWT as ?token=<token> or an Authorization: Bearer header',
+        messages: {
+            subscribe: { type: 'subscribe', metals: ['COPPER'], positions: true },
+            unsubscribe: { type: 'unsubscribe', metals: ['COPPER'] },
+            ping: { type: 'ping' }
+        },
+        heartbeatInterval: config.marketStream.heartbeatInterval,
+        reconnectInterval: 5000,
+        maxReconnectAttempts: 10
+    });
+});
 
 module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const moment = require('moment');
+const { isSupportedCurrency, getReportingCurrency } = require('../services/fx');
+const { checkPromptDate, nextValidPrompt, formatDate } = require('../services/calendar');
+const { normalizeUnit, toTonnes, validateQuantity } = require('../services/units');
+const { checkPositionLimit } = require('../services/positions');
+const { DEFAULT_METALS } = require('../services/marketSimulator');
+const {
+    ORDER_TYPES,
+    TIME_IN_FORCE,
+    validateOrderPrices,
+    marketPriceForOrder,
+    describeOrder,
+    fillOrder
+} = require('../services/orders');
+const router = express.Router();
+
+const ORDER_STATUSES = ['pending', 'filled', 'cancelled', 'expired', 'rejected'];
+
+// Order fields from a request body, applied over `base` when amending an
+// order. Returns { order } or { error }, with any extra fields for the response.
+async function orderFromRequest(db, userId, body, base = null) {
+    const order = base ? { ...base } : {};
+    const today = formatDate(new Date());
+
+    if (!base) {
+        const metalType = body.metalType && String(body.metalType).toUpperCase();
+        const { positionType, orderType, quantity, expiryDate } = body;
+
+        if (!metalType || !positionType || !orderType || !quantity || !expiryDate) {
+            return { error: 'metalType, positionType, orderType, quantity and expiryDate are required' };
+        }
+        if (!DEFAULT_METALS[metalType]) {
+            return { error: `Unknown metal: ${body.metalType}` };
+        }
+        if (!['long', 'short'].includes(positionType)) {
+            return { error: 'Position type must be either "long" or "short"' };
+        }
+        if (!ORDER_TYPES.includes(orderType)) {
+            return { error: `Order type must be one of: ${ORDER_TYPES.join(', ')}` };
+        }
+
+        const prompt = checkPromptDate(metalType, expiryDate, today);
+        if (!prompt.valid) {
+            return {
+                error: `Expiry date is not a valid prompt date: ${prompt.reason}`,
+                suggestedExpiryDate: nextValidPrompt(metalType, expiryDate, today)
+            };
+        }
+
+        const currency = body.currency
+            ? String(body.currency).toUpperCase()
+            : await getReportingCurrency(db, userId);
+        if (!isSupportedCurrency(currency)) {
+            return { error: `Unsupported currency: ${currency}` };
+        }
+
+        Object.assign(order, {
+            user_id: userId,
+            metal_type: metalType,
+            position_type: positionType,
+            order_type: orderType,
+            currency,
+            expiry_date: formatDate(expiryDate),
+            auto_roll: body.autoRoll ? 1 : 0,
+            time_in_force: 'gtc',
+            good_till: null
+        });
+    }
+
+    if (body.quantity !== undefined) {
+        const quantityUnit = (body.quantityUnit || !base) ? normalizeUnit(body.quantityUnit) : base.quantity_unit;
+        const quantityError = validateQuantity(body.quantity, quantityUnit, order.metal_type);
+        if (quantityError) return { error: quantityError };
+
+        order.quantity = toTonnes(body.quantity, quantityUnit, order.metal_type);
+        order.quantity_unit = quantityUnit;
+        order.unit_quantity = Number(body.quantity);
+    }
+
+    // Only the level that applies to the order type is kept
+    if (body.limitPrice !== undefined) order.limit_price = body.limitPrice === null ? null : Number(body.limitPrice);
+    if (body.stopPrice !== undefined) order.stop_price = body.stopPrice === null ? null : Number(body.stopPrice);
+    if (order.order_type !== 'limit') order.limit_price = null;
+    if (order.order_type !== 'stop') order.stop_price = null;
+
+    if (body.targetPrice !== undefined) order.target_price = body.targetPrice || null;
+    if (body.stopLoss !== undefined) order.stop_loss = body.stopLoss || null;
+    if (body.trailingStopAmount !== undefined || body.trailingStopPercent !== undefined) {
+        order.trailing_stop_amount = body.trailingStopAmount || null;
+        order.trailing_stop_percent = body.trailingStopPercent || null;
+    }
+
+    // Good till cancelled by default; a goodTill date implies good till date
+    if (body.timeInForce !== undefined || body.goodTill !== undefined) {
+        const timeInForce = body.timeInForce || (body.goodTill ? 'gtd' : 'gtc');
+        if (!TIME_IN_FORCE.includes(timeInForce)) {
+            return { error: `Time in force must be one of: ${TIME_IN_FORCE.join(', ')}` };
+        }
+        if (timeInForce === 'gtd') {
+            const goodTill = moment.utc(body.goodTill, 'YYYY-MM-DD', true);
+            if (!goodTill.isValid()) {
+                return { error: 'goodTill must be a date (YYYY-MM-DD) for good-till-date orders' };
+            }
+            if (goodTill.format('YYYY-MM-DD') < today) {
+                return { error: 'goodTill cannot be in the past' };
+            }
+        }
+        order.time_in_force = timeInForce;
+        order.good_till = timeInForce === 'gtd' ? body.goodTill : null;
+    }
+
+    return { order };
+}
+
+// Get the user's orders, pending ones by default
+router.get('/', async (req, res) => {
+    try {
+        const { status = 'pending', metal = 'all', limit = 50, offset = 0 } = req.query;
+
+        if (status !== 'all' && !ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: all, ${ORDER_STATUSES.join(', ')}` });
+        }
+
+        let query = 'SELECT * FROM orders WHERE user_id = ?';
+        const params = [req.user.userId];
+
+        if (status !== 'all') {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        if (metal !== 'all') {
+            query += ' AND metal_type = ?';
+            params.push(metal.toUpperCase());
+        }
+
+        query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+
+        const orders = await req.db.all(query, params);
+        res.json({ orders });
+
+    } catch (error) {
+        console.error('Get orders error:', error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+});
+
+// Get a single order
+router.get('/:id', async (req, res) => {
+    try {
+        const order = await req.db.get('SELECT * FROM orders WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId]);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.json({ order });
+
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+});
+
+// Place an order. Market orders fill straight away at the forward price for
+// the expiry; limit and stop-entry orders stay pending until matched.
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { order, error, ...details } = await orderFromRequest(req.db, userId, req.body);
+        if (error) {
+            return res.status(400).json({ error, ...details });
+        }
+
+        const marketPrice = await marketPriceForOrder(req.db, order);
+        const priceError = validateOrderPrices(order, marketPrice);
+        if (priceError) {
+            return res.status(400).json({ error: priceError });
+        }
+
+        // Pending orders count towards the plan's position limit
+        const pending = await req.db.get(`
+            SELECT COUNT(*) as count FROM orders WHERE user_id = ? AND status = 'pending'
+        `, [userId]);
+        const limitError = await checkPositionLimit(req.db, userId, order.order_type === 'market' ? 0 : pending.count);
+        if (limitError) {
+            return res.status(403).json({ error: limitError });
+        }
+
+        const result = await req.db.run(`
+            INSERT INTO orders (
+                user_id, metal_type, position_type, order_type, quantity, quantity_unit, unit_quantity,
+                limit_price, stop_price, currency, expiry_date, target_price, stop_loss,
+                trailing_stop_amount, trailing_stop_percent, auto_roll, time_in_force, good_till
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId, order.metal_type, order.position_type, order.order_type, order.quantity, order.quantity_unit, order.unit_quantity,
+            order.limit_price, order.stop_price, order.currency, order.expiry_date, order.target_price || null, order.stop_loss || null,
+            order.trailing_stop_amount || null, order.trailing_stop_percent || null, order.auto_roll, order.time_in_force, order.good_till
+        ]);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'ORDER_PLACED', `Placed ${describeOrder(order)} (order ${result.id})`, req.ip]);
+
+        if (order.order_type === 'market') {
+            await fillOrder(req.db, { ...order, id: result.id }, marketPrice);
+        }
+
+        // A market order the fill rejected (e.g. at the position limit) was not placed
+        const placed = await req.db.get('SELECT * FROM orders WHERE id = ?', [result.id]);
+        if (placed.status === 'rejected') {
+            return res.status(400).json({ error: `Order rejected: ${placed.status_reason}`, order: placed });
+        }
+
+        res.status(201).json({
+            message: placed.status === 'filled' ? 'Order filled successfully' : 'Order placed successfully',
+            order: placed
+        });
+
+    } catch (error) {
+        console.error('Place order error:', error);
+        res.status(500).json({ error: 'Failed to place order' });
+    }
+});
+
+// Amend a pending order's quantity, price levels, time in force or exit levels
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const existing = await req.db.get('SELECT * FROM orders WHERE id = ? AND user_id = ?', [id, userId]);
+        if (!existing) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (existing.status !== 'pending') {
+            return res.status(400).json({ error: `Cannot amend ${existing.status} order` });
+        }
+
+        const { order, error } = await orderFromRequest(req.db, userId, req.body, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const marketPrice = await marketPriceForOrder(req.db, order);
+        const priceError = validateOrderPrices(order, marketPrice);
+        if (priceError) {
+            return res.status(400).json({ error: priceError });
+        }
+
+        // Guarded on the status, so an order filled in the meantime is left alone
+        const result = await req.db.run(`
+            UPDATE orders
+            SET quantity = ?, quantity_unit = ?, unit_quantity = ?, limit_price = ?, stop_price = ?,
+                target_price = ?, stop_loss = ?, trailing_stop_amount = ?, trailing_stop_percent = ?,
+                time_in_force = ?, good_till = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [
+            order.quantity, order.quantity_unit, order.unit_quantity, order.limit_price, order.stop_price,
+            order.target_price, order.stop_loss, order.trailing_stop_amount, order.trailing_stop_percent,
+            order.time_in_force, order.good_till, id
+        ]);
+
+        if (!result.changes) {
+            return res.status(409).json({ error: 'Order is no longer pending' });
+        }
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'ORDER_AMENDED', `Amended order ${id} to ${describeOrder(order)}`, req.ip]);
+
+        const amended = await req.db.get('SELECT * FROM orders WHERE id = ?', [id]);
+        res.json({ message: 'Order amended successfully', order: amended });
+
+    } catch (error) {
+        console.error('Amend order error:', error);
+        res.status(500).json({ error: 'Failed to amend order' });
+    }
+});
+
+// Cancel a pending order
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const order = await req.db.get('SELECT * FROM orders WHERE id = ? AND user_id = ?', [id, userId]);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const result = await req.db.run(`
+            UPDATE orders
+            SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [id]);
+
+        if (!result.changes) {
+            const current = await req.db.get('SELECT status FROM orders WHERE id = ?', [id]);
+            return res.status(400).json({ error: `Cannot cancel ${current.status} order` });
+        }
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'ORDER_CANCELLED', `Cancelled order ${id}`, req.ip]);
+
+        res.json({ message: 'Order cancelled successfully' });
+
+    } catch (error) {
+        console.error('Cancel order error:', error);
+        res.status(500).json({ error: 'Failed to cancel order' });
+    }
+});
+
+module.exports = router;
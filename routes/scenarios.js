@@ -0,0 +1,235 @@
+const express = require('express');
+const { HISTORICAL_SCENARIOS, validateShocks, runScenario } = require('../services/stressTest');
+const router = express.Router();
+
+function formatScenario(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        shocks: JSON.parse(row.shocks),
+        lastRunAt: row.last_run_at,
+        lastImpact: row.last_impact,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Named historical scenarios that can be replayed from market_data
+router.get('/historical', (req, res) => {
+    res.json({
+        scenarios: Object.entries(HISTORICAL_SCENARIOS).map(([key, scenario]) => ({ key, ...scenario }))
+    });
+});
+
+// Run shocks against the active book without saving them
+router.post('/run', async (req, res) => {
+    try {
+        const { shocks, error } = validateShocks(req.body.shocks);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await runScenario(req.db, req.user.userId, shocks);
+        res.json(result);
+
+    } catch (error) {
+        console.error('Run scenario error:', error);
+        res.status(500).json({ error: 'Failed to run scenario' });
+    }
+});
+
+// Get the user's saved scenarios
+router.get('/', async (req, res) => {
+    try {
+        const rows = await req.db.all(`
+            SELECT * FROM stress_scenarios
+            WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+        `, [req.user.userId]);
+
+        res.json({ scenarios: rows.map(formatScenario) });
+
+    } catch (error) {
+        console.error('Get scenarios error:', error);
+        res.status(500).json({ error: 'Failed to get scenarios' });
+    }
+});
+
+// Save a scenario
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, description } = req.body;
+
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Scenario name is required' });
+        }
+
+        const { shocks, error } = validateShocks(req.body.shocks);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = await req.db.run(`
+            INSERT INTO stress_scenarios (user_id, name, description, shocks)
+            VALUES (?, ?, ?, ?)
+        `, [userId, String(name).trim(), description || null, JSON.stringify(shocks)]);
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'SCENARIO_CREATED', `Saved stress scenario ${result.id}: ${String(name).trim()}`, req.ip]);
+
+        res.status(201).json({
+            message: 'Scenario saved successfully',
+            scenarioId: result.id
+        });
+
+    } catch (error) {
+        console.error('Create scenario error:', error);
+        res.status(500).json({ error: 'Failed to save scenario' });
+    }
+});
+
+// Get a saved scenario
+router.get('/:id', async (req, res) => {
+    try {
+        const row = await req.db.get(`
+            SELECT * FROM stress_scenarios
+            WHERE id = ? AND user_id = ?
+        `, [req.params.id, req.user.userId]);
+
+        if (!row) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+
+        res.json({ scenario: formatScenario(row) });
+
+    } catch (error) {
+        console.error('Get scenario error:', error);
+        res.status(500).json({ error: 'Failed to get scenario' });
+    }
+});
+
+// Update a saved scenario's name, description or shocks
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+        const { name, description } = req.body;
+
+        const row = await req.db.get('SELECT id FROM stress_scenarios WHERE id = ? AND user_id = ?', [id, userId]);
+        if (!row) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+
+        const updateFields = [];
+        const params = [];
+
+        if (name !== undefined) {
+            if (!String(name).trim()) {
+                return res.status(400).json({ error: 'Scenario name cannot be empty' });
+            }
+            updateFields.push('name = ?');
+            params.push(String(name).trim());
+        }
+
+        if (description !== undefined) {
+            updateFields.push('description = ?');
+            params.push(description || null);
+        }
+
+        if (req.body.shocks !== undefined) {
+            const { shocks, error } = validateShocks(req.body.shocks);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updateFields.push('shocks = ?');
+            params.push(JSON.stringify(shocks));
+        }
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        updateFields.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(id, userId);
+
+        await req.db.run(`
+            UPDATE stress_scenarios
+            SET ${updateFields.join(', ')}
+            WHERE id = ? AND user_id = ?
+        `, params);
+
+        res.json({ message: 'Scenario updated successfully' });
+
+    } catch (error) {
+        console.error('Update scenario error:', error);
+        res.status(500).json({ error: 'Failed to update scenario' });
+    }
+});
+
+// Delete a saved scenario
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const result = await req.db.run(`
+            DELETE FROM stress_scenarios
+            WHERE id = ? AND user_id = ?
+        `, [id, userId]);
+
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+
+        await req.db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [userId, 'SCENARIO_DELETED', `Deleted stress scenario ${id}`, req.ip]);
+
+        res.json({ message: 'Scenario deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete scenario error:', error);
+        res.status(500).json({ error: 'Failed to delete scenario' });
+    }
+});
+
+// Rerun a saved scenario against the current book
+router.post('/:id/run', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const row = await req.db.get(`
+            SELECT * FROM stress_scenarios
+            WHERE id = ? AND user_id = ?
+        `, [id, userId]);
+
+        if (!row) {
+            return res.status(404).json({ error: 'Scenario not found' });
+        }
+
+        const result = await runScenario(req.db, userId, JSON.parse(row.shocks));
+
+        await req.db.run(`
+            UPDATE stress_scenarios
+            SET last_run_at = CURRENT_TIMESTAMP, last_impact = ?
+            WHERE id = ?
+        `, [result.totals.impact, id]);
+
+        res.json({
+            scenario: { id: row.id, name: row.name, description: row.description },
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Rerun scenario error:', error);
+        res.status(500).json({ error: 'Failed to run scenario' });
+    }
+});
+
+module.exports = router;
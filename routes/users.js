@@ -2,6 +2,8 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const { requireRole } = require('../middleware/auth');
+const config = require('../config');
+const { isSupportedCurrency } = require('../services/fx');
 const router = express.Router();
 
 // Get current user profile
@@ -9,7 +11,7 @@ router.get('/profile', async (req, res) => {
     try {
         const user = await req.db.get(`
             SELECT id, email, first_name, last_name, company, phone, role, 
-                   subscription_plan, is_verified, created_at, last_login
+                   subscription_plan, reporting_currency, is_verified, created_at, last_login
             FROM users WHERE id = ?
         `, [req.user.userId]);
 
@@ -28,6 +30,7 @@ router.get('/profile', async (req, res) => {
 router.put('/profile', async (req, res) => {
     try {
         const { firstName, lastName, company, phone } = req.body;
+        const reportingCurrency = req.body.reportingCurrency && String(req.body.reportingCurrency).toUpperCase();
         const userId = req.user.userId;
 
         // Validation
@@ -39,11 +42,16 @@ router.put('/profile', async (req, res) => {
             return res.status(400).json({ error: 'Invalid phone number format' });
         }
 
+        if (reportingCurrency && !isSupportedCurrency(reportingCurrency)) {
+            return res.status(400).json({ error: `Unsupported reporting currency: ${reportingCurrency}` });
+        }
+
         await req.db.run(`
             UPDATE users 
-            SET first_name = ?, last_name = ?, company = ?, phone = ?, updated_at = CURRENT_TIMESTAMP
+            SET first_name = ?, last_name = ?, company = ?, phone = ?,
+                reporting_currency = COALESCE(?, reporting_currency), updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
-        `, [firstName, lastName, company || null, phone || null, userId]);
+        `, [firstName, lastName, company || null, phone || null, reportingCurrency || null, userId]);
 
         // Log the profile update
         await req.db.run(`
@@ -85,7 +93,7 @@ router.put('/change-password', async (req, res) => {
         }
 
         // Hash new password
-        const hashedNewPassword = await bcrypt.hash(newPassword, parseInt(process.env.BCRYPT_ROUNDS));
+        const hashedNewPassword = await bcrypt.hash(newPassword, config.bcryptRounds);
 
         await req.db.run(`
             UPDATE users 
@@ -192,7 +200,7 @@ router.post('/alerts', async (req, res) => {
         const result = await req.db.run(`
             INSERT INTO trading_alerts (user_id, metal_type, alert_type, target_value)
             VALUES (?, ?, ?, ?)
-        `, [userId, metalType, alertType, parseFloat(targetValue)]);
+        `, [userId, metalType.toUpperCase(), alertType, parseFloat(targetValue)]);
 
         res.status(201).json({ 
             message: 'Trading alert created successfully',
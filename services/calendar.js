@@ -0,0 +1,209 @@
+const moment = require('moment');
+const config = require('../config');
+
+// Exchange trading calendar. Weekend days and holidays come from the calendar
+// data file (CALENDAR_FILE); dates are handled as UTC calendar days.
+//
+// Prompt dates follow the LME structure: daily prompts from cash (T+2) to
+// the 3-month date, weekly Wednesday prompts out to 6 months, then monthly
+// third-Wednesday prompts out to each metal's longest tenor.
+const MAX_PROMPT_MONTHS = {
+    COPPER: 123,
+    ALUMINUM: 123,
+    ZINC: 63,
+    NICKEL: 63,
+    LEAD: 63,
+    TIN: 15
+};
+const WEEKLY_PROMPT_MONTHS = 6;
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const calendarData = config.calendar.data || {};
+const weekendDays = new Set(calendarData.weekend || [6, 7]);
+const holidays = calendarData.holidays || {};
+
+function toDay(date) {
+    return moment.utc(date).startOf('day');
+}
+
+function formatDate(date) {
+    return toDay(date).format(DATE_FORMAT);
+}
+
+function holidayName(date) {
+    return holidays[formatDate(date)] || null;
+}
+
+function isBusinessDay(date) {
+    const day = toDay(date);
+    return !weekendDays.has(day.isoWeekday()) && !holidays[day.format(DATE_FORMAT)];
+}
+
+// First business day on or after the date
+function nextBusinessDay(date) {
+    const day = toDay(date);
+    while (!isBusinessDay(day)) day.add(1, 'day');
+    return day;
+}
+
+// Last business day on or before the date
+function previousBusinessDay(date) {
+    const day = toDay(date);
+    while (!isBusinessDay(day)) day.subtract(1, 'day');
+    return day;
+}
+
+// Roll forward to a business day unless that crosses into the next month
+function modifiedFollowing(date) {
+    const next = nextBusinessDay(date);
+    return next.month() === toDay(date).month() ? next : previousBusinessDay(date);
+}
+
+function addBusinessDays(date, count) {
+    const day = toDay(date);
+    let added = 0;
+    while (added < count) {
+        day.add(1, 'day');
+        if (isBusinessDay(day)) added++;
+    }
+    return day;
+}
+
+// Business days after `from` up to and including `to`; negative when `to` is earlier
+function businessDaysBetween(from, to) {
+    const start = toDay(from);
+    const end = toDay(to);
+    const sign = end.isBefore(start) ? -1 : 1;
+    const [first, last] = sign > 0 ? [start, end] : [end, start];
+
+    let count = 0;
+    const day = first.clone().add(1, 'day');
+    while (!day.isAfter(last)) {
+        if (isBusinessDay(day)) count++;
+        day.add(1, 'day');
+    }
+    return sign * count;
+}
+
+function thirdWednesday(year, month) {
+    const day = moment.utc({ year, month, date: 1 });
+    while (day.isoWeekday() !== 3) day.add(1, 'day');
+    return day.add(2, 'weeks');
+}
+
+// Monthly prompt: the third Wednesday, or the next business day after it
+function monthlyPrompt(year, month) {
+    return nextBusinessDay(thirdWednesday(year, month));
+}
+
+// First monthly prompt on or after the cash date
+function nextMonthlyPrompt(asOf = new Date()) {
+    const cash = cashDate(asOf);
+    const prompt = monthlyPrompt(cash.year(), cash.month());
+    if (!prompt.isBefore(cash)) return prompt;
+    const next = cash.clone().add(1, 'month');
+    return monthlyPrompt(next.year(), next.month());
+}
+
+function cashDate(asOf = new Date()) {
+    return addBusinessDays(asOf, 2);
+}
+
+function threeMonthDate(asOf = new Date()) {
+    return modifiedFollowing(toDay(asOf).add(3, 'months'));
+}
+
+// Check a date against a metal's prompt structure as of a trade date.
+// Returns { valid, type } or { valid: false, reason }.
+function checkPromptDate(metal, date, asOf = new Date()) {
+    const day = moment.utc(date, [DATE_FORMAT, moment.ISO_8601]).startOf('day');
+    if (!day.isValid()) {
+        return { valid: false, reason: `Invalid date: ${date}` };
+    }
+
+    const label = day.format(DATE_FORMAT);
+    if (!isBusinessDay(day)) {
+        const holiday = holidayName(day);
+        return {
+            valid: false,
+            reason: holiday ? `${label} is an exchange holiday (${holiday})` : `${label} falls on a weekend`
+        };
+    }
+
+    const today = toDay(asOf);
+    const cash = cashDate(today);
+    if (day.isBefore(cash)) {
+        return { valid: false, reason: `Prompt dates start at cash (${cash.format(DATE_FORMAT)})` };
+    }
+
+    if (!day.isAfter(threeMonthDate(today))) {
+        return { valid: true, type: 'daily' };
+    }
+
+    if (!day.isAfter(today.clone().add(WEEKLY_PROMPT_MONTHS, 'months'))) {
+        // Weekly prompts are Wednesdays, rolled forward when the Wednesday is a holiday
+        const wednesday = day.clone().subtract((day.isoWeekday() + 4) % 7, 'days');
+        return nextBusinessDay(wednesday).isSame(day)
+            ? { valid: true, type: 'weekly' }
+            : { valid: false, reason: `Between 3 and ${WEEKLY_PROMPT_MONTHS} months only weekly (Wednesday) prompts trade` };
+    }
+
+    const maxMonths = MAX_PROMPT_MONTHS[metal];
+    if (!maxMonths) {
+        return { valid: false, reason: `No prompt structure defined for ${metal}` };
+    }
+    if (day.isAfter(today.clone().add(maxMonths, 'months'))) {
+        return { valid: false, reason: `${metal} prompts run to ${maxMonths} months` };
+    }
+
+    return monthlyPrompt(day.year(), day.month()).isSame(day)
+        ? { valid: true, type: 'monthly' }
+        : { valid: false, reason: `Beyond ${WEEKLY_PROMPT_MONTHS} months only monthly (third Wednesday) prompts trade` };
+}
+
+// First valid prompt date on or after the date (or cash, if later), or null
+// when none exists within the metal's tenor
+function nextValidPrompt(metal, date, asOf = new Date()) {
+    const cash = cashDate(asOf);
+    let day = moment.utc(date, [DATE_FORMAT, moment.ISO_8601]).startOf('day');
+    if (!day.isValid() || day.isBefore(cash)) day = cash;
+
+    const limit = toDay(asOf).add(MAX_PROMPT_MONTHS[metal] || 0, 'months');
+    while (!day.isAfter(limit)) {
+        if (checkPromptDate(metal, day, asOf).valid) return day.format(DATE_FORMAT);
+        day.add(1, 'day');
+    }
+    return null;
+}
+
+// Holidays between two dates: [{ date, name }]
+function holidaysBetween(from, to) {
+    const start = formatDate(from);
+    const end = formatDate(to);
+    return Object.keys(holidays)
+        .filter(date => date >= start && date <= end)
+        .sort()
+        .map(date => ({ date, name: holidays[date] }));
+}
+
+module.exports = {
+    MAX_PROMPT_MONTHS,
+    WEEKLY_PROMPT_MONTHS,
+    exchange: calendarData.exchange || null,
+    formatDate,
+    holidayName,
+    isBusinessDay,
+    nextBusinessDay,
+    previousBusinessDay,
+    modifiedFollowing,
+    addBusinessDays,
+    businessDaysBetween,
+    thirdWednesday,
+    monthlyPrompt,
+    nextMonthlyPrompt,
+    cashDate,
+    threeMonthDate,
+    checkPromptDate,
+    nextValidPrompt,
+    holidaysBetween
+};
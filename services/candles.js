@@ -0,0 +1,151 @@
+// OHLCV candle aggregation over market_data.
+//
+// Candles are rolled up into market_candles on read: buckets from the last
+// stored (possibly still open) candle onwards are recomputed, older ones are
+// served as stored. rebuildCandles() recomputes a range after back-dated
+// inserts such as historical imports.
+//
+// market_data.volume is a rolling daily volume, so a candle's volume is the
+// sum over the days it spans of each day's last reported volume.
+
+const SECONDS = {
+    '1m': 60,
+    '5m': 5 * 60,
+    '15m': 15 * 60,
+    '1h': 60 * 60,
+    '4h': 4 * 60 * 60,
+    '1d': 24 * 60 * 60,
+    '1w': 7 * 24 * 60 * 60
+};
+
+const CANDLE_INTERVALS = Object.keys(SECONDS);
+
+// Weekly candles start on Monday; the Unix epoch fell on a Thursday
+const WEEK_OFFSET = 4 * 24 * 60 * 60;
+
+function intervalSeconds(interval) {
+    return SECONDS[interval];
+}
+
+function bucketOffset(interval) {
+    return interval === '1w' ? WEEK_OFFSET : 0;
+}
+
+// Start of the bucket containing date, as SQLite DATETIME text
+function bucketStart(date, interval) {
+    const seconds = SECONDS[interval];
+    const offset = bucketOffset(interval);
+    const epoch = Math.floor(new Date(date).getTime() / 1000);
+    const start = Math.floor((epoch - offset) / seconds) * seconds + offset;
+    return new Date(start * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Recompute every candle of one interval whose bucket starts at or after from
+async function rollup(db, metal, interval, from) {
+    const seconds = SECONDS[interval];
+    const offset = bucketOffset(interval);
+
+    await db.run(`
+        INSERT OR REPLACE INTO market_candles (
+            metal_type, interval, bucket_start, open, high, low, close, volume, tick_count, updated_at
+        )
+        SELECT
+            metal_type,
+            ?,
+            datetime(bucket, 'unixepoch'),
+            MAX(open),
+            MAX(price),
+            MIN(price),
+            MAX(close),
+            SUM(CASE WHEN day_rank = 1 THEN volume ELSE 0 END),
+            COUNT(*),
+            CURRENT_TIMESTAMP
+        FROM (
+            SELECT metal_type, price, volume, bucket,
+                   FIRST_VALUE(price) OVER (PARTITION BY bucket ORDER BY timestamp ASC, id ASC) as open,
+                   FIRST_VALUE(price) OVER (PARTITION BY bucket ORDER BY timestamp DESC, id DESC) as close,
+                   ROW_NUMBER() OVER (PARTITION BY bucket, date(timestamp) ORDER BY timestamp DESC, id DESC) as day_rank
+            FROM (
+                SELECT id, metal_type, price, COALESCE(volume, 0) as volume, timestamp,
+                       ((CAST(strftime('%s', timestamp) AS INTEGER) - ?) / ?) * ? + ? as bucket
+                FROM market_data
+                WHERE metal_type = ? AND timestamp >= ?
+            )
+        )
+        GROUP BY bucket
+    `, [interval, offset, seconds, seconds, offset, metal, from]);
+}
+
+// Bring stored candles up to date with market_data
+async function refreshCandles(db, metal, interval) {
+    const last = await db.get(`
+        SELECT MAX(bucket_start) as bucket_start FROM market_candles
+        WHERE metal_type = ? AND interval = ?
+    `, [metal, interval]);
+
+    let from = last && last.bucket_start;
+    if (!from) {
+        const first = await db.get('SELECT MIN(timestamp) as timestamp FROM market_data WHERE metal_type = ?', [metal]);
+        if (!first || !first.timestamp) return;
+        from = bucketStart(first.timestamp.replace(' ', 'T') + 'Z', interval);
+    }
+
+    await rollup(db, metal, interval, from);
+}
+
+// Recompute candles of every interval that overlap [from, now)
+async function rebuildCandles(db, metal, from) {
+    for (const interval of CANDLE_INTERVALS) {
+        const start = bucketStart(from, interval);
+        await db.run(`
+            DELETE FROM market_candles
+            WHERE metal_type = ? AND interval = ? AND bucket_start >= ?
+        `, [metal, interval, start]);
+        await rollup(db, metal, interval, start);
+    }
+}
+
+// Candles for metal/interval whose bucket starts within [from, to]
+async function getCandles(db, metal, interval, from, to = new Date()) {
+    if (!SECONDS[interval]) {
+        throw new Error(`Unsupported candle interval: ${interval}`);
+    }
+
+    await refreshCandles(db, metal, interval);
+
+    const rows = await db.all(`
+        SELECT bucket_start, open, high, low, close, volume, tick_count
+        FROM market_candles
+        WHERE metal_type = ? AND interval = ? AND bucket_start >= ? AND bucket_start <= ?
+        ORDER BY bucket_start ASC
+    `, [metal, interval, bucketStart(from, interval), bucketStart(to, interval)]);
+
+    return rows.map(row => ({
+        timestamp: row.bucket_start,
+        open: row.open,
+        high: row.high,
+        low: row.low,
+        close: row.close,
+        volume: row.volume,
+        ticks: row.tick_count
+    }));
+}
+
+// Closed daily closes for a metal between two dates (YYYY-MM-DD, inclusive):
+// [{ date, close }]. Today's candle is still open and left out.
+async function getDailyCloses(db, metal, start, end) {
+    const today = bucketStart(new Date(), '1d');
+    const candles = await getCandles(db, metal, '1d', new Date(`${start}T00:00:00Z`), new Date(`${end}T00:00:00Z`));
+    return candles
+        .filter(candle => candle.timestamp < today)
+        .map(candle => ({ date: candle.timestamp.slice(0, 10), close: candle.close }));
+}
+
+module.exports = {
+    CANDLE_INTERVALS,
+    intervalSeconds,
+    bucketStart,
+    getCandles,
+    getDailyCloses,
+    rebuildCandles
+};
@@ -0,0 +1,170 @@
+const config = require('../config');
+const { marketEvents } = require('./marketData');
+const { forwardPricesForPositions } = require('./forwardCurve');
+const { BASE_CURRENCY, getLatestRates, convert } = require('./fx');
+const { closePosition } = require('./positions');
+
+// Stop-loss, trailing-stop and target-price execution. On every recorded tick
+// each active position with a trigger is valued like everywhere else (forward
+// price for its expiry, in the position's currency) and closed at the trigger
+// level once the price reaches it. Trailing stops follow the best price seen
+// since entry (highest for longs, lowest for shorts) by a fixed amount or a
+// percentage, and never move back.
+
+// Check trailing stop settings; returns an error message or null
+function validateTrailingStop(amount, percent) {
+    const hasAmount = amount !== undefined && amount !== null;
+    const hasPercent = percent !== undefined && percent !== null;
+
+    if (hasAmount && hasPercent) {
+        return 'Set either trailingStopAmount or trailingStopPercent, not both';
+    }
+    if (hasAmount && !(Number(amount) > 0)) {
+        return 'Trailing stop amount must be a positive number';
+    }
+    if (hasPercent && !(Number(percent) > 0 && Number(percent) < 100)) {
+        return 'Trailing stop percent must be between 0 and 100';
+    }
+    return null;
+}
+
+// Stops must sit on the losing side of the entry price and targets on the
+// winning side, or they would execute immediately at a price never traded.
+// Returns an error message or null.
+function validateTriggers(positionType, entryPrice, stopLoss, targetPrice) {
+    const isLong = positionType === 'long';
+    if (stopLoss !== undefined && stopLoss !== null && (isLong ? stopLoss >= entryPrice : stopLoss <= entryPrice)) {
+        return `Stop loss must be ${isLong ? 'below' : 'above'} the entry price for a ${positionType} position`;
+    }
+    if (targetPrice !== undefined && targetPrice !== null && (isLong ? targetPrice <= entryPrice : targetPrice >= entryPrice)) {
+        return `Target price must be ${isLong ? 'above' : 'below'} the entry price for a ${positionType} position`;
+    }
+    return null;
+}
+
+// Trailing stop level for a best price, or null when the position has none
+function trailingStopLevel(position, bestPrice) {
+    if (!bestPrice) return null;
+    const distance = position.trailing_stop_amount
+        || (position.trailing_stop_percent ? bestPrice * position.trailing_stop_percent / 100 : null);
+    if (!distance) return null;
+    const level = position.position_type === 'long' ? bestPrice - distance : bestPrice + distance;
+    return parseFloat(level.toFixed(2));
+}
+
+// The trigger a price hits, if any: { reason, triggerPrice }. When both the
+// fixed and the trailing stop are breached the tighter one is used, since the
+// price passed it first.
+function checkTriggers(position, price, bestPrice) {
+    const isLong = position.position_type === 'long';
+    const breached = level => level !== null && level !== undefined && (isLong ? price <= level : price >= level);
+
+    const stops = [
+        { reason: 'stop_loss', triggerPrice: position.stop_loss },
+        { reason: 'trailing_stop', triggerPrice: trailingStopLevel(position, bestPrice) }
+    ]
+        .filter(stop => breached(stop.triggerPrice))
+        .sort((a, b) => (isLong ? b.triggerPrice - a.triggerPrice : a.triggerPrice - b.triggerPrice));
+    if (stops.length) return stops[0];
+
+    const target = position.target_price;
+    if (target && (isLong ? price >= target : price <= target)) {
+        return { reason: 'target', triggerPrice: target };
+    }
+    return null;
+}
+
+// Evaluate active positions in the ticked metals against base-currency spot
+// prices ({ metal: price }). Returns the positions closed:
+// [{ id, userId, reason, triggerPrice, finalPnL }].
+async function evaluatePositions(db, prices) {
+    const metals = Object.keys(prices);
+    if (!metals.length) return [];
+
+    const positions = await db.all(`
+        SELECT * FROM hedging_positions
+        WHERE status = 'active'
+          AND metal_type IN (${metals.map(() => '?').join(', ')})
+          AND (stop_loss IS NOT NULL OR target_price IS NOT NULL
+               OR trailing_stop_amount IS NOT NULL OR trailing_stop_percent IS NOT NULL)
+    `, metals);
+    if (!positions.length) return [];
+
+    const tickedPositions = positions.map(position => ({ ...position, current_market_price: prices[position.metal_type] }));
+    const forwardPrices = await forwardPricesForPositions(db, tickedPositions);
+    const rates = await getLatestRates(db);
+
+    const closed = [];
+    for (const position of tickedPositions) {
+        const marketPrice = forwardPrices[position.id];
+        if (!marketPrice) continue;
+        const price = convert(marketPrice, BASE_CURRENCY, position.currency, rates);
+
+        // Ratchet the best price before checking, so a new high (or low) never triggers
+        let bestPrice = position.best_price;
+        if (position.trailing_stop_amount || position.trailing_stop_percent) {
+            const improved = !bestPrice
+                || (position.position_type === 'long' ? price > bestPrice : price < bestPrice);
+            if (improved) {
+                bestPrice = parseFloat(price.toFixed(2));
+                await db.run('UPDATE hedging_positions SET best_price = ? WHERE id = ?', [bestPrice, position.id]);
+            }
+        }
+
+        const trigger = checkTriggers(position, price, bestPrice);
+        if (!trigger) continue;
+
+        const triggerPrice = parseFloat(trigger.triggerPrice.toFixed(2));
+        const result = await closePosition(db, position, { closePrice: triggerPrice, reason: trigger.reason });
+        if (result) {
+            closed.push({
+                id: position.id,
+                userId: position.user_id,
+                reason: trigger.reason,
+                triggerPrice,
+                finalPnL: result.finalPnL
+            });
+        }
+    }
+    return closed;
+}
+
+// Run the engine on every batch of quotes recorded by the market ticker.
+// Ticks arriving while a batch is still being evaluated are skipped.
+function startExecutionEngine(db) {
+    if (!config.execution.enabled) return () => {};
+
+    let running = false;
+    const onQuotes = (quotes) => {
+        if (running) return;
+        running = true;
+
+        const prices = {};
+        quotes.forEach(quote => { prices[quote.metal] = quote.price; });
+
+        evaluatePositions(db, prices)
+            .then(closed => {
+                closed.forEach(close => {
+                    console.log(`Execution engine closed position ${close.id} (${close.reason} at ${close.triggerPrice})`);
+                });
+            })
+            .catch(error => {
+                console.error('Execution engine error:', error);
+            })
+            .finally(() => {
+                running = false;
+            });
+    };
+
+    marketEvents.on('quotes', onQuotes);
+    return () => marketEvents.off('quotes', onQuotes);
+}
+
+module.exports = {
+    validateTriggers,
+    validateTrailingStop,
+    trailingStopLevel,
+    checkTriggers,
+    evaluatePositions,
+    startExecutionEngine
+};
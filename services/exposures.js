@@ -0,0 +1,223 @@
+const moment = require('moment');
+const config = require('../config');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { BASE_CURRENCY, isSupportedCurrency } = require('./fx');
+const { lotSize, normalizeUnit, toTonnes, validateQuantity } = require('./units');
+const { positionRisk } = require('./options');
+
+// Physical exposures and hedge ratios. Inventory and fixed-price purchase
+// commitments are long the metal (they lose when prices fall) and fixed-price
+// sales commitments are short it. Floating-price commitments are priced at the
+// market on delivery and carry no flat-price risk, so by default they are
+// listed but not hedged. A business that fixes the floating price instead
+// (config.exposures.hedgeFloatingPrice) is short the metal on a floating
+// purchase, which costs more when prices rise, and long on a floating sale.
+// Exposures and active hedging positions are bucketed by metal and
+// month (delivery month, or the month of the hedge's expiry; options and
+// swaps count at their delta), and each bucket's hedge ratio is the share of
+// the net physical exposure offset by hedges in the opposite direction.
+
+const EXPOSURE_TYPES = ['purchase_commitment', 'sales_commitment', 'inventory'];
+const PRICING_BASES = ['fixed', 'floating'];
+const MONTH_FORMAT = 'YYYY-MM';
+const HEDGE_STATUSES = ['unhedged', 'under_hedged', 'hedged', 'over_hedged', 'wrong_direction', 'no_exposure'];
+
+// Signed price exposure in tonnes: positive when long the metal
+function exposureQuantity(exposure, { hedgeFloatingPrice } = config.exposures) {
+    const sale = exposure.exposure_type === 'sales_commitment';
+    if (exposure.exposure_type !== 'inventory' && exposure.pricing_basis === 'floating') {
+        if (!hedgeFloatingPrice) return 0;
+        return sale ? exposure.quantity : -exposure.quantity;
+    }
+    return sale ? -exposure.quantity : exposure.quantity;
+}
+
+// Check and normalize exposure fields from a request body, over `base` when
+// updating one. Returns { exposure } or { error }.
+function validateExposure(input, base = null, defaultCurrency = BASE_CURRENCY) {
+    const exposure = base ? { ...base } : { pricing_basis: 'fixed', status: 'open' };
+
+    if (!base || input.metalType !== undefined) {
+        const metal = input.metalType && String(input.metalType).toUpperCase();
+        if (!metal || !DEFAULT_METALS[metal]) return { error: `Unknown metal: ${input.metalType}` };
+        exposure.metal_type = metal;
+    }
+
+    if (!base || input.exposureType !== undefined) {
+        if (!EXPOSURE_TYPES.includes(input.exposureType)) {
+            return { error: `Exposure type must be one of: ${EXPOSURE_TYPES.join(', ')}` };
+        }
+        exposure.exposure_type = input.exposureType;
+    }
+
+    if (!base || input.quantity !== undefined || input.quantityUnit !== undefined) {
+        const quantity = input.quantity !== undefined ? input.quantity : base.unit_quantity;
+        const unit = (input.quantityUnit !== undefined || !base) ? normalizeUnit(input.quantityUnit) : base.quantity_unit;
+        const quantityError = validateQuantity(quantity, unit, exposure.metal_type);
+        if (quantityError) return { error: quantityError };
+        exposure.quantity = toTonnes(quantity, unit, exposure.metal_type);
+        exposure.quantity_unit = unit;
+        exposure.unit_quantity = Number(quantity);
+    }
+
+    // Inventory is on hand, so it defaults to the current month
+    if (input.deliveryMonth !== undefined || !base) {
+        const month = input.deliveryMonth
+            ? moment.utc(input.deliveryMonth, MONTH_FORMAT, true)
+            : exposure.exposure_type === 'inventory' ? moment.utc() : null;
+        if (!month || !month.isValid()) {
+            return { error: 'deliveryMonth must be a month (YYYY-MM)' };
+        }
+        exposure.delivery_month = month.format(MONTH_FORMAT);
+    }
+
+    if (input.pricingBasis !== undefined) {
+        if (!PRICING_BASES.includes(input.pricingBasis)) {
+            return { error: `Pricing basis must be one of: ${PRICING_BASES.join(', ')}` };
+        }
+        exposure.pricing_basis = input.pricingBasis;
+    }
+
+    if (input.price !== undefined) {
+        if (input.price !== null && !(Number(input.price) > 0)) return { error: 'Price must be a positive number' };
+        exposure.price = input.price === null ? null : Number(input.price);
+    }
+
+    if (input.currency !== undefined || !base) {
+        const currency = String(input.currency || defaultCurrency).toUpperCase();
+        if (!isSupportedCurrency(currency)) return { error: `Unsupported currency: ${currency}` };
+        exposure.currency = currency;
+    }
+
+    if (input.status !== undefined) {
+        if (!['open', 'closed'].includes(input.status)) return { error: 'Status must be either "open" or "closed"' };
+        exposure.status = input.status;
+    }
+
+    if (input.reference !== undefined) exposure.reference = input.reference || null;
+    if (input.notes !== undefined) exposure.notes = input.notes || null;
+
+    return { exposure };
+}
+
+// Bucket status; hedges against no exposure (or only floating-price
+// commitments when their price is not hedged) are over-hedged
+function classify(ratio, physical, hedged) {
+    const { min, max } = config.hedgeRatio;
+    if (!physical) return hedged ? 'over_hedged' : 'no_exposure';
+    if (ratio < 0) return 'wrong_direction';
+    if (ratio === 0) return 'unhedged';
+    if (ratio < min) return 'under_hedged';
+    if (ratio > max) return 'over_hedged';
+    return 'hedged';
+}
+
+const round = value => parseFloat(value.toFixed(3));
+
+function summarizeBucket(bucket) {
+    const { target } = config.hedgeRatio;
+    const ratio = bucket.physical ? -bucket.hedged / bucket.physical : null;
+    const status = classify(ratio, bucket.physical, bucket.hedged);
+
+    // Hedge that would bring the bucket to the target ratio: positive means buy (long)
+    const adjustment = -target * bucket.physical - bucket.hedged;
+    const size = lotSize(bucket.metal);
+
+    return {
+        ...bucket,
+        physical: round(bucket.physical),
+        hedged: round(bucket.hedged),
+        hedgeRatio: ratio === null ? null : parseFloat(ratio.toFixed(4)),
+        status,
+        adjustment: ['hedged', 'no_exposure'].includes(status) || Math.abs(adjustment) < 1e-9
+            ? null
+            : {
+                positionType: adjustment > 0 ? 'long' : 'short',
+                quantity: round(Math.abs(adjustment)),
+                lots: size ? parseFloat((Math.abs(adjustment) / size).toFixed(2)) : null
+            }
+    };
+}
+
+// Hedge ratio per metal and month for a user's open exposures and active
+// positions. Quantities are signed tonnes (physical: long +; hedged: long +).
+// Returns { target, min, max, buckets, byMetal }.
+async function getHedgeRatios(db, userId, { metal = null } = {}) {
+    const metalFilter = metal ? ' AND metal_type = ?' : '';
+    const params = metal ? [userId, metal] : [userId];
+
+    const exposures = await db.all(`
+        SELECT * FROM physical_exposures
+        WHERE user_id = ? AND status = 'open'${metalFilter}
+    `, params);
+    const positions = await db.all(`
+        SELECT *, strftime('%Y-%m', expiry_date) AS month
+        FROM hedging_positions
+        WHERE user_id = ? AND status = 'active'${metalFilter}
+    `, params);
+    // Options and swaps hedge their delta; without a market price they are left out
+    const derivatives = positions.filter(position => position.instrument_type !== 'future');
+    const risk = derivatives.length ? await positionRisk(db, derivatives) : {};
+
+    const buckets = new Map();
+    const bucketFor = (metalType, month) => {
+        const key = `${metalType}:${month}`;
+        if (!buckets.has(key)) {
+            buckets.set(key, { metal: metalType, month, physical: 0, hedged: 0, exposures: 0, positions: 0 });
+        }
+        return buckets.get(key);
+    };
+
+    exposures.forEach(exposure => {
+        const bucket = bucketFor(exposure.metal_type, exposure.delivery_month);
+        bucket.physical += exposureQuantity(exposure, config.exposures);
+        bucket.exposures++;
+    });
+    positions.forEach(position => {
+        const bucket = bucketFor(position.metal_type, position.month);
+        if (position.instrument_type !== 'future') {
+            bucket.hedged += risk[position.id] ? risk[position.id].greeks.delta : 0;
+        } else {
+            bucket.hedged += position.position_type === 'long' ? position.quantity : -position.quantity;
+        }
+        bucket.positions++;
+    });
+
+    const sorted = [...buckets.values()]
+        .sort((a, b) => a.metal.localeCompare(b.metal) || a.month.localeCompare(b.month));
+
+    const totals = {};
+    sorted.forEach(bucket => {
+        if (!totals[bucket.metal]) {
+            totals[bucket.metal] = { metal: bucket.metal, month: null, physical: 0, hedged: 0, exposures: 0, positions: 0 };
+        }
+        const total = totals[bucket.metal];
+        total.physical += bucket.physical;
+        total.hedged += bucket.hedged;
+        total.exposures += bucket.exposures;
+        total.positions += bucket.positions;
+    });
+
+    const { target, min, max } = config.hedgeRatio;
+    return {
+        target,
+        min,
+        max,
+        unit: 't',
+        buckets: sorted.map(summarizeBucket),
+        byMetal: Object.values(totals).map(total => {
+            const { month, ...summary } = summarizeBucket(total);
+            return summary;
+        })
+    };
+}
+
+module.exports = {
+    HEDGE_STATUSES,
+    EXPOSURE_TYPES,
+    PRICING_BASES,
+    exposureQuantity,
+    classify,
+    validateExposure,
+    getHedgeRatios
+};
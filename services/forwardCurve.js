@@ -0,0 +1,205 @@
+const moment = require('moment');
+const config = require('../config');
+const { cashDate, threeMonthDate, monthlyPrompt } = require('./calendar');
+
+// Cost-of-carry forward curve model: F(T) = S * exp((r + storage - y(T)) * T),
+// where the convenience yield y(T) moves from a short-end to a long-end level
+// with time constant tau (years). A short-end yield above r + storage gives a
+// backwardated front of the curve.
+const DEFAULT_CURVE_PARAMS = {
+    COPPER: { storage: 0.015, yieldShort: 0.02, yieldLong: 0.01, tau: 0.5 },
+    ALUMINUM: { storage: 0.03, yieldShort: 0.0, yieldLong: 0.0, tau: 0.5 },
+    ZINC: { storage: 0.02, yieldShort: 0.09, yieldLong: 0.02, tau: 0.4 },
+    NICKEL: { storage: 0.01, yieldShort: 0.07, yieldLong: 0.03, tau: 0.5 },
+    LEAD: { storage: 0.02, yieldShort: 0.05, yieldLong: 0.02, tau: 0.5 },
+    TIN: { storage: 0.01, yieldShort: 0.10, yieldLong: 0.04, tau: 0.3 }
+};
+
+const MONTHLY_PROMPTS = 27;
+// Spreads within this fraction of cash count as flat
+const FLAT_THRESHOLD = 0.001;
+
+function curveParams(metal) {
+    const overrides = (config.forwardCurve.params || {})[metal] || {};
+    return { ...(DEFAULT_CURVE_PARAMS[metal] || DEFAULT_CURVE_PARAMS.COPPER), ...overrides };
+}
+
+// Cash, 3-month and the next 27 monthly (third Wednesday) prompt dates
+function promptSchedule(asOf = new Date()) {
+    const cash = cashDate(asOf);
+    const threeMonth = threeMonthDate(asOf);
+
+    const prompts = [
+        { tenor: 'CASH', promptDate: cash },
+        { tenor: '3M', promptDate: threeMonth }
+    ];
+
+    const month = cash.clone().startOf('month');
+    while (prompts.length < MONTHLY_PROMPTS + 2) {
+        const prompt = monthlyPrompt(month.year(), month.month());
+        if (prompt.isAfter(cash)) {
+            prompts.push({ tenor: `M${prompts.length - 1}`, promptDate: prompt });
+        }
+        month.add(1, 'month');
+    }
+
+    return prompts;
+}
+
+// Forward price for a metal at a time to maturity (years) from spot
+function modelForwardPrice(metal, spot, years) {
+    const { storage, yieldShort, yieldLong, tau } = curveParams(metal);
+    const rate = config.forwardCurve.interestRate;
+
+    // Average convenience yield over [0, T]
+    const decay = years > 0 ? (1 - Math.exp(-years / tau)) * tau / years : 1;
+    const convenienceYield = yieldLong + (yieldShort - yieldLong) * decay;
+
+    return spot * Math.exp((rate + storage - convenienceYield) * years);
+}
+
+// Curve points for a metal from its spot price
+function buildForwardCurve(metal, spot, asOf = new Date()) {
+    const today = moment.utc(asOf).startOf('day');
+
+    return promptSchedule(asOf).map(({ tenor, promptDate }) => {
+        const days = promptDate.diff(today, 'days');
+        return {
+            tenor,
+            promptDate: promptDate.format('YYYY-MM-DD'),
+            days,
+            price: parseFloat(modelForwardPrice(metal, spot, days / 365).toFixed(2))
+        };
+    });
+}
+
+// Contango/backwardation indicators for a curve
+function curveStructure(points) {
+    const cash = points.find(point => point.tenor === 'CASH');
+    const threeMonth = points.find(point => point.tenor === '3M');
+    const last = points[points.length - 1];
+    if (!cash || !threeMonth) return null;
+
+    const classify = (spread) => {
+        if (Math.abs(spread) / cash.price < FLAT_THRESHOLD) return 'flat';
+        return spread > 0 ? 'contango' : 'backwardation';
+    };
+
+    const cashTo3M = threeMonth.price - cash.price;
+    const cashToBack = last.price - cash.price;
+    const front = classify(cashTo3M);
+    const back = classify(last.price - threeMonth.price);
+
+    return {
+        structure: front === back || back === 'flat' ? front : 'mixed',
+        front,
+        back,
+        cashTo3M: {
+            spread: parseFloat(cashTo3M.toFixed(2)),
+            percent: parseFloat((cashTo3M / cash.price * 100).toFixed(3))
+        },
+        cashToBack: {
+            tenor: last.tenor,
+            spread: parseFloat(cashToBack.toFixed(2)),
+            percent: parseFloat((cashToBack / cash.price * 100).toFixed(3))
+        },
+        // Implied annualized carry between cash and 3M
+        annualizedCarry: parseFloat((Math.log(threeMonth.price / cash.price)
+            / (moment.utc(threeMonth.promptDate).diff(moment.utc(cash.promptDate), 'days') / 365) * 100).toFixed(3))
+    };
+}
+
+// Linear interpolation on prompt date; flat beyond either end of the curve
+function priceAtDate(points, date) {
+    if (!points || points.length === 0) return null;
+
+    const target = moment.utc(date).format('YYYY-MM-DD');
+    const sorted = [...points].sort((a, b) => a.promptDate.localeCompare(b.promptDate));
+
+    if (target <= sorted[0].promptDate) return sorted[0].price;
+    if (target >= sorted[sorted.length - 1].promptDate) return sorted[sorted.length - 1].price;
+
+    for (let i = 1; i < sorted.length; i++) {
+        if (target <= sorted[i].promptDate) {
+            const left = sorted[i - 1];
+            const right = sorted[i];
+            const span = moment.utc(right.promptDate).diff(moment.utc(left.promptDate), 'days');
+            const offset = moment.utc(target).diff(moment.utc(left.promptDate), 'days');
+            const price = span > 0 ? left.price + (right.price - left.price) * offset / span : right.price;
+            return parseFloat(price.toFixed(2));
+        }
+    }
+
+    return sorted[sorted.length - 1].price;
+}
+
+// Upsert today's curve snapshot for each quoted metal
+async function recordForwardCurves(db, quotes, asOf = new Date()) {
+    const curveDate = moment.utc(asOf).format('YYYY-MM-DD');
+
+    await db.transaction(async () => {
+        for (const quote of quotes) {
+            for (const point of buildForwardCurve(quote.metal, quote.price, asOf)) {
+                await db.run(`
+                    INSERT OR REPLACE INTO forward_curves (
+                        metal_type, curve_date, tenor, prompt_date, price, spot_price, updated_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                `, [quote.metal, curveDate, point.tenor, point.promptDate, point.price, quote.price]);
+            }
+        }
+    });
+}
+
+// Most recent stored curve for each metal: { METAL: [points] }
+async function getLatestCurves(db, metals = null) {
+    const rows = await db.all(`
+        SELECT fc.metal_type, fc.curve_date, fc.tenor, fc.prompt_date, fc.price, fc.spot_price, fc.updated_at
+        FROM forward_curves fc
+        JOIN (
+            SELECT metal_type, MAX(curve_date) as curve_date
+            FROM forward_curves
+            GROUP BY metal_type
+        ) latest ON latest.metal_type = fc.metal_type AND latest.curve_date = fc.curve_date
+        ORDER BY fc.metal_type, fc.prompt_date
+    `);
+
+    const curves = {};
+    rows
+        .filter(row => !metals || metals.includes(row.metal_type))
+        .forEach(row => {
+            if (!curves[row.metal_type]) curves[row.metal_type] = [];
+            curves[row.metal_type].push({
+                tenor: row.tenor,
+                promptDate: row.prompt_date,
+                price: row.price,
+                spotPrice: row.spot_price,
+                curveDate: row.curve_date,
+                updatedAt: row.updated_at
+            });
+        });
+    return curves;
+}
+
+// Forward price matching each position's expiry, falling back to its spot
+// price (current_market_price) when no curve is stored for the metal
+async function forwardPricesForPositions(db, positions) {
+    const curves = await getLatestCurves(db);
+    const prices = {};
+    positions.forEach(position => {
+        const curvePrice = priceAtDate(curves[position.metal_type], position.expiry_date);
+        prices[position.id] = curvePrice !== null ? curvePrice : position.current_market_price;
+    });
+    return prices;
+}
+
+module.exports = {
+    DEFAULT_CURVE_PARAMS,
+    promptSchedule,
+    modelForwardPrice,
+    buildForwardCurve,
+    curveStructure,
+    priceAtDate,
+    recordForwardCurves,
+    getLatestCurves,
+    forwardPricesForPositions
+};
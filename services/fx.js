@@ -0,0 +1,170 @@
+const config = require('../config');
+const { createPriceFeed } = require('./priceFeeds');
+const { formatTimestamp } = require('./marketData');
+
+// Metal prices and stored P&L are in the base currency; every FX rate is the
+// number of base-currency units per one unit of the other currency
+const BASE_CURRENCY = 'USD';
+
+// Used by the static provider when no FX_RATES_FILE is configured, and as a
+// fallback until the feed has supplied a rate
+const DEFAULT_FX_RATES = {
+    EUR: 1.08,
+    CNY: 0.138,
+    GBP: 1.27,
+    JPY: 0.0067,
+    CHF: 1.12
+};
+
+// FX rates come through the same provider/failover mechanism as metal prices;
+// each quote's symbol is the currency code and its price the USD rate
+const fxFeed = createPriceFeed({
+    ...config.fx,
+    static: { prices: config.fx.static.prices || DEFAULT_FX_RATES }
+});
+
+function isSupportedCurrency(currency) {
+    return config.fx.currencies.includes(currency);
+}
+
+// Accept SQLite DATETIME strings as-is; anything else is treated as a date
+function toDbTimestamp(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return value;
+    }
+    return formatTimestamp(value);
+}
+
+async function recordFxRates(db, quotes) {
+    const rates = quotes.filter(quote => quote.metal !== BASE_CURRENCY && isSupportedCurrency(quote.metal));
+
+    await db.transaction(async () => {
+        for (const quote of rates) {
+            await db.run(`
+                INSERT INTO fx_rates (currency, rate, timestamp)
+                VALUES (?, ?, ?)
+            `, [quote.metal, quote.price, formatTimestamp(quote.timestamp)]);
+        }
+    });
+
+    return rates;
+}
+
+async function refreshFxRates(db) {
+    return recordFxRates(db, await fxFeed.getLatestQuotes());
+}
+
+function startFxTicker(db, intervalMs = config.fx.refreshInterval) {
+    const timer = setInterval(() => {
+        refreshFxRates(db).catch(error => {
+            console.error('FX refresh error:', error);
+        });
+    }, intervalMs);
+
+    return () => clearInterval(timer);
+}
+
+// Latest rate for every supported currency: { USD: 1, EUR: 1.08, ... }
+async function getLatestRates(db) {
+    const rows = await db.all(`
+        SELECT currency, rate
+        FROM (
+            SELECT *, ROW_NUMBER() OVER (PARTITION BY currency ORDER BY timestamp DESC, id DESC) as rn
+            FROM fx_rates
+        )
+        WHERE rn = 1
+    `);
+
+    const rates = { [BASE_CURRENCY]: 1 };
+    config.fx.currencies
+        .filter(currency => currency !== BASE_CURRENCY && DEFAULT_FX_RATES[currency])
+        .forEach(currency => { rates[currency] = DEFAULT_FX_RATES[currency]; });
+    rows
+        .filter(row => isSupportedCurrency(row.currency))
+        .forEach(row => { rates[row.currency] = row.rate; });
+    return rates;
+}
+
+// Rate in effect at a point in time (latest when omitted). Falls back to the
+// earliest recorded rate for times before the first one, then to the default.
+async function getRate(db, currency, at = null) {
+    if (currency === BASE_CURRENCY) return 1;
+
+    let row;
+    if (at) {
+        row = await db.get(`
+            SELECT rate FROM fx_rates
+            WHERE currency = ? AND timestamp <= ?
+            ORDER BY timestamp DESC, id DESC
+            LIMIT 1
+        `, [currency, toDbTimestamp(at)]);
+    }
+    if (!row) {
+        row = await db.get(`
+            SELECT rate FROM fx_rates
+            WHERE currency = ?
+            ORDER BY timestamp ${at ? 'ASC' : 'DESC'}, id ${at ? 'ASC' : 'DESC'}
+            LIMIT 1
+        `, [currency]);
+    }
+
+    const rate = row ? row.rate : DEFAULT_FX_RATES[currency];
+    if (!rate) {
+        throw new Error(`No FX rate available for ${currency}`);
+    }
+    return rate;
+}
+
+// Convert an amount between currencies using a rates map from getLatestRates()
+function convert(amount, from, to, rates) {
+    if (from === to) return amount;
+    return amount * rates[from] / rates[to];
+}
+
+async function getReportingCurrency(db, userId) {
+    const user = await db.get('SELECT reporting_currency FROM users WHERE id = ?', [userId]);
+    return (user && user.reporting_currency) || BASE_CURRENCY;
+}
+
+// Factors for calculatePnL() that value positions in a reporting currency:
+// cost converts at the rates in effect when the position was opened, base-
+// currency market prices at the current rate, and a closed position's close
+// price at the rates in effect when it was closed.
+// Returns { positionId: { entryRate, currentRate, closeRate } }.
+async function positionFxRates(db, positions, reportingCurrency) {
+    const latest = await getLatestRates(db);
+    const reportingRate = latest[reportingCurrency] || await getRate(db, reportingCurrency);
+
+    const cache = new Map();
+    const reportingRateAt = (at) => {
+        if (!cache.has(at)) cache.set(at, getRate(db, reportingCurrency, at));
+        return cache.get(at);
+    };
+
+    const rates = {};
+    for (const position of positions) {
+        rates[position.id] = {
+            entryRate: (position.entry_fx_rate || 1) / await reportingRateAt(position.created_at),
+            currentRate: 1 / reportingRate,
+            closeRate: position.status === 'active'
+                ? null
+                : (position.close_fx_rate || 1) / await reportingRateAt(position.updated_at)
+        };
+    }
+    return rates;
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    DEFAULT_FX_RATES,
+    fxFeed,
+    isSupportedCurrency,
+    recordFxRates,
+    refreshFxRates,
+    startFxTicker,
+    getLatestRates,
+    getRate,
+    convert,
+    getReportingCurrency,
+    positionFxRates
+};
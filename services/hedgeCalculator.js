@@ -0,0 +1,213 @@
+const moment = require('moment');
+const config = require('../config');
+const calendar = require('./calendar');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { getDailyReturns, standardDeviation, linearRegression } = require('./statistics');
+const { forwardPriceForPosition } = require('./positions');
+const { exposureQuantity } = require('./exposures');
+const { lotSize, normalizeUnit, toTonnes, validateQuantity } = require('./units');
+
+// Minimum-variance hedge ratios. For an exposure in one metal and a hedging
+// instrument in the same or another metal (a cross-hedge), the ratio of hedge
+// value to exposure value that minimizes the variance of the hedged position
+// is h* = rho * sigmaS / sigmaF, the slope of a regression of the exposure's
+// daily log returns on the instrument's. The variance reduction at h* is
+// rho^2. Exposures are valued at the forward price for the horizon and
+// instruments at the forward price for the first valid prompt on or after
+// it; daily figures are scaled to the horizon with the square root of time.
+
+function round(value, digits = 2) {
+    return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
+
+// Check a calculator request (query parameters): either an exposureId from the
+// register or a metal, quantity and direction. Returns { request } or { error }.
+async function validateHedgeRequest(db, userId, input) {
+    const request = { direction: 'long', horizonDays: null, exposureId: null };
+    const today = moment.utc(calendar.formatDate(new Date()));
+
+    if (input.exposureId !== undefined) {
+        const exposure = await db.get(`
+            SELECT * FROM physical_exposures WHERE id = ? AND user_id = ?
+        `, [input.exposureId, userId]);
+        if (!exposure) return { error: 'Exposure not found' };
+
+        const quantity = exposureQuantity(exposure, config.exposures);
+        if (!quantity) return { error: 'Floating-price exposures carry no price risk to hedge' };
+
+        const month = moment.utc(exposure.delivery_month, 'YYYY-MM');
+        const delivery = exposure.exposure_type === 'inventory'
+            ? today
+            : calendar.monthlyPrompt(month.year(), month.month());
+
+        Object.assign(request, {
+            exposureId: exposure.id,
+            metal: exposure.metal_type,
+            quantity: Math.abs(quantity),
+            quantityUnit: exposure.quantity_unit,
+            unitQuantity: exposure.unit_quantity,
+            direction: quantity > 0 ? 'long' : 'short',
+            horizonDays: Math.max(1, delivery.diff(today, 'days'))
+        });
+    } else {
+        const metal = input.metal && String(input.metal).toUpperCase();
+        if (!metal || !DEFAULT_METALS[metal]) return { error: `Unknown metal: ${input.metal}` };
+
+        const unit = normalizeUnit(input.quantityUnit);
+        const quantityError = validateQuantity(input.quantity, unit, metal);
+        if (quantityError) return { error: quantityError };
+
+        if (input.direction !== undefined && !['long', 'short'].includes(input.direction)) {
+            return { error: 'Direction must be either "long" or "short"' };
+        }
+
+        Object.assign(request, {
+            metal,
+            quantity: toTonnes(input.quantity, unit, metal),
+            quantityUnit: unit,
+            unitQuantity: Number(input.quantity),
+            direction: input.direction || 'long'
+        });
+    }
+
+    if (input.horizonDays !== undefined) {
+        const horizonDays = Number(input.horizonDays);
+        if (!Number.isInteger(horizonDays) || horizonDays < 1) {
+            return { error: 'horizonDays must be a positive whole number of days' };
+        }
+        request.horizonDays = horizonDays;
+    }
+    if (!request.horizonDays) request.horizonDays = config.hedgeCalculator.horizonDays;
+
+    if (input.hedgeMetal !== undefined) {
+        const hedgeMetal = String(input.hedgeMetal).toUpperCase();
+        if (!DEFAULT_METALS[hedgeMetal]) return { error: `Unknown hedge metal: ${input.hedgeMetal}` };
+        request.hedgeMetal = hedgeMetal;
+    }
+
+    return { request };
+}
+
+// Daily returns of two metals on the dates both have one
+function pairReturns(exposureReturns, hedgeReturns) {
+    const hedgeByDate = new Map(hedgeReturns.map(r => [r.date, r.value]));
+    const pairs = exposureReturns.filter(r => hedgeByDate.has(r.date));
+    return {
+        exposure: pairs.map(r => r.value),
+        hedge: pairs.map(r => hedgeByDate.get(r.date))
+    };
+}
+
+// Minimum-variance hedge of an exposure against each candidate metal, best
+// variance reduction first. Values are in USD.
+async function calculateOptimalHedge(db, request) {
+    const { lookbackDays, minObservations } = config.hedgeCalculator;
+    const today = calendar.formatDate(new Date());
+    const horizonDate = moment.utc(today).add(request.horizonDays, 'days').format('YYYY-MM-DD');
+    const horizonScale = Math.sqrt(request.horizonDays * config.statistics.tradingDays / 365);
+    const annualize = Math.sqrt(config.statistics.tradingDays);
+
+    const candidateMetals = request.hedgeMetal ? [request.hedgeMetal] : Object.keys(DEFAULT_METALS);
+    const metals = [...new Set([request.metal, ...candidateMetals])];
+    const returns = await getDailyReturns(db, { metals, lookbackDays });
+
+    const exposurePrice = await forwardPriceForPosition(db, { metal_type: request.metal, expiry_date: horizonDate });
+    const exposureSign = request.direction === 'long' ? 1 : -1;
+    const exposureValue = exposurePrice ? exposureSign * request.quantity * exposurePrice : null;
+
+    const candidates = [];
+    const skipped = [];
+    for (const hedgeMetal of candidateMetals) {
+        const promptDate = calendar.nextValidPrompt(hedgeMetal, horizonDate, today);
+        if (!promptDate) {
+            skipped.push({ hedgeMetal, reason: `No ${hedgeMetal} prompt date covers a ${request.horizonDays}-day horizon` });
+            continue;
+        }
+
+        const pairs = pairReturns(returns[request.metal], returns[hedgeMetal]);
+        const fit = pairs.exposure.length >= minObservations ? linearRegression(pairs.hedge, pairs.exposure) : null;
+        if (!fit) {
+            skipped.push({
+                hedgeMetal,
+                reason: `${pairs.exposure.length} paired daily returns, ${minObservations} needed`
+            });
+            continue;
+        }
+
+        const hedgePrice = await forwardPriceForPosition(db, { metal_type: hedgeMetal, expiry_date: promptDate });
+        if (!exposureValue || !hedgePrice) {
+            skipped.push({ hedgeMetal, reason: 'No market price available' });
+            continue;
+        }
+
+        const exposureVolatility = standardDeviation(pairs.exposure);
+        const hedgeVolatility = standardDeviation(pairs.hedge);
+        const covariance = fit.slope * hedgeVolatility ** 2;
+        const correlation = exposureVolatility ? covariance / (exposureVolatility * hedgeVolatility) : 0;
+
+        // Signed hedge value (long positive) that minimizes the variance of
+        // exposureValue * rS + hedgeValue * rF
+        const hedgeValue = -fit.slope * exposureValue;
+        const size = lotSize(hedgeMetal);
+        const quantity = Math.abs(hedgeValue) / hedgePrice;
+        const lots = size ? quantity / size : null;
+        const contracts = lots !== null ? Math.round(lots) : null;
+
+        const variance = value => (exposureValue ** 2 * exposureVolatility ** 2
+            + value ** 2 * hedgeVolatility ** 2
+            + 2 * exposureValue * value * covariance) * horizonScale ** 2;
+        const unhedgedVariance = variance(0);
+        const contractValue = contracts !== null ? Math.sign(hedgeValue) * contracts * size * hedgePrice : hedgeValue;
+        const stdDev = value => Math.sqrt(Math.max(0, variance(value)));
+
+        candidates.push({
+            hedgeMetal,
+            crossHedge: hedgeMetal !== request.metal,
+            promptDate,
+            hedgePrice: round(hedgePrice),
+            observations: fit.observations,
+            correlation: round(correlation, 4),
+            exposureVolatility: round(exposureVolatility * annualize, 4),
+            hedgeVolatility: round(hedgeVolatility * annualize, 4),
+            hedgeRatio: round(fit.slope, 4),
+            positionType: hedgeValue < 0 ? 'short' : 'long',
+            quantity: round(quantity, 3),
+            lots: round(lots),
+            contracts,
+            hedgeValue: round(Math.abs(hedgeValue)),
+            varianceReduction: round(fit.rSquared, 4),
+            contractVarianceReduction: unhedgedVariance ? round(1 - variance(contractValue) / unhedgedVariance, 4) : null,
+            unhedgedStdDev: round(stdDev(0)),
+            hedgedStdDev: round(stdDev(hedgeValue)),
+            contractHedgedStdDev: round(stdDev(contractValue))
+        });
+    }
+
+    candidates.sort((a, b) => b.varianceReduction - a.varianceReduction);
+
+    return {
+        exposure: {
+            exposureId: request.exposureId,
+            metal: request.metal,
+            direction: request.direction,
+            quantity: round(request.quantity, 3),
+            quantityUnit: request.quantityUnit,
+            unitQuantity: request.unitQuantity,
+            horizonDays: request.horizonDays,
+            horizonDate,
+            price: round(exposurePrice),
+            value: round(exposureValue !== null ? Math.abs(exposureValue) : null)
+        },
+        lookbackDays,
+        currency: 'USD',
+        unit: 't',
+        recommended: candidates.length ? candidates[0] : null,
+        candidates,
+        skipped
+    };
+}
+
+module.exports = {
+    validateHedgeRequest,
+    calculateOptimalHedge
+};
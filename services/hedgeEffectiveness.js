@@ -0,0 +1,484 @@
+const moment = require('moment');
+const config = require('../config');
+const calendar = require('./calendar');
+const { getDailyCloses } = require('./candles');
+const { modelForwardPrice } = require('./forwardCurve');
+const { linearRegression } = require('./statistics');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { exposureQuantity } = require('./exposures');
+const { isSwap, averagingDays } = require('./swaps');
+const { normalizeUnit, toTonnes, validateQuantity } = require('./units');
+const { formatCsv } = require('../utils/csv');
+
+// Hedge accounting relationships and effectiveness tests. A relationship
+// designates hedging positions against a hedged item: a physical exposure or a
+// forecast purchase or sale. When config.exposures.hedgeFloatingPrice is set,
+// a floating-price exposure is designated as a hedge of its floating price,
+// short the metal for a purchase and long for a sale. Both sides are valued
+// daily from market_data closes, the item at the model forward price for its
+// delivery month prompt and each position at the forward price for its expiry,
+// so the values are in USD and move only with the metal price and the carry. A
+// swap is valued at its average: the closes of the days priced during the
+// series and the forward for each remaining day. Days priced before the series
+// start add a constant and are left out, so a swap's value moves with its
+// remaining days only, like its delta.
+//
+// Two measures are used, each against the config.effectiveness band:
+// - dollar offset: -(change in hedge value) / (change in hedged item value)
+//   over the whole period; inconclusive when the item barely moved
+// - regression of daily hedge value changes on daily item value changes: the
+//   negated slope must fall in the band and R-squared must reach minRSquared
+// Retrospective tests replay the designated relationship over its actual
+// history; prospective tests apply the lookback's price moves to the
+// relationship as it stands today, with maturities held at today's tenors.
+
+const HEDGE_TYPES = ['cash_flow', 'fair_value'];
+const TEST_TYPES = ['prospective', 'retrospective'];
+const FORECAST_TRANSACTIONS = ['purchase', 'sale'];
+const DATE_FORMAT = 'YYYY-MM-DD';
+const MONTH_FORMAT = 'YYYY-MM';
+// Item value changes below this fraction of its starting value leave the dollar offset inconclusive
+const SMALL_CHANGE = 0.001;
+
+const round = (value, places = 2) => value === null ? null : parseFloat(value.toFixed(places));
+
+function parseDate(value) {
+    const date = moment.utc(value, DATE_FORMAT, true);
+    return date.isValid() ? date : null;
+}
+
+// Active positions that can hedge an item: the user's own, in the item's
+// metal and on the opposite side, not already designated in another active
+// relationship. Returns { positions } or { error }.
+async function validateHedgingPositions(db, userId, relationship, positionIds, relationshipId = null) {
+    if (!Array.isArray(positionIds) || !positionIds.length) {
+        return { error: 'positionIds must list at least one hedging position' };
+    }
+
+    const ids = [...new Set(positionIds.map(Number))];
+    if (ids.some(id => !Number.isInteger(id))) {
+        return { error: 'positionIds must be position ids' };
+    }
+
+    const positions = await db.all(`
+        SELECT * FROM hedging_positions
+        WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})
+    `, [userId, ...ids]);
+
+    const missing = ids.filter(id => !positions.some(position => position.id === id));
+    if (missing.length) {
+        return { error: `Position not found: ${missing.join(', ')}` };
+    }
+
+    const hedgeSide = relationship.item_direction === 'long' ? 'short' : 'long';
+    for (const position of positions) {
+        if (position.status !== 'active') {
+            return { error: `Position ${position.id} is ${position.status}` };
+        }
+        // The offset tests compare linear price changes, which options do not have
+        if (position.instrument_type !== 'future' && !isSwap(position)) {
+            return { error: `Position ${position.id} is an option; only futures and swaps can be designated` };
+        }
+        if (position.metal_type !== relationship.metal_type) {
+            return { error: `Position ${position.id} is in ${position.metal_type}, not ${relationship.metal_type}` };
+        }
+        if (position.position_type !== hedgeSide) {
+            return { error: `Position ${position.id} must be ${hedgeSide} to hedge a ${relationship.item_direction} exposure` };
+        }
+    }
+
+    const designated = await db.get(`
+        SELECT rp.position_id, r.id AS relationship_id
+        FROM hedge_relationship_positions rp
+        JOIN hedge_relationships r ON r.id = rp.relationship_id
+        WHERE r.status = 'active' AND r.id != ?
+          AND rp.position_id IN (${ids.map(() => '?').join(', ')})
+        LIMIT 1
+    `, [relationshipId || 0, ...ids]);
+    if (designated) {
+        return { error: `Position ${designated.position_id} is already designated in hedge relationship ${designated.relationship_id}` };
+    }
+
+    return { positions };
+}
+
+// The hedged item from a request body: { exposureId } for a physical exposure,
+// or a forecast { metalType, quantity, quantityUnit, deliveryMonth, transaction }.
+// Returns { item } or { error }.
+async function validateHedgedItem(db, userId, input) {
+    if (input.exposureId !== undefined && input.exposureId !== null) {
+        const exposure = await db.get(`
+            SELECT * FROM physical_exposures WHERE id = ? AND user_id = ?
+        `, [input.exposureId, userId]);
+        if (!exposure) return { error: 'Exposure not found' };
+        if (exposure.status !== 'open') return { error: 'Only open exposures can be hedged' };
+
+        const quantity = exposureQuantity(exposure, config.exposures);
+        if (!quantity) return { error: 'Floating-price exposures carry no price risk to hedge' };
+
+        return {
+            item: {
+                hedged_item_type: 'exposure',
+                exposure_id: exposure.id,
+                metal_type: exposure.metal_type,
+                quantity: Math.abs(quantity),
+                item_direction: quantity > 0 ? 'long' : 'short',
+                delivery_month: exposure.delivery_month
+            }
+        };
+    }
+
+    const metal = input.metalType && String(input.metalType).toUpperCase();
+    if (!metal || !DEFAULT_METALS[metal]) return { error: `Unknown metal: ${input.metalType}` };
+
+    if (!FORECAST_TRANSACTIONS.includes(input.transaction)) {
+        return { error: `Forecast transaction must be one of: ${FORECAST_TRANSACTIONS.join(', ')}` };
+    }
+
+    const unit = normalizeUnit(input.quantityUnit);
+    const quantityError = validateQuantity(input.quantity, unit, metal);
+    if (quantityError) return { error: quantityError };
+
+    const month = moment.utc(input.deliveryMonth, MONTH_FORMAT, true);
+    if (!month.isValid()) return { error: 'deliveryMonth must be a month (YYYY-MM)' };
+
+    // A forecast purchase loses when prices rise, so it is short the metal
+    return {
+        item: {
+            hedged_item_type: 'forecast',
+            exposure_id: null,
+            metal_type: metal,
+            quantity: toTonnes(input.quantity, unit, metal),
+            item_direction: input.transaction === 'purchase' ? 'short' : 'long',
+            delivery_month: month.format(MONTH_FORMAT)
+        }
+    };
+}
+
+// Check a new relationship from a request body. Returns
+// { relationship, positions } or { error }.
+async function validateRelationship(db, userId, input) {
+    if (!input.name || !String(input.name).trim()) {
+        return { error: 'name is required' };
+    }
+
+    const hedgeType = input.hedgeType || 'cash_flow';
+    if (!HEDGE_TYPES.includes(hedgeType)) {
+        return { error: `Hedge type must be one of: ${HEDGE_TYPES.join(', ')}` };
+    }
+
+    const { item, error } = await validateHedgedItem(db, userId, input.hedgedItem || {});
+    if (error) return { error };
+
+    const today = calendar.formatDate(new Date());
+    const designationDate = input.designationDate ? parseDate(input.designationDate) : moment.utc(today);
+    if (!designationDate) return { error: 'designationDate must be a date (YYYY-MM-DD)' };
+    if (designationDate.format(DATE_FORMAT) > today) return { error: 'designationDate cannot be in the future' };
+
+    const relationship = {
+        user_id: userId,
+        name: String(input.name).trim(),
+        hedge_type: hedgeType,
+        ...item,
+        risk_objective: input.riskObjective || null,
+        designation_date: designationDate.format(DATE_FORMAT)
+    };
+
+    const checked = await validateHedgingPositions(db, userId, relationship, input.positionIds);
+    if (checked.error) return { error: checked.error };
+
+    return { relationship, positions: checked.positions };
+}
+
+// Test period from a request body, defaulting to designation to date for
+// retrospective tests and the lookback to date for prospective ones.
+// Returns { period: { start, end } } or { error }.
+function resolvePeriod(relationship, testType, input = {}) {
+    const today = calendar.formatDate(new Date());
+    const defaultStart = testType === 'retrospective'
+        ? relationship.designation_date
+        : moment.utc(today).subtract(config.effectiveness.lookbackDays, 'days').format(DATE_FORMAT);
+
+    const start = input.periodStart ? parseDate(input.periodStart) : moment.utc(defaultStart);
+    const end = input.periodEnd ? parseDate(input.periodEnd) : moment.utc(today);
+    if (!start || !end) return { error: 'periodStart and periodEnd must be dates (YYYY-MM-DD)' };
+
+    const period = { start: start.format(DATE_FORMAT), end: end.format(DATE_FORMAT) };
+    if (period.end > today) return { error: 'periodEnd cannot be in the future' };
+    if (period.start >= period.end) return { error: 'periodStart must be before periodEnd' };
+    if (testType === 'retrospective' && period.start < relationship.designation_date) {
+        return { error: `Retrospective tests cannot start before the designation date (${relationship.designation_date})` };
+    }
+
+    return { period };
+}
+
+// Maturity of the hedged item: its delivery month prompt, or none for
+// inventory already on hand, which is valued at spot
+async function itemMaturity(db, relationship) {
+    if (relationship.exposure_id) {
+        const exposure = await db.get('SELECT exposure_type FROM physical_exposures WHERE id = ?', [relationship.exposure_id]);
+        if (exposure && exposure.exposure_type === 'inventory') return null;
+    }
+    const month = moment.utc(relationship.delivery_month, MONTH_FORMAT);
+    return calendar.monthlyPrompt(month.year(), month.month()).format(DATE_FORMAT);
+}
+
+function yearsBetween(from, to) {
+    if (!to) return 0;
+    return Math.max(0, moment.utc(to).diff(moment.utc(from), 'days') / 365);
+}
+
+// Value per tonne of a swap's average on a day: the closes of the days
+// priced since `from` and the forward for each day from asOf on
+function swapValue(metal, days, closes, close, asOf, from) {
+    const sum = days.reduce((total, day) => {
+        if (day >= asOf) return total + modelForwardPrice(metal, close, yearsBetween(asOf, day));
+        if (day < from) return total;
+        const priced = closes.filter(point => point.date <= day).pop();
+        return total + (priced ? priced.close : close);
+    }, 0);
+    return sum / days.length;
+}
+
+// Daily values of the hedged item and the hedge. Maturities are measured from
+// each day's date, or from tenorDate when set (prospective tests, where the
+// swap days already priced stay fixed).
+function valueSeries(relationship, positions, closes, maturity, tenorDate = null) {
+    const metal = relationship.metal_type;
+    const itemSign = relationship.item_direction === 'long' ? 1 : -1;
+    const swapDays = new Map(positions.filter(isSwap).map(position => [position.id, averagingDays(position)]));
+    const from = tenorDate || (closes.length ? closes[0].date : null);
+
+    return closes.map(({ date, close }) => {
+        const asOf = tenorDate || date;
+        const itemValue = itemSign * relationship.quantity * modelForwardPrice(metal, close, yearsBetween(asOf, maturity));
+        const hedgeValue = positions.reduce((sum, position) => {
+            const sign = position.position_type === 'long' ? 1 : -1;
+            const price = swapDays.has(position.id)
+                ? swapValue(metal, swapDays.get(position.id), closes, close, asOf, from)
+                : modelForwardPrice(metal, close, yearsBetween(asOf, position.expiry_date));
+            return sum + sign * position.quantity * price;
+        }, 0);
+        return { date, spot: close, itemValue, hedgeValue };
+    });
+}
+
+const withinBand = ratio => ratio >= config.effectiveness.offsetMin && ratio <= config.effectiveness.offsetMax;
+
+// Dollar offset and regression measures for a value series
+function evaluateSeries(series) {
+    const { minRSquared, minObservations } = config.effectiveness;
+
+    const changes = series.slice(1).map((point, i) => ({
+        item: point.itemValue - series[i].itemValue,
+        hedge: point.hedgeValue - series[i].hedgeValue
+    }));
+
+    const first = series[0];
+    const last = series[series.length - 1];
+    const itemChange = series.length > 1 ? last.itemValue - first.itemValue : 0;
+    const hedgeChange = series.length > 1 ? last.hedgeValue - first.hedgeValue : 0;
+
+    const material = first && Math.abs(itemChange) >= SMALL_CHANGE * Math.abs(first.itemValue);
+    const ratio = material ? -hedgeChange / itemChange : null;
+    const dollarOffset = {
+        hedgedItemChange: round(itemChange),
+        hedgeChange: round(hedgeChange),
+        ratio: round(ratio, 4),
+        result: ratio === null ? 'inconclusive' : withinBand(ratio) ? 'pass' : 'fail'
+    };
+
+    const fit = linearRegression(changes.map(change => change.item), changes.map(change => change.hedge));
+    const regression = {
+        slope: fit ? round(fit.slope, 4) : null,
+        intercept: fit ? round(fit.intercept, 4) : null,
+        rSquared: fit ? round(fit.rSquared, 4) : null,
+        result: !fit || changes.length < minObservations
+            ? 'inconclusive'
+            : fit.rSquared >= minRSquared && withinBand(-fit.slope) ? 'pass' : 'fail'
+    };
+
+    // The regression decides; a failed dollar offset over the period also fails the test
+    let result = regression.result;
+    if (result === 'pass' && dollarOffset.result === 'fail') result = 'fail';
+
+    return { observations: changes.length, dollarOffset, regression, result };
+}
+
+function describePosition(position) {
+    return {
+        id: position.id,
+        instrumentType: position.instrument_type,
+        positionType: position.position_type,
+        quantity: position.quantity,
+        quantityUnit: position.quantity_unit,
+        unitQuantity: position.unit_quantity,
+        entryPrice: position.entry_price,
+        currency: position.currency,
+        expiryDate: position.expiry_date,
+        averagingStart: position.averaging_start,
+        status: position.status
+    };
+}
+
+// Positions designated in a relationship
+function relationshipPositions(db, relationshipId) {
+    return db.all(`
+        SELECT p.* FROM hedge_relationship_positions rp
+        JOIN hedging_positions p ON p.id = rp.position_id
+        WHERE rp.relationship_id = ?
+        ORDER BY p.id
+    `, [relationshipId]);
+}
+
+// Run and store an effectiveness test for a relationship over a period.
+// Returns { test } or { error }.
+async function runEffectivenessTest(db, relationship, testType, period) {
+    const positions = await relationshipPositions(db, relationship.id);
+    if (!positions.length) {
+        return { error: 'The relationship has no designated hedging positions' };
+    }
+
+    const closes = await getDailyCloses(db, relationship.metal_type, period.start, period.end);
+    const maturity = await itemMaturity(db, relationship);
+    const tenorDate = testType === 'prospective' ? calendar.formatDate(new Date()) : null;
+    const series = valueSeries(relationship, positions, closes, maturity, tenorDate);
+    const evaluation = evaluateSeries(series);
+
+    const { offsetMin, offsetMax, minRSquared, minObservations } = config.effectiveness;
+    const report = {
+        relationship: {
+            id: relationship.id,
+            name: relationship.name,
+            hedgeType: relationship.hedge_type,
+            riskObjective: relationship.risk_objective,
+            designationDate: relationship.designation_date,
+            hedgedItem: {
+                type: relationship.hedged_item_type,
+                exposureId: relationship.exposure_id,
+                metal: relationship.metal_type,
+                quantity: relationship.quantity,
+                direction: relationship.item_direction,
+                deliveryMonth: relationship.delivery_month,
+                maturity
+            }
+        },
+        positions: positions.map(describePosition),
+        testType,
+        periodStart: period.start,
+        periodEnd: period.end,
+        generatedAt: new Date().toISOString(),
+        criteria: { offsetMin, offsetMax, minRSquared, minObservations },
+        observations: evaluation.observations,
+        dollarOffset: evaluation.dollarOffset,
+        regression: evaluation.regression,
+        result: evaluation.result,
+        series: series.map(point => ({
+            date: point.date,
+            spot: point.spot,
+            itemValue: round(point.itemValue),
+            hedgeValue: round(point.hedgeValue)
+        }))
+    };
+
+    const result = await db.run(`
+        INSERT INTO hedge_effectiveness_tests (
+            relationship_id, user_id, test_type, period_start, period_end, observations,
+            hedged_item_change, hedge_change, dollar_offset, regression_slope, r_squared, result, report
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        relationship.id, relationship.user_id, testType, period.start, period.end, evaluation.observations,
+        evaluation.dollarOffset.hedgedItemChange, evaluation.dollarOffset.hedgeChange, evaluation.dollarOffset.ratio,
+        evaluation.regression.slope, evaluation.regression.rSquared, evaluation.result, JSON.stringify(report)
+    ]);
+
+    if (evaluation.result === 'fail') {
+        await db.run(`
+            INSERT INTO notifications (user_id, title, message, type)
+            VALUES (?, ?, ?, ?)
+        `, [
+            relationship.user_id,
+            'Hedge Effectiveness Test Failed',
+            `The ${testType} effectiveness test for hedge relationship "${relationship.name}" (${period.start} to ${period.end}) failed.`,
+            'warning'
+        ]);
+    }
+
+    const test = await db.get('SELECT * FROM hedge_effectiveness_tests WHERE id = ?', [result.id]);
+    return { test };
+}
+
+// An effectiveness report as CSV: the summary, then the daily value series
+function reportToCsv(report) {
+    const { relationship, dollarOffset, regression } = report;
+    const rows = [
+        ['Hedge relationship', relationship.name],
+        ['Hedge type', relationship.hedgeType],
+        ['Hedged item', `${relationship.hedgedItem.type} ${relationship.hedgedItem.direction} ${relationship.hedgedItem.quantity} t ${relationship.hedgedItem.metal} ${relationship.hedgedItem.deliveryMonth}`],
+        ['Hedging positions', report.positions.map(position => position.id).join(' ')],
+        ['Designation date', relationship.designationDate],
+        ['Test type', report.testType],
+        ['Period', `${report.periodStart} to ${report.periodEnd}`],
+        ['Observations', report.observations],
+        ['Hedged item change (USD)', dollarOffset.hedgedItemChange],
+        ['Hedge change (USD)', dollarOffset.hedgeChange],
+        ['Dollar offset ratio', dollarOffset.ratio],
+        ['Dollar offset result', dollarOffset.result],
+        ['Regression slope', regression.slope],
+        ['Regression R-squared', regression.rSquared],
+        ['Regression result', regression.result],
+        ['Result', report.result],
+        ['Generated at', report.generatedAt],
+        [],
+        ['date', 'spot', 'hedged_item_value', 'hedge_value']
+    ];
+    report.series.forEach(point => rows.push([point.date, point.spot, point.itemValue, point.hedgeValue]));
+    return formatCsv(rows);
+}
+
+// Latest test of each type per relationship for a user's active relationships
+async function latestEffectiveness(db, userId) {
+    const relationships = await db.all(`
+        SELECT id, name, metal_type FROM hedge_relationships
+        WHERE user_id = ? AND status = 'active'
+        ORDER BY id
+    `, [userId]);
+
+    const tests = await db.all(`
+        SELECT t.relationship_id, t.test_type, t.result, t.dollar_offset, t.r_squared, t.created_at
+        FROM hedge_effectiveness_tests t
+        JOIN (
+            SELECT MAX(id) AS id FROM hedge_effectiveness_tests
+            WHERE user_id = ?
+            GROUP BY relationship_id, test_type
+        ) latest ON latest.id = t.id
+    `, [userId]);
+
+    return relationships.map(relationship => {
+        const summary = { id: relationship.id, name: relationship.name, metal: relationship.metal_type };
+        TEST_TYPES.forEach(testType => {
+            const test = tests.find(row => row.relationship_id === relationship.id && row.test_type === testType);
+            summary[testType] = test ? {
+                result: test.result,
+                dollarOffset: test.dollar_offset,
+                rSquared: test.r_squared,
+                testedAt: test.created_at
+            } : null;
+        });
+        return summary;
+    });
+}
+
+module.exports = {
+    HEDGE_TYPES,
+    TEST_TYPES,
+    FORECAST_TRANSACTIONS,
+    validateHedgingPositions,
+    validateRelationship,
+    resolvePeriod,
+    relationshipPositions,
+    runEffectivenessTest,
+    reportToCsv,
+    latestEffectiveness
+};
@@ -0,0 +1,165 @@
+const moment = require('moment');
+const { parseCsvLines } = require('../utils/csv');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { formatTimestamp } = require('./marketData');
+const { rebuildCandles } = require('./candles');
+const { clearIndicatorCache } = require('./indicators');
+
+const DATE_FORMATS = [
+    'YYYY-MM-DD',
+    'YYYY-MM-DD HH:mm',
+    'YYYY-MM-DD HH:mm:ss',
+    moment.ISO_8601
+];
+const BATCH_SIZE = 500;
+// Cap the per-row errors echoed back so a bad file cannot produce a huge response
+const MAX_REPORTED_ERRORS = 500;
+
+function parseNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : NaN;
+}
+
+// Validate one CSV record; returns { row } or { error }
+function validateRecord(record) {
+    const rawDate = record.date || record.timestamp;
+    const rawMetal = record.metal || record.metal_type;
+
+    if (!rawDate) return { error: 'Missing date' };
+    const date = moment.utc(rawDate, DATE_FORMATS, true);
+    if (!date.isValid()) return { error: `Invalid date "${rawDate}" (expected YYYY-MM-DD)` };
+    if (date.isAfter(moment.utc())) return { error: `Date ${rawDate} is in the future` };
+
+    if (!rawMetal) return { error: 'Missing metal' };
+    const metal = rawMetal.trim().toUpperCase();
+    if (!DEFAULT_METALS[metal]) return { error: `Unknown metal "${rawMetal}"` };
+
+    const price = parseNumber(record.price);
+    if (price === null) return { error: 'Missing price' };
+    if (!(price > 0)) return { error: `Invalid price "${record.price}"` };
+
+    const volume = parseNumber(record.volume);
+    if (Number.isNaN(volume) || volume < 0) return { error: `Invalid volume "${record.volume}"` };
+
+    return {
+        row: {
+            metal,
+            price,
+            volume: volume || 0,
+            date: date.toDate(),
+            timestamp: formatTimestamp(date.toDate())
+        }
+    };
+}
+
+// Import date,metal,price[,volume] rows from CSV text into market_data.
+// Rows are validated individually, duplicates (within the file or already
+// stored for the same metal and timestamp) are skipped, valid rows are
+// inserted in batched transactions and candles are rebuilt from the earliest
+// imported date.
+async function importPriceHistory(db, text) {
+    const records = parseCsvLines(text);
+    const errors = [];
+    const duplicates = [];
+    const seen = new Map();
+    const rows = [];
+
+    // Rows are reported by their line in the file, as a spreadsheet numbers them
+    records.forEach(({ line, record }) => {
+        const { row, error } = validateRecord(record);
+        if (error) {
+            errors.push({ row: line, error });
+            return;
+        }
+
+        const key = `${row.metal}|${row.timestamp}`;
+        if (seen.has(key)) {
+            duplicates.push({ row: line, reason: `Duplicate of row ${seen.get(key)}` });
+            return;
+        }
+        seen.set(key, line);
+        rows.push({ ...row, line });
+    });
+
+    // Drop rows already in market_data
+    const fresh = [];
+    for (const row of rows) {
+        const existing = await db.get(`
+            SELECT id FROM market_data
+            WHERE metal_type = ? AND timestamp = ?
+            LIMIT 1
+        `, [row.metal, row.timestamp]);
+
+        if (existing) {
+            duplicates.push({ row: row.line, reason: 'Already stored' });
+        } else {
+            fresh.push(row);
+        }
+    }
+
+    // Daily changes are taken against the previous price for the metal, whether
+    // imported or already stored
+    fresh.sort((a, b) => a.metal.localeCompare(b.metal) || a.timestamp.localeCompare(b.timestamp));
+    const previousPrices = {};
+    const earliest = {};
+    const metals = {};
+    for (const row of fresh) {
+        if (!metals[row.metal]) {
+            const previous = await db.get(`
+                SELECT price FROM market_data
+                WHERE metal_type = ? AND timestamp < ?
+                ORDER BY timestamp DESC, id DESC
+                LIMIT 1
+            `, [row.metal, row.timestamp]);
+            previousPrices[row.metal] = previous ? previous.price : null;
+            earliest[row.metal] = row.date;
+            metals[row.metal] = { imported: 0, from: row.timestamp, to: row.timestamp };
+        }
+
+        const previous = previousPrices[row.metal];
+        row.change24h = previous ? parseFloat((row.price - previous).toFixed(2)) : 0;
+        row.changePercent = previous ? parseFloat(((row.price - previous) / previous * 100).toFixed(2)) : 0;
+        previousPrices[row.metal] = row.price;
+
+        metals[row.metal].imported++;
+        metals[row.metal].to = row.timestamp;
+    }
+
+    for (let start = 0; start < fresh.length; start += BATCH_SIZE) {
+        const batch = fresh.slice(start, start + BATCH_SIZE);
+        await db.transaction(async () => {
+            for (const row of batch) {
+                await db.run(`
+                    INSERT INTO market_data (metal_type, price, change_24h, change_percent, volume, market_cap, timestamp)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    row.metal,
+                    row.price,
+                    row.change24h,
+                    row.changePercent,
+                    row.volume,
+                    Math.round(row.price * row.volume * 0.1),
+                    row.timestamp
+                ]);
+            }
+        });
+    }
+
+    for (const [metal, from] of Object.entries(earliest)) {
+        await rebuildCandles(db, metal, from);
+        clearIndicatorCache(metal);
+    }
+
+    return {
+        totalRows: records.length,
+        imported: fresh.length,
+        duplicates: duplicates.length,
+        failed: errors.length,
+        metals,
+        errors: errors.slice(0, MAX_REPORTED_ERRORS),
+        duplicateRows: duplicates.slice(0, MAX_REPORTED_ERRORS)
+    };
+}
+
+module.exports = { importPriceHistory };
@@ -0,0 +1,255 @@
+const { CANDLE_INTERVALS, intervalSeconds, bucketStart, getCandles } = require('./candles');
+
+// Technical indicators over OHLCV candles. Every series is aligned with its
+// input: entries before an indicator has enough history are null.
+
+const INDICATORS = ['sma', 'ema', 'rsi', 'macd', 'bollinger', 'atr'];
+
+const DEFAULT_PARAMS = {
+    smaPeriod: 20,
+    emaPeriod: 20,
+    rsiPeriod: 14,
+    macdFast: 12,
+    macdSlow: 26,
+    macdSignal: 9,
+    bbPeriod: 20,
+    bbStdDev: 2,
+    atrPeriod: 14
+};
+
+const MAX_WINDOW = 200;
+const MAX_CACHE_ENTRIES = 200;
+
+function round(value) {
+    return value === null ? null : parseFloat(value.toFixed(4));
+}
+
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    values.forEach((value, index) => {
+        sum += value;
+        if (index >= period) sum -= values[index - period];
+        if (index >= period - 1) result[index] = sum / period;
+    });
+    return result;
+}
+
+// Seeded with the SMA of the first `period` values; leading nulls are skipped
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start === -1 || values.length - start < period) return result;
+
+    const k = 2 / (period + 1);
+    let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = previous;
+    for (let index = start + period; index < values.length; index++) {
+        previous = values[index] * k + previous * (1 - k);
+        result[index] = previous;
+    }
+    return result;
+}
+
+// Wilder's RSI
+function rsi(closes, period) {
+    const result = new Array(closes.length).fill(null);
+    if (closes.length <= period) return result;
+
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let index = 1; index <= period; index++) {
+        const change = closes[index] - closes[index - 1];
+        avgGain += Math.max(change, 0) / period;
+        avgLoss += Math.max(-change, 0) / period;
+    }
+
+    const value = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = value();
+    for (let index = period + 1; index < closes.length; index++) {
+        const change = closes[index] - closes[index - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[index] = value();
+    }
+    return result;
+}
+
+function macd(closes, fast, slow, signal) {
+    const fastEma = ema(closes, fast);
+    const slowEma = ema(closes, slow);
+    const line = closes.map((_, index) => (
+        fastEma[index] !== null && slowEma[index] !== null ? fastEma[index] - slowEma[index] : null
+    ));
+    const signalLine = ema(line, signal);
+
+    return line.map((value, index) => (value === null ? null : {
+        macd: value,
+        signal: signalLine[index],
+        histogram: signalLine[index] !== null ? value - signalLine[index] : null
+    }));
+}
+
+function bollinger(closes, period, stdDevs) {
+    const middle = sma(closes, period);
+    return middle.map((mean, index) => {
+        if (mean === null) return null;
+        const window = closes.slice(index - period + 1, index + 1);
+        const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+        return { upper: mean + stdDevs * deviation, middle: mean, lower: mean - stdDevs * deviation };
+    });
+}
+
+// Wilder's average true range
+function atr(candles, period) {
+    const result = new Array(candles.length).fill(null);
+    if (candles.length < period) return result;
+
+    const trueRanges = candles.map((candle, index) => {
+        if (index === 0) return candle.high - candle.low;
+        const previousClose = candles[index - 1].close;
+        return Math.max(
+            candle.high - candle.low,
+            Math.abs(candle.high - previousClose),
+            Math.abs(candle.low - previousClose)
+        );
+    });
+
+    let previous = trueRanges.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+    result[period - 1] = previous;
+    for (let index = period; index < candles.length; index++) {
+        previous = (previous * (period - 1) + trueRanges[index]) / period;
+        result[index] = previous;
+    }
+    return result;
+}
+
+// Parse indicator names and window parameters from a query string; returns
+// { indicators, params } or { error }
+function parseIndicatorQuery(query) {
+    const indicators = query.indicators
+        ? String(query.indicators).split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : INDICATORS;
+    const unknown = indicators.filter(name => !INDICATORS.includes(name));
+    if (unknown.length) {
+        return { error: `Unknown indicators: ${unknown.join(', ')}. Use: ${INDICATORS.join(', ')}` };
+    }
+
+    const params = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_PARAMS)) {
+        const value = query[name] !== undefined ? Number(query[name]) : fallback;
+        const isStdDev = name === 'bbStdDev';
+        if (!Number.isFinite(value) || value <= 0 || (!isStdDev && !Number.isInteger(value)) || value > MAX_WINDOW) {
+            return { error: `${name} must be a positive ${isStdDev ? 'number' : 'integer'} up to ${MAX_WINDOW}` };
+        }
+        params[name] = value;
+    }
+    if (params.macdFast >= params.macdSlow) {
+        return { error: 'macdFast must be shorter than macdSlow' };
+    }
+
+    return { indicators, params };
+}
+
+// Candles needed before the first output candle for the indicators to be defined
+function warmupCandles(indicators, params) {
+    const lookbacks = {
+        sma: params.smaPeriod,
+        ema: params.emaPeriod,
+        rsi: params.rsiPeriod + 1,
+        macd: params.macdSlow + params.macdSignal,
+        bollinger: params.bbPeriod,
+        atr: params.atrPeriod
+    };
+    return Math.max(0, ...indicators.map(name => lookbacks[name]));
+}
+
+// Add the requested indicators to each candle
+function computeIndicators(candles, indicators, params) {
+    const closes = candles.map(candle => candle.close);
+    const series = {};
+    if (indicators.includes('sma')) series.sma = sma(closes, params.smaPeriod).map(round);
+    if (indicators.includes('ema')) series.ema = ema(closes, params.emaPeriod).map(round);
+    if (indicators.includes('rsi')) series.rsi = rsi(closes, params.rsiPeriod).map(round);
+    if (indicators.includes('macd')) {
+        series.macd = macd(closes, params.macdFast, params.macdSlow, params.macdSignal)
+            .map(point => point && { macd: round(point.macd), signal: round(point.signal), histogram: round(point.histogram) });
+    }
+    if (indicators.includes('bollinger')) {
+        series.bollinger = bollinger(closes, params.bbPeriod, params.bbStdDev)
+            .map(band => band && { upper: round(band.upper), middle: round(band.middle), lower: round(band.lower) });
+    }
+    if (indicators.includes('atr')) series.atr = atr(candles, params.atrPeriod).map(round);
+
+    return candles.map((candle, index) => {
+        const point = { ...candle };
+        Object.keys(series).forEach(name => { point[name] = series[name][index]; });
+        return point;
+    });
+}
+
+// Results are cached per metal, interval and parameters until the current
+// candle closes. Indicators only use closed candles, so a cached result stays
+// correct for the whole interval.
+const cache = new Map();
+
+function clearIndicatorCache(metal = null) {
+    if (!metal) return cache.clear();
+    [...cache.keys()]
+        .filter(key => key.startsWith(`${metal}|`))
+        .forEach(key => cache.delete(key));
+}
+
+async function getIndicators(db, metal, interval, periodMs, indicators, params) {
+    if (!CANDLE_INTERVALS.includes(interval)) {
+        throw new Error(`Unsupported candle interval: ${interval}`);
+    }
+
+    const intervalMs = intervalSeconds(interval) * 1000;
+    const now = Date.now();
+    const key = [metal, interval, periodMs, indicators.join(','), JSON.stringify(params)].join('|');
+
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > now) {
+        return { ...cached.result, cached: true };
+    }
+
+    // Skip the candle that is still open; the cache expires when it closes
+    const openBucket = bucketStart(now, interval);
+    const from = new Date(now - periodMs);
+    const warmupFrom = new Date(from.getTime() - warmupCandles(indicators, params) * intervalMs);
+
+    const candles = (await getCandles(db, metal, interval, warmupFrom, new Date(now)))
+        .filter(candle => candle.timestamp < openBucket);
+    const windowStart = bucketStart(from, interval);
+    const data = computeIndicators(candles, indicators, params)
+        .filter(point => point.timestamp >= windowStart);
+
+    const expiresAt = new Date(`${openBucket.replace(' ', 'T')}Z`).getTime() + intervalMs;
+    const result = {
+        data,
+        lastClosedCandle: data.length ? data[data.length - 1].timestamp : null,
+        cachedUntil: new Date(expiresAt).toISOString()
+    };
+
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { expiresAt, result });
+    return { ...result, cached: false };
+}
+
+module.exports = {
+    INDICATORS,
+    DEFAULT_PARAMS,
+    sma,
+    ema,
+    rsi,
+    macd,
+    bollinger,
+    atr,
+    parseIndicatorQuery,
+    computeIndicators,
+    getIndicators,
+    clearIndicatorCache
+};
@@ -0,0 +1,162 @@
+const EventEmitter = require('events');
+const config = require('../config');
+const { MarketSimulator } = require('./marketSimulator');
+const { createPriceFeed } = require('./priceFeeds');
+const { recordForwardCurves } = require('./forwardCurve');
+
+// Single simulator shared by every price consumer, so a metal has one price
+// at any moment and only moves when the ticker advances it
+const simulator = new MarketSimulator(config.simulator);
+
+// Configured providers behind automatic failover
+const priceFeed = createPriceFeed(config.priceFeed, { simulator });
+
+// Emits 'quotes' with each batch of recorded live quotes
+const marketEvents = new EventEmitter();
+
+// SQLite DATETIME text ('YYYY-MM-DD HH:MM:SS', UTC), comparable with datetime('now')
+function formatTimestamp(date) {
+    return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Latest recorded tick for each metal
+async function getLatestMarketData(db) {
+    const rows = await db.all(`
+        SELECT metal_type, price, change_24h, change_percent, volume, market_cap, timestamp
+        FROM (
+            SELECT *, ROW_NUMBER() OVER (PARTITION BY metal_type ORDER BY timestamp DESC, id DESC) as rn
+            FROM market_data
+        )
+        WHERE rn = 1
+        ORDER BY metal_type
+    `);
+
+    const latestData = {};
+    rows.forEach(row => {
+        latestData[row.metal_type] = row;
+    });
+    return latestData;
+}
+
+// Fill in the 24h change from stored history when the source omits it
+async function withDailyChange(db, quote) {
+    if (quote.change24h !== null && quote.change24h !== undefined) return quote;
+
+    const reference = await db.get(`
+        SELECT price FROM market_data
+        WHERE metal_type = ? AND timestamp <= datetime('now', '-1 day')
+        ORDER BY timestamp DESC
+        LIMIT 1
+    `, [quote.metal]) || await db.get(`
+        SELECT price FROM market_data
+        WHERE metal_type = ?
+        ORDER BY timestamp ASC
+        LIMIT 1
+    `, [quote.metal]);
+
+    const basePrice = reference ? reference.price : quote.price;
+    const change = quote.price - basePrice;
+    return {
+        ...quote,
+        change24h: parseFloat(change.toFixed(2)),
+        changePercent: parseFloat((change / basePrice * 100).toFixed(2))
+    };
+}
+
+// Store live quotes stamped with the time they were received
+async function recordQuotes(db, quotes) {
+    const recorded = [];
+    for (const rawQuote of quotes) {
+        const quote = await withDailyChange(db, rawQuote);
+        await db.run(`
+            INSERT INTO market_data (metal_type, price, change_24h, change_percent, volume, market_cap)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [quote.metal, quote.price, quote.change24h, quote.changePercent, quote.volume, quote.marketCap]);
+        recorded.push(quote);
+    }
+    return recorded;
+}
+
+// Pull the latest quotes from the feed and store them
+async function recordFeedTick(db) {
+    const quotes = await recordQuotes(db, await priceFeed.getLatestQuotes());
+    await recordForwardCurves(db, quotes);
+
+    // Keep the simulator aligned with real prices so failing over to it is seamless
+    if (priceFeed.activeProvider !== 'simulator') {
+        quotes.forEach(quote => simulator.setPrice(quote.metal, quote.price));
+    }
+
+    marketEvents.emit('quotes', quotes);
+    return quotes;
+}
+
+// Continue the simulation from the last stored prices after a restart
+async function resumeSimulator(db) {
+    const latestData = await getLatestMarketData(db);
+    Object.values(latestData).forEach(row => simulator.setPrice(row.metal_type, row.price));
+}
+
+// Load daily history from the feed for metals that have no stored history yet
+async function backfillHistory(db, days = config.priceFeed.backfillDays) {
+    if (!days) return 0;
+
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    let inserted = 0;
+
+    for (const metal of simulator.metals) {
+        const existing = await db.get(`
+            SELECT COUNT(*) as count FROM market_data
+            WHERE metal_type = ? AND timestamp < datetime('now', '-1 day')
+        `, [metal]);
+        if (existing.count > 0) continue;
+
+        const history = await priceFeed.getHistory(metal, from, to);
+        await db.transaction(async () => {
+            let previous = null;
+            for (const point of history) {
+                const change = previous ? point.price - previous : 0;
+                await db.run(`
+                    INSERT INTO market_data (metal_type, price, change_24h, change_percent, volume, market_cap, timestamp)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    metal,
+                    point.price,
+                    parseFloat(change.toFixed(2)),
+                    previous ? parseFloat((change / previous * 100).toFixed(2)) : 0,
+                    point.volume || 0,
+                    Math.round(point.price * (point.volume || 0) * 0.1),
+                    formatTimestamp(point.timestamp)
+                ]);
+                previous = point.price;
+            }
+        });
+        inserted += history.length;
+    }
+
+    return inserted;
+}
+
+function startMarketTicker(db, intervalMs = config.simulator.tickInterval) {
+    const timer = setInterval(() => {
+        recordFeedTick(db).catch(error => {
+            console.error('Market tick error:', error);
+        });
+    }, intervalMs);
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    simulator,
+    priceFeed,
+    marketEvents,
+    formatTimestamp,
+    getLatestMarketData,
+    recordQuotes,
+    recordFeedTick,
+    resumeSimulator,
+    backfillHistory,
+    startMarketTicker
+};
@@ -0,0 +1,226 @@
+// Seedable market simulator. Prices follow correlated geometric Brownian
+// motion: S(t+dt) = S(t) * exp((mu - sigma^2 / 2) dt + sigma sqrt(dt) Z), where
+// the normal shocks Z are correlated across metals through the Cholesky factor
+// of the correlation matrix.
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Reference price (USD/tonne), annualized drift and volatility, daily volume
+const DEFAULT_METALS = {
+    COPPER: { price: 8500, drift: 0.03, volatility: 0.22, volume: 450000 },
+    ALUMINUM: { price: 2374, drift: 0.02, volatility: 0.20, volume: 620000 },
+    ZINC: { price: 3017, drift: 0.02, volatility: 0.25, volume: 280000 },
+    NICKEL: { price: 21218, drift: 0.03, volatility: 0.35, volume: 140000 },
+    LEAD: { price: 2151, drift: 0.01, volatility: 0.22, volume: 190000 },
+    TIN: { price: 24605, drift: 0.03, volatility: 0.28, volume: 45000 }
+};
+
+// Pairwise return correlations, rows and columns in DEFAULT_METALS order
+const DEFAULT_CORRELATION = [
+    [1.00, 0.62, 0.65, 0.55, 0.50, 0.45],
+    [0.62, 1.00, 0.55, 0.45, 0.45, 0.35],
+    [0.65, 0.55, 1.00, 0.45, 0.70, 0.38],
+    [0.55, 0.45, 0.45, 1.00, 0.38, 0.40],
+    [0.50, 0.45, 0.70, 0.38, 1.00, 0.32],
+    [0.45, 0.35, 0.38, 0.40, 0.32, 1.00]
+];
+
+// Turn a numeric or string seed into a 32-bit integer
+function normalizeSeed(seed) {
+    if (/^\d+$/.test(String(seed))) {
+        return Number(seed) >>> 0;
+    }
+
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32: small, fast PRNG with a 32-bit state
+function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal sampler (Box-Muller) on top of a uniform generator
+function createNormal(random) {
+    let spare = null;
+    return () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+
+        let u = 0;
+        while (u === 0) u = random();
+        const v = random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        spare = radius * Math.sin(2 * Math.PI * v);
+        return radius * Math.cos(2 * Math.PI * v);
+    };
+}
+
+// Lower-triangular L with L * L^T = matrix; throws if the matrix is not a
+// valid (symmetric, positive definite) correlation matrix
+function cholesky(matrix) {
+    const n = matrix.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        if (!Array.isArray(matrix[i]) || matrix[i].length !== n) {
+            throw new Error('Correlation matrix must be square');
+        }
+        if (Math.abs(matrix[i][i] - 1) > 1e-9) {
+            throw new Error('Correlation matrix must have a unit diagonal');
+        }
+
+        for (let j = 0; j <= i; j++) {
+            if (Math.abs(matrix[i][j] - matrix[j][i]) > 1e-9) {
+                throw new Error('Correlation matrix must be symmetric');
+            }
+
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+
+            if (i === j) {
+                if (sum <= 0) {
+                    throw new Error('Correlation matrix must be positive definite');
+                }
+                lower[i][j] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+
+    return lower;
+}
+
+class MarketSimulator {
+    constructor({ seed = 42, metals = DEFAULT_METALS, correlation = DEFAULT_CORRELATION, timeScale = 1 } = {}) {
+        this.metals = Object.keys(metals);
+        this.params = metals;
+        this.timeScale = timeScale;
+        this.correlation = correlation;
+
+        if (correlation.length !== this.metals.length) {
+            throw new Error(`Correlation matrix must be ${this.metals.length}x${this.metals.length}`);
+        }
+        this.choleskyFactor = cholesky(correlation);
+
+        this.reset(seed);
+    }
+
+    // Restart the simulation from the reference prices with a new seed
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.normal = createNormal(this.random);
+        this.elapsedSeconds = 0;
+        this.timestamp = new Date();
+        this.state = {};
+
+        this.metals.forEach(metal => {
+            const { price, volume } = this.params[metal];
+            this.state[metal] = { price, sessionOpen: price, sessionStart: 0, volume };
+        });
+    }
+
+    // Continue from an externally known price (e.g. the last stored tick)
+    setPrice(metal, price) {
+        const state = this.state[metal.toUpperCase()];
+        if (!state || !(price > 0)) return;
+        state.price = price;
+        state.sessionOpen = price;
+        state.sessionStart = this.elapsedSeconds;
+    }
+
+    hasMetal(metal) {
+        return this.metals.includes(metal.toUpperCase());
+    }
+
+    getPrice(metal) {
+        const state = this.state[metal.toUpperCase()];
+        return state ? round(state.price) : null;
+    }
+
+    getQuote(metal) {
+        const key = metal.toUpperCase();
+        const state = this.state[key];
+        if (!state) return null;
+
+        const change = state.price - state.sessionOpen;
+        return {
+            metal: key,
+            price: round(state.price),
+            change24h: round(change),
+            changePercent: round(change / state.sessionOpen * 100),
+            volume: Math.round(state.volume),
+            marketCap: Math.round(state.price * state.volume * 0.1),
+            timestamp: this.timestamp.toISOString()
+        };
+    }
+
+    getQuotes() {
+        return this.metals.map(metal => this.getQuote(metal));
+    }
+
+    // Advance every metal by one correlated GBM step of dtSeconds wall time
+    step(dtSeconds = 30) {
+        const simulatedSeconds = dtSeconds * this.timeScale;
+        const dt = simulatedSeconds / SECONDS_PER_YEAR;
+        const independent = this.metals.map(() => this.normal());
+
+        this.elapsedSeconds += simulatedSeconds;
+        this.timestamp = new Date();
+
+        this.metals.forEach((metal, i) => {
+            const { drift, volatility, volume } = this.params[metal];
+            const state = this.state[metal];
+
+            let shock = 0;
+            for (let k = 0; k <= i; k++) {
+                shock += this.choleskyFactor[i][k] * independent[k];
+            }
+
+            state.price *= Math.exp((drift - volatility * volatility / 2) * dt + volatility * Math.sqrt(dt) * shock);
+
+            // Daily volume wanders log-normally around its reference level
+            state.volume = volume * Math.exp(0.2 * this.normal() - 0.02);
+
+            // Roll the 24h reference price once a simulated day has passed
+            if (this.elapsedSeconds - state.sessionStart >= SECONDS_PER_DAY) {
+                state.sessionOpen = state.price;
+                state.sessionStart = this.elapsedSeconds;
+            }
+        });
+
+        return this.getQuotes();
+    }
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+module.exports = {
+    DEFAULT_METALS,
+    DEFAULT_CORRELATION,
+    MarketSimulator,
+    cholesky,
+    createRandom,
+    createNormal
+};
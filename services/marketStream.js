@@ -0,0 +1,294 @@
+const { URL } = require('url');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const config = require('../config');
+const { marketEvents, getLatestMarketData } = require('./marketData');
+const { valuePositions } = require('./pnl');
+const { getReportingCurrency } = require('./fx');
+
+const PROTOCOL = 'market-data';
+
+// Real-time market stream served at /ws/market.
+//
+// Clients authenticate with their JWT (?token=... or an Authorization header)
+// and send JSON messages:
+//   { type: 'subscribe', metals: ['COPPER'], positions: true }
+//   { type: 'unsubscribe', metals: ['COPPER'] }
+//   { type: 'ping' }
+// The server sends 'welcome', 'subscribed', 'tick', 'positions', 'heartbeat',
+// 'pong' and 'error' frames. Slow consumers have tick frames conflated to the
+// latest price per metal and are disconnected if their buffer keeps growing.
+class MarketStream {
+    constructor(server, db, {
+        path = '/ws/market',
+        heartbeatInterval = config.marketStream.heartbeatInterval,
+        highWaterMark = config.marketStream.highWaterMark,
+        maxBufferedAmount = config.marketStream.maxBufferedAmount
+    } = {}) {
+        this.db = db;
+        this.path = path;
+        this.highWaterMark = highWaterMark;
+        this.maxBufferedAmount = maxBufferedAmount;
+        this.clients = new Set();
+
+        this.wss = new WebSocket.Server({
+            noServer: true,
+            handleProtocols: (protocols) => (protocols.has(PROTOCOL) ? PROTOCOL : false)
+        });
+
+        this.onUpgrade = (req, socket, head) => this.handleUpgrade(req, socket, head);
+        this.onQuotes = (quotes) => {
+            this.broadcastQuotes(quotes).catch(error => {
+                console.error('Market stream broadcast error:', error);
+            });
+        };
+
+        server.on('upgrade', this.onUpgrade);
+        marketEvents.on('quotes', this.onQuotes);
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), heartbeatInterval);
+        this.server = server;
+    }
+
+    authenticate(req) {
+        const url = new URL(req.url, 'http://localhost');
+        const authHeader = req.headers['authorization'];
+        const token = url.searchParams.get('token') || (authHeader && authHeader.split(' ')[1]);
+        if (!token) return null;
+
+        try {
+            return jwt.verify(token, config.jwtSecret);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    handleUpgrade(req, socket, head) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== this.path) return;
+
+        const user = this.authenticate(req);
+        if (!user) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, user));
+    }
+
+    handleConnection(ws, user) {
+        const client = {
+            ws,
+            user,
+            metals: new Set(),
+            positions: true,
+            alive: true,
+            pending: new Map(),
+            dropped: 0
+        };
+        this.clients.add(client);
+
+        ws.on('pong', () => { client.alive = true; });
+        ws.on('message', (data) => this.handleMessage(client, data));
+        ws.on('close', () => this.clients.delete(client));
+        ws.on('error', (error) => {
+            console.error('Market stream client error:', error.message);
+        });
+
+        this.send(client, {
+            type: 'welcome',
+            userId: user.userId,
+            heartbeatInterval: config.marketStream.heartbeatInterval
+        });
+    }
+
+    async handleMessage(client, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return this.send(client, { type: 'error', message: 'Messages must be valid JSON' });
+        }
+
+        const metals = Array.isArray(message.metals)
+            ? message.metals.map(metal => String(metal).toUpperCase())
+            : [];
+
+        try {
+            switch (message.type) {
+                case 'subscribe': {
+                    metals.forEach(metal => client.metals.add(metal));
+                    if (typeof message.positions === 'boolean') {
+                        client.positions = message.positions;
+                    }
+                    this.send(client, { type: 'subscribed', metals: [...client.metals], positions: client.positions });
+
+                    // Send a snapshot so the client does not wait for the next tick
+                    const latestData = await getLatestMarketData(this.db);
+                    metals.forEach(metal => {
+                        if (latestData[metal]) {
+                            this.send(client, { type: 'tick', snapshot: true, ...this.toTick(latestData[metal]) });
+                        }
+                    });
+                    break;
+                }
+                case 'unsubscribe':
+                    metals.forEach(metal => {
+                        client.metals.delete(metal);
+                        client.pending.delete(metal);
+                    });
+                    if (message.positions === false) {
+                        client.positions = false;
+                    }
+                    this.send(client, { type: 'subscribed', metals: [...client.metals], positions: client.positions });
+                    break;
+                case 'ping':
+                    this.send(client, { type: 'pong', timestamp: new Date().toISOString() });
+                    break;
+                default:
+                    this.send(client, { type: 'error', message: `Unknown message type: ${message.type}` });
+            }
+        } catch (error) {
+            console.error('Market stream message error:', error);
+            this.send(client, { type: 'error', message: 'Failed to process message' });
+        }
+    }
+
+    toTick(row) {
+        return {
+            metal: row.metal || row.metal_type,
+            price: row.price,
+            change24h: row.change24h !== undefined ? row.change24h : row.change_24h,
+            changePercent: row.changePercent !== undefined ? row.changePercent : row.change_percent,
+            volume: row.volume,
+            timestamp: row.timestamp
+        };
+    }
+
+    // Returns false when the frame was held back because of backpressure
+    send(client, frame) {
+        const { ws } = client;
+        if (ws.readyState !== WebSocket.OPEN) return false;
+
+        if (ws.bufferedAmount > this.maxBufferedAmount) {
+            ws.close(1008, 'Slow consumer');
+            return false;
+        }
+
+        ws.send(JSON.stringify(frame));
+        return true;
+    }
+
+    // Tick frames are conflated per metal while the socket buffer is above the
+    // high-water mark, so a slow client only ever receives the latest price
+    sendTick(client, tick) {
+        client.pending.set(tick.metal, tick);
+        if (client.ws.bufferedAmount > this.highWaterMark) {
+            client.dropped++;
+            return;
+        }
+
+        client.pending.forEach(pendingTick => this.send(client, { type: 'tick', ...pendingTick }));
+        client.pending.clear();
+    }
+
+    async broadcastQuotes(quotes) {
+        if (this.clients.size === 0) return;
+
+        const ticks = quotes.map(quote => this.toTick(quote));
+        const prices = {};
+        ticks.forEach(tick => { prices[tick.metal] = tick.price; });
+
+        const userIds = new Set();
+        this.clients.forEach(client => {
+            ticks
+                .filter(tick => client.metals.has(tick.metal))
+                .forEach(tick => this.sendTick(client, tick));
+
+            if (client.positions) userIds.add(client.user.userId);
+        });
+
+        for (const userId of userIds) {
+            const update = await this.positionUpdate(userId, prices);
+            this.clients.forEach(client => {
+                if (client.positions && client.user.userId === userId
+                    && client.ws.bufferedAmount <= this.highWaterMark) {
+                    this.send(client, update);
+                }
+            });
+        }
+    }
+
+    async positionUpdate(userId, prices) {
+        const positions = await this.db.all(`
+            SELECT id, metal_type, position_type, quantity, entry_price, expiry_date,
+                   status, currency, entry_fx_rate, created_at
+            FROM hedging_positions
+            WHERE user_id = ? AND status = 'active'
+        `, [userId]);
+
+        // Value each position at the curve point for its expiry, falling back to the
+        // tick's spot, with P&L in the user's reporting currency
+        const tickedPositions = positions
+            .filter(position => prices[position.metal_type] !== undefined)
+            .map(position => ({ ...position, current_market_price: prices[position.metal_type] }));
+        const reportingCurrency = await getReportingCurrency(this.db, userId);
+        const values = await valuePositions(this.db, tickedPositions, reportingCurrency);
+
+        let totalPnL = 0;
+        const updates = tickedPositions
+            .map(position => {
+                const { price: currentPrice, pnl } = values[position.id];
+                totalPnL += pnl.amount;
+                return {
+                    id: position.id,
+                    metal_type: position.metal_type,
+                    position_type: position.position_type,
+                    current_market_price: currentPrice,
+                    profit_loss: pnl.amount,
+                    profit_loss_percent: pnl.percentage
+                };
+            });
+
+        return {
+            type: 'positions',
+            positions: updates,
+            totalPnL: parseFloat(totalPnL.toFixed(2)),
+            currency: reportingCurrency,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Ping every client, dropping those that missed the previous ping or
+    // whose token has expired
+    heartbeat() {
+        const now = Math.floor(Date.now() / 1000);
+        this.clients.forEach(client => {
+            if (!client.alive) {
+                client.ws.terminate();
+                this.clients.delete(client);
+                return;
+            }
+
+            if (client.user.exp && client.user.exp <= now) {
+                client.ws.close(4001, 'Token expired');
+                return;
+            }
+
+            client.alive = false;
+            client.ws.ping();
+            this.send(client, { type: 'heartbeat', timestamp: new Date().toISOString(), dropped: client.dropped });
+        });
+    }
+
+    close() {
+        clearInterval(this.heartbeatTimer);
+        marketEvents.off('quotes', this.onQuotes);
+        this.server.off('upgrade', this.onUpgrade);
+        this.clients.forEach(client => client.ws.terminate());
+        this.clients.clear();
+        this.wss.close();
+    }
+}
+
+module.exports = { MarketStream, PROTOCOL };
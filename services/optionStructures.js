@@ -0,0 +1,302 @@
+const calendar = require('./calendar');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { isSupportedCurrency, getRate, getReportingCurrency } = require('./fx');
+const { normalizeUnit, toTonnes, validateQuantity } = require('./units');
+const { forwardPriceForPosition, openPosition } = require('./positions');
+const { priceOption } = require('./options');
+
+// Common hedging structures built from European options on one metal, expiry
+// and quantity. The exposure direction is the physical position being
+// protected: a long exposure (inventory, purchases) loses when prices fall and
+// is protected by puts, a short exposure by calls.
+//   floor            long exposure: buy a put at strike
+//   cap              short exposure: buy a call at strike
+//   collar           long: buy a put at lowerStrike, sell a call at upperStrike;
+//                    short: buy a call at upperStrike, sell a put at lowerStrike
+//   zero_cost_collar a collar whose sold strike is solved so the premiums net
+//                    to zero; give the bought strike (lowerStrike for a long
+//                    exposure, upperStrike for a short one)
+//   put_spread       long exposure: buy a put at upperStrike, sell one at lowerStrike
+//   call_spread      short exposure: buy a call at lowerStrike, sell one at upperStrike
+// Strikes and premiums are per tonne in the structure's currency, and legs are
+// priced at the model (Black-76 off the volatility surface) premium.
+
+const STRUCTURE_TYPES = ['floor', 'cap', 'collar', 'zero_cost_collar', 'put_spread', 'call_spread'];
+
+// Exposure direction each structure protects; collars work either way
+const FIXED_DIRECTIONS = {
+    floor: 'long',
+    cap: 'short',
+    put_spread: 'long',
+    call_spread: 'short'
+};
+
+const SOLVER_ITERATIONS = 100;
+
+function round(value, digits = 2) {
+    return parseFloat(value.toFixed(digits));
+}
+
+function positiveStrike(value) {
+    return value !== undefined && value !== null && Number(value) > 0 ? Number(value) : null;
+}
+
+// Option legs as { instrumentType, positionType, strikePrice }
+function structureLegs(type, direction, { strike, lowerStrike, upperStrike }) {
+    const buy = (instrumentType, strikePrice) => ({ instrumentType, positionType: 'long', strikePrice });
+    const sell = (instrumentType, strikePrice) => ({ instrumentType, positionType: 'short', strikePrice });
+
+    switch (type) {
+        case 'floor':
+            return [buy('put', strike)];
+        case 'cap':
+            return [buy('call', strike)];
+        case 'collar':
+        case 'zero_cost_collar':
+            return direction === 'long'
+                ? [buy('put', lowerStrike), sell('call', upperStrike)]
+                : [buy('call', upperStrike), sell('put', lowerStrike)];
+        case 'put_spread':
+            return [buy('put', upperStrike), sell('put', lowerStrike)];
+        case 'call_spread':
+            return [buy('call', lowerStrike), sell('call', upperStrike)];
+        default:
+            return [];
+    }
+}
+
+// Check a structure request. Returns { structure } or { error }.
+async function validateStructure(db, userId, input) {
+    const structureType = input.structureType;
+    if (!STRUCTURE_TYPES.includes(structureType)) {
+        return { error: `Structure type must be one of: ${STRUCTURE_TYPES.join(', ')}` };
+    }
+
+    const metalType = input.metalType && String(input.metalType).toUpperCase();
+    if (!metalType || !DEFAULT_METALS[metalType]) {
+        return { error: `Unknown metal: ${input.metalType}` };
+    }
+
+    const exposureDirection = FIXED_DIRECTIONS[structureType] || input.exposureDirection || 'long';
+    if (!['long', 'short'].includes(exposureDirection)) {
+        return { error: 'Exposure direction must be either "long" or "short"' };
+    }
+    if (input.exposureDirection && input.exposureDirection !== exposureDirection) {
+        return { error: `A ${structureType.replace('_', ' ')} protects a ${exposureDirection} exposure` };
+    }
+
+    const quantityUnit = normalizeUnit(input.quantityUnit);
+    const quantityError = validateQuantity(input.quantity, quantityUnit, metalType);
+    if (quantityError) return { error: quantityError };
+
+    const contractDate = input.contractDate || calendar.formatDate(new Date());
+    if (!input.expiryDate) return { error: 'expiryDate is required' };
+    const prompt = calendar.checkPromptDate(metalType, input.expiryDate, contractDate);
+    if (!prompt.valid) {
+        return {
+            error: `Expiry date is not a valid prompt date: ${prompt.reason}`,
+            suggestedExpiryDate: calendar.nextValidPrompt(metalType, input.expiryDate, contractDate)
+        };
+    }
+
+    const currency = input.currency
+        ? String(input.currency).toUpperCase()
+        : await getReportingCurrency(db, userId);
+    if (!isSupportedCurrency(currency)) {
+        return { error: `Unsupported currency: ${currency}` };
+    }
+
+    const strikes = {
+        strike: positiveStrike(input.strike),
+        lowerStrike: positiveStrike(input.lowerStrike),
+        upperStrike: positiveStrike(input.upperStrike)
+    };
+    if (['floor', 'cap'].includes(structureType)) {
+        if (!strikes.strike) return { error: 'A positive strike is required' };
+    } else if (structureType === 'zero_cost_collar') {
+        const bought = exposureDirection === 'long' ? 'lowerStrike' : 'upperStrike';
+        if (!strikes[bought]) {
+            return { error: `A positive ${bought} is required for a zero-cost collar on a ${exposureDirection} exposure` };
+        }
+    } else {
+        if (!strikes.lowerStrike || !strikes.upperStrike) {
+            return { error: 'Positive lowerStrike and upperStrike are required' };
+        }
+        if (strikes.lowerStrike >= strikes.upperStrike) {
+            return { error: 'lowerStrike must be below upperStrike' };
+        }
+    }
+
+    return {
+        structure: {
+            structureType,
+            metalType,
+            exposureDirection,
+            quantity: toTonnes(input.quantity, quantityUnit, metalType),
+            quantityUnit,
+            unitQuantity: Number(input.quantity),
+            contractDate,
+            expiryDate: input.expiryDate,
+            currency,
+            strikes
+        }
+    };
+}
+
+// Solve the sold strike of a zero-cost collar by bisection: the sold call's
+// premium falls as its strike rises and the sold put's rises with its strike.
+// Returns the strike in the structure's currency, or null when none exists.
+function solveZeroCostStrike(structure, forward, fxRate) {
+    const price = (instrumentType, strike) => priceOption({
+        metal_type: structure.metalType,
+        instrument_type: instrumentType,
+        strike_price: strike,
+        expiry_date: structure.expiryDate
+    }, forward, { strikeRate: fxRate }).premium;
+
+    let low;
+    let high;
+    let target;
+    let premium;
+    if (structure.exposureDirection === 'long') {
+        target = price('put', structure.strikes.lowerStrike);
+        premium = strike => price('call', strike) - target;
+        low = structure.strikes.lowerStrike;
+        high = 10 * forward / fxRate;
+        if (premium(low) < 0) return null;
+    } else {
+        target = price('call', structure.strikes.upperStrike);
+        premium = strike => target - price('put', strike);
+        low = 0.01;
+        high = structure.strikes.upperStrike;
+        if (premium(high) > 0) return null;
+    }
+
+    for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+        const mid = (low + high) / 2;
+        if (premium(mid) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return round((low + high) / 2);
+}
+
+// Price a validated structure's legs at the current forward. Premiums are per
+// tonne in the structure's currency; netPremium is paid (positive) or
+// received (negative) per tonne and totalPremium for the whole quantity.
+// Returns { quote } or { error }.
+async function priceStructure(db, structure) {
+    const forward = await forwardPriceForPosition(db, {
+        metal_type: structure.metalType,
+        expiry_date: structure.expiryDate
+    });
+    if (!forward) return { error: `No market price available for ${structure.metalType}` };
+
+    const fxRate = await getRate(db, structure.currency);
+    const strikes = { ...structure.strikes };
+
+    if (structure.structureType === 'zero_cost_collar') {
+        const solved = solveZeroCostStrike(structure, forward, fxRate);
+        if (!solved) {
+            return { error: 'No strike makes this collar zero-cost; the bought option is worth more than any sold option' };
+        }
+        strikes[structure.exposureDirection === 'long' ? 'upperStrike' : 'lowerStrike'] = solved;
+    }
+
+    const legs = structureLegs(structure.structureType, structure.exposureDirection, strikes).map(leg => {
+        const pricing = priceOption({
+            metal_type: structure.metalType,
+            instrument_type: leg.instrumentType,
+            strike_price: leg.strikePrice,
+            expiry_date: structure.expiryDate
+        }, forward, { strikeRate: fxRate });
+        const sign = leg.positionType === 'long' ? 1 : -1;
+
+        return {
+            ...leg,
+            premium: round(pricing.premium / fxRate),
+            volatility: round(pricing.volatility, 4),
+            delta: round(sign * pricing.delta, 4),
+            gamma: round(sign * pricing.gamma, 8),
+            vega: round(sign * pricing.vega / fxRate, 4),
+            theta: round(sign * pricing.theta / fxRate, 4)
+        };
+    });
+
+    const worthless = legs.find(leg => leg.premium < 0.01);
+    if (worthless) {
+        return { error: `The ${worthless.instrumentType} at ${worthless.strikePrice} is worth less than 0.01 per tonne` };
+    }
+
+    const netPremium = legs.reduce((sum, leg) => sum + (leg.positionType === 'long' ? leg.premium : -leg.premium), 0);
+
+    return {
+        quote: {
+            structureType: structure.structureType,
+            metalType: structure.metalType,
+            exposureDirection: structure.exposureDirection,
+            quantity: round(structure.quantity, 3),
+            quantityUnit: structure.quantityUnit,
+            unitQuantity: structure.unitQuantity,
+            expiryDate: structure.expiryDate,
+            currency: structure.currency,
+            forward: round(forward / fxRate),
+            fxRate,
+            strikes: {
+                lowerStrike: strikes.lowerStrike,
+                upperStrike: strikes.upperStrike,
+                strike: strikes.strike
+            },
+            legs,
+            netPremium: round(netPremium),
+            totalPremium: round(netPremium * structure.quantity)
+        }
+    };
+}
+
+// Book a priced structure: its option_structures row and one position per
+// leg at the quoted premiums. Returns { structureId, positionIds }.
+async function createStructure(db, userId, structure, quote) {
+    const result = await db.run(`
+        INSERT INTO option_structures (
+            user_id, structure_type, metal_type, exposure_direction, quantity, quantity_unit,
+            unit_quantity, expiry_date, currency, net_premium
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        userId, structure.structureType, structure.metalType, structure.exposureDirection, structure.quantity,
+        structure.quantityUnit, structure.unitQuantity, structure.expiryDate, structure.currency, quote.netPremium
+    ]);
+
+    const positionIds = [];
+    for (const leg of quote.legs) {
+        positionIds.push(await openPosition(db, {
+            userId,
+            metalType: structure.metalType,
+            positionType: leg.positionType,
+            quantity: structure.quantity,
+            entryPrice: leg.premium,
+            contractDate: structure.contractDate,
+            expiryDate: structure.expiryDate,
+            currency: structure.currency,
+            entryFxRate: quote.fxRate,
+            quantityUnit: structure.quantityUnit,
+            unitQuantity: structure.unitQuantity,
+            instrumentType: leg.instrumentType,
+            strikePrice: leg.strikePrice,
+            entryVolatility: leg.volatility,
+            structureId: result.id
+        }));
+    }
+
+    return { structureId: result.id, positionIds };
+}
+
+module.exports = {
+    STRUCTURE_TYPES,
+    structureLegs,
+    validateStructure,
+    priceStructure,
+    createStructure
+};
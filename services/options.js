@@ -0,0 +1,257 @@
+const moment = require('moment');
+const config = require('../config');
+const { normalPdf, normalCdf } = require('../utils/normal');
+const { promptSchedule, modelForwardPrice, forwardPricesForPositions } = require('./forwardCurve');
+const { getLatestRates } = require('./fx');
+const { isSwap, swapAveraging } = require('./swaps');
+
+// European options on the metal forward, priced with Black-76:
+//   call = e^(-rT) * (F * N(d1) - K * N(d2)),  put = e^(-rT) * (K * N(-d2) - F * N(-d1))
+//   d1 = (ln(F/K) + sigma^2 T / 2) / (sigma sqrt(T)),  d2 = d1 - sigma sqrt(T)
+// against the forward price for the option's expiry, discounted at the
+// forward curve's interest rate. The volatility comes from a parametric
+// implied volatility surface: an ATM level that moves from atmShort to
+// atmLong with time constant tau (years), plus skew and smile terms in
+// log-moneyness ln(K/F), held between 1% and 200%. Time to expiry is in
+// calendar days / 365.
+
+const INSTRUMENT_TYPES = ['future', 'call', 'put', 'swap'];
+const OPTION_TYPES = ['call', 'put'];
+
+const DEFAULT_VOL_PARAMS = {
+    COPPER: { atmShort: 0.24, atmLong: 0.20, tau: 0.5, skew: 0.05, smile: 0.4 },
+    ALUMINUM: { atmShort: 0.22, atmLong: 0.18, tau: 0.5, skew: 0.04, smile: 0.4 },
+    ZINC: { atmShort: 0.28, atmLong: 0.22, tau: 0.5, skew: 0.05, smile: 0.4 },
+    NICKEL: { atmShort: 0.40, atmLong: 0.30, tau: 0.4, skew: 0.08, smile: 0.5 },
+    LEAD: { atmShort: 0.26, atmLong: 0.21, tau: 0.5, skew: 0.04, smile: 0.4 },
+    TIN: { atmShort: 0.32, atmLong: 0.25, tau: 0.4, skew: 0.06, smile: 0.5 }
+};
+
+// The smile term grows without bound in moneyness, so far strikes (or
+// forwards shocked far from the strike) are clamped to these volatilities
+const MIN_VOLATILITY = 0.01;
+const MAX_VOLATILITY = 2;
+// Strikes shown on the volatility surface, as a fraction of the forward
+const SURFACE_MONEYNESS = [0.8, 0.85, 0.9, 0.95, 1, 1.05, 1.1, 1.15, 1.2];
+
+function isOption(position) {
+    return OPTION_TYPES.includes(position.instrument_type);
+}
+
+// "long position", "bought call (strike 9000 USD)" for options or "long
+// average-price swap (2026-11)" for swaps
+function describeInstrument(position) {
+    if (isSwap(position)) {
+        return `${position.position_type} average-price swap (${String(position.expiry_date).slice(0, 7)})`;
+    }
+    if (!isOption(position)) return `${position.position_type} position`;
+    const side = position.position_type === 'long' ? 'bought' : 'written';
+    return `${side} ${position.instrument_type} (strike ${position.strike_price} ${position.currency})`;
+}
+
+function volParams(metal) {
+    const overrides = (config.options.volParams || {})[metal] || {};
+    return { ...(DEFAULT_VOL_PARAMS[metal] || DEFAULT_VOL_PARAMS.COPPER), ...overrides };
+}
+
+// Implied volatility for a strike and time to expiry (years)
+function impliedVolatility(metal, forward, strike, years) {
+    const { atmShort, atmLong, tau, skew, smile } = volParams(metal);
+    const atm = atmLong + (atmShort - atmLong) * Math.exp(-Math.max(0, years) / tau);
+    const moneyness = Math.log(strike / forward);
+    const volatility = atm + skew * moneyness + smile * moneyness ** 2;
+    return Math.min(MAX_VOLATILITY, Math.max(MIN_VOLATILITY, volatility));
+}
+
+function yearsToExpiry(expiryDate, asOf = new Date()) {
+    return Math.max(0, moment.utc(expiryDate).diff(moment.utc(asOf).startOf('day'), 'days') / 365);
+}
+
+// Black-76 price and Greeks per tonne. Delta and gamma are with respect to the
+// forward, vega per 1.00 of volatility and theta per year. At or after expiry
+// the option is worth its intrinsic value.
+function black76(optionType, forward, strike, years, volatility, rate = config.forwardCurve.interestRate) {
+    const isCall = optionType === 'call';
+
+    if (years <= 0 || volatility <= 0) {
+        const intrinsic = Math.max(0, isCall ? forward - strike : strike - forward);
+        return {
+            price: intrinsic,
+            delta: intrinsic > 0 ? (isCall ? 1 : -1) : 0,
+            gamma: 0,
+            vega: 0,
+            theta: 0
+        };
+    }
+
+    const discount = Math.exp(-rate * years);
+    const sqrtT = Math.sqrt(years);
+    const d1 = (Math.log(forward / strike) + volatility ** 2 * years / 2) / (volatility * sqrtT);
+    const d2 = d1 - volatility * sqrtT;
+    const density = normalPdf(d1);
+
+    const price = isCall
+        ? discount * (forward * normalCdf(d1) - strike * normalCdf(d2))
+        : discount * (strike * normalCdf(-d2) - forward * normalCdf(-d1));
+
+    return {
+        price,
+        delta: isCall ? discount * normalCdf(d1) : -discount * normalCdf(-d1),
+        gamma: discount * density / (forward * volatility * sqrtT),
+        vega: discount * forward * density * sqrtT,
+        theta: -discount * forward * density * volatility / (2 * sqrtT) + rate * price
+    };
+}
+
+// Price an option position (or quote) against a base-currency forward price.
+// The strike is in the position's currency and strikeRate converts it to the
+// base currency. Returns per-tonne figures in the base currency, with vega per
+// volatility point and theta per day.
+function priceOption(position, forward, { strikeRate = 1, asOf = new Date(), volatility = null } = {}) {
+    const strike = position.strike_price * strikeRate;
+    const years = yearsToExpiry(position.expiry_date, asOf);
+    // A forward shocked to zero leaves only the intrinsic value
+    const sigma = forward > 0 ? volatility || impliedVolatility(position.metal_type, forward, strike, years) : 0;
+    const result = black76(position.instrument_type, forward, strike, years, sigma);
+
+    return {
+        forward,
+        strike,
+        years,
+        volatility: sigma,
+        premium: result.price,
+        delta: result.delta,
+        gamma: result.gamma,
+        vega: result.vega / 100,
+        theta: result.theta / 365
+    };
+}
+
+// Position-level Greeks in the base currency: delta in tonnes of the metal
+// (and deltaValue at the forward price), gamma in tonnes per USD move in the
+// forward, vega per volatility point and theta per day. Futures have a delta
+// of their quantity and no other Greeks. Written (short) positions carry the
+// opposite sign.
+function positionGreeks(position, forward, pricing = null) {
+    const size = (position.position_type === 'long' ? 1 : -1) * position.quantity;
+    const perTonne = pricing || { delta: 1, gamma: 0, vega: 0, theta: 0 };
+    return {
+        delta: size * perTonne.delta,
+        deltaValue: size * perTonne.delta * forward,
+        gamma: size * perTonne.gamma,
+        vega: size * perTonne.vega,
+        theta: size * perTonne.theta
+    };
+}
+
+// Greeks with their values (deltaValue, vega, theta) converted from the base
+// currency to the given one and rounded for display; gamma stays in tonnes
+// per base-currency move in the forward
+function reportingGreeks(greeks, currency, rates) {
+    const rate = rates[currency] || 1;
+    return {
+        delta: parseFloat(greeks.delta.toFixed(3)),
+        deltaValue: parseFloat((greeks.deltaValue / rate).toFixed(2)),
+        gamma: parseFloat(greeks.gamma.toFixed(6)),
+        vega: parseFloat((greeks.vega / rate).toFixed(2)),
+        theta: parseFloat((greeks.theta / rate).toFixed(2))
+    };
+}
+
+// Mark prices and Greeks for active positions: { positionId: { forward,
+// price, volatility, greeks } } with price the base-currency mark (the forward
+// for futures, the Black-76 premium for options, the estimated average for
+// swaps, which also carry their averaging status). Positions without a
+// market price are left out.
+async function positionRisk(db, positions, asOf = new Date()) {
+    const forwardPrices = await forwardPricesForPositions(db, positions);
+    const rates = await getLatestRates(db);
+    const averaging = await swapAveraging(db, positions, asOf);
+
+    const risk = {};
+    positions.forEach(position => {
+        if (isSwap(position)) {
+            const status = averaging[position.id];
+            if (!status) return;
+            // Only the days still to price move with the forward
+            const forward = status.remainingAverage || status.averagePrice;
+            const share = status.remainingDays / status.totalDays;
+            risk[position.id] = {
+                forward,
+                price: status.averagePrice,
+                volatility: null,
+                averaging: status,
+                greeks: positionGreeks(position, forward, { delta: share, gamma: 0, vega: 0, theta: 0 })
+            };
+            return;
+        }
+
+        const forward = forwardPrices[position.id];
+        if (!forward) return;
+
+        if (!isOption(position)) {
+            risk[position.id] = { forward, price: forward, volatility: null, greeks: positionGreeks(position, forward) };
+            return;
+        }
+
+        const pricing = priceOption(position, forward, { strikeRate: rates[position.currency] || 1, asOf });
+        risk[position.id] = {
+            forward,
+            price: pricing.premium,
+            volatility: pricing.volatility,
+            greeks: positionGreeks(position, forward, pricing)
+        };
+    });
+    return risk;
+}
+
+// Base-currency mark price per position: { positionId: price }
+async function marketPricesForPositions(db, positions) {
+    const risk = await positionRisk(db, positions);
+    const prices = {};
+    positions.forEach(position => {
+        prices[position.id] = risk[position.id] ? risk[position.id].price : null;
+    });
+    return prices;
+}
+
+// Implied volatilities across the monthly prompts for a metal at a spot price
+function volatilitySurface(metal, spot, asOf = new Date()) {
+    const today = moment.utc(asOf).startOf('day');
+    const points = promptSchedule(asOf)
+        .filter(({ tenor }) => tenor !== 'CASH')
+        .map(({ tenor, promptDate }) => {
+            const years = promptDate.diff(today, 'days') / 365;
+            const forward = modelForwardPrice(metal, spot, years);
+            return {
+                tenor,
+                promptDate: promptDate.format('YYYY-MM-DD'),
+                years: parseFloat(years.toFixed(4)),
+                forward: parseFloat(forward.toFixed(2)),
+                volatilities: SURFACE_MONEYNESS.map(moneyness => ({
+                    moneyness,
+                    strike: parseFloat((forward * moneyness).toFixed(2)),
+                    volatility: parseFloat(impliedVolatility(metal, forward, forward * moneyness, years).toFixed(4))
+                }))
+            };
+        });
+
+    return { metal, spot, params: volParams(metal), points };
+}
+
+module.exports = {
+    INSTRUMENT_TYPES,
+    OPTION_TYPES,
+    DEFAULT_VOL_PARAMS,
+    isOption,
+    describeInstrument,
+    impliedVolatility,
+    yearsToExpiry,
+    black76,
+    priceOption,
+    positionGreeks,
+    reportingGreeks,
+    positionRisk,
+    marketPricesForPositions,
+    volatilitySurface
+};
@@ -0,0 +1,264 @@
+const config = require('../config');
+const calendar = require('./calendar');
+const { marketEvents } = require('./marketData');
+const { forwardPricesForPositions } = require('./forwardCurve');
+const { BASE_CURRENCY, getRate, getLatestRates, convert } = require('./fx');
+const { checkPositionLimit, openPosition, forwardPriceForPosition } = require('./positions');
+const { validateTriggers, validateTrailingStop } = require('./execution');
+
+// Working orders. Market orders fill as soon as they are placed; limit and
+// stop-entry orders wait as 'pending' until a tick reaches their level. Like
+// the execution engine, orders are matched against the forward price for
+// their expiry in the order's currency, and fill at that tick's price: at or
+// better than the limit, or at or beyond the stop. Pending orders expire at
+// the end of their good-till date (time in force 'gtd') or once their prompt
+// date is reached.
+
+const ORDER_TYPES = ['market', 'limit', 'stop'];
+const TIME_IN_FORCE = ['gtc', 'gtd'];
+
+// Whether a price reaches an order's level. Limit orders buy (long) at or
+// below the limit and sell (short) at or above it; stop-entry orders buy once
+// the price rises to the stop and sell once it falls to it.
+function isTriggered(order, price) {
+    const isLong = order.position_type === 'long';
+    if (order.order_type === 'limit') {
+        return isLong ? price <= order.limit_price : price >= order.limit_price;
+    }
+    if (order.order_type === 'stop') {
+        return isLong ? price >= order.stop_price : price <= order.stop_price;
+    }
+    return true;
+}
+
+// Check an order's price levels against the market price in its currency.
+// Stops and targets for the position must sit on the right side of the
+// expected fill price. Returns an error message or null.
+function validateOrderPrices(order, marketPrice) {
+    const { order_type: orderType, position_type: positionType } = order;
+
+    if (orderType === 'limit' && !(order.limit_price > 0)) {
+        return 'Limit orders need a positive limitPrice';
+    }
+    if (orderType === 'stop') {
+        if (!(order.stop_price > 0)) {
+            return 'Stop-entry orders need a positive stopPrice';
+        }
+        // A stop already through the market would fill at once, at a price the user did not ask for
+        if (marketPrice && isTriggered(order, marketPrice)) {
+            return `Stop price must be ${positionType === 'long' ? 'above' : 'below'} the market price of ${marketPrice.toFixed(2)} for a ${positionType} stop-entry order`;
+        }
+    }
+    if (orderType === 'market' && !marketPrice) {
+        return `No market price available for ${order.metal_type}`;
+    }
+
+    const fillPrice = { limit: order.limit_price, stop: order.stop_price, market: marketPrice }[orderType];
+    return validateTriggers(positionType, fillPrice, order.stop_loss, order.target_price)
+        || validateTrailingStop(order.trailing_stop_amount, order.trailing_stop_percent);
+}
+
+// Current market price for an order's expiry, in the order's currency
+async function marketPriceForOrder(db, order) {
+    const marketPrice = await forwardPriceForPosition(db, order);
+    if (!marketPrice) return null;
+    return marketPrice / await getRate(db, order.currency);
+}
+
+function describeOrder(order) {
+    const level = order.order_type === 'limit' ? ` limit ${order.limit_price}`
+        : order.order_type === 'stop' ? ` stop ${order.stop_price}` : '';
+    return `${order.order_type} ${order.position_type} order for ${order.unit_quantity} ${order.quantity_unit} ${order.metal_type}${level ? `${level} ${order.currency}` : ''}`;
+}
+
+// Move a pending order to a final status, notifying the user. Returns false
+// if the order was no longer pending.
+async function finishOrder(db, order, status, reason, type) {
+    const result = await db.run(`
+        UPDATE orders
+        SET status = ?, status_reason = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+    `, [status, reason, order.id]);
+    if (!result.changes) return false;
+
+    await db.run(`
+        INSERT INTO notifications (user_id, title, message, type)
+        VALUES (?, ?, ?, ?)
+    `, [
+        order.user_id,
+        status === 'expired' ? 'Order Expired' : 'Order Rejected',
+        `Your ${describeOrder(order)} has ${status === 'expired' ? 'expired' : 'been rejected'}: ${reason}.`,
+        type
+    ]);
+    return true;
+}
+
+// Fill a pending order at price (in the order's currency) and open its
+// position. Orders that can no longer be opened, because the prompt is no
+// longer tradable or the plan's position limit is reached, are rejected
+// instead. The limit check, the claim and the new position are one
+// transaction, so concurrent fills cannot pass the limit together and a failed
+// open leaves the order pending. Returns the new position id, or null if the
+// order did not fill.
+async function fillOrder(db, order, price) {
+    return db.transaction(async () => {
+        const tradeDate = calendar.formatDate(new Date());
+        const prompt = calendar.checkPromptDate(order.metal_type, order.expiry_date, tradeDate);
+        const rejection = prompt.valid
+            ? await checkPositionLimit(db, order.user_id)
+            : `Expiry date is no longer a valid prompt date: ${prompt.reason}`;
+        if (rejection) {
+            await finishOrder(db, order, 'rejected', rejection, 'warning');
+            return null;
+        }
+
+        // Claim the order first so a concurrent cancel or match cannot act on it too
+        const fillPrice = parseFloat(price.toFixed(2));
+        const claimed = await db.run(`
+            UPDATE orders
+            SET status = 'filled', fill_price = ?, filled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [fillPrice, order.id]);
+        if (!claimed.changes) return null;
+
+        const positionId = await openPosition(db, {
+            userId: order.user_id,
+            metalType: order.metal_type,
+            positionType: order.position_type,
+            quantity: order.quantity,
+            entryPrice: fillPrice,
+            contractDate: tradeDate,
+            expiryDate: order.expiry_date,
+            currency: order.currency,
+            entryFxRate: await getRate(db, order.currency),
+            quantityUnit: order.quantity_unit,
+            unitQuantity: order.unit_quantity,
+            targetPrice: order.target_price,
+            stopLoss: order.stop_loss,
+            trailingStopAmount: order.trailing_stop_amount,
+            trailingStopPercent: order.trailing_stop_percent,
+            autoRoll: order.auto_roll
+        });
+        await db.run('UPDATE orders SET position_id = ? WHERE id = ?', [positionId, order.id]);
+
+        await db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [order.user_id, 'ORDER_FILLED', `Filled order ${order.id} at ${fillPrice} ${order.currency}, opening position ${positionId}`, null]);
+
+        await db.run(`
+            INSERT INTO notifications (user_id, title, message, type)
+            VALUES (?, ?, ?, ?)
+        `, [
+            order.user_id,
+            'Order Filled',
+            `Your ${describeOrder(order)} has been filled at ${fillPrice} ${order.currency}.`,
+            'success'
+        ]);
+
+        return positionId;
+    });
+}
+
+// Expire pending orders past their good-till date or whose prompt date has
+// been reached. Returns the expired order ids.
+async function expireOrders(db, asOf = new Date()) {
+    const today = calendar.formatDate(asOf);
+    const orders = await db.all(`
+        SELECT * FROM orders
+        WHERE status = 'pending'
+          AND ((time_in_force = 'gtd' AND good_till < ?) OR expiry_date <= ?)
+    `, [today, today]);
+
+    const expired = [];
+    for (const order of orders) {
+        const reason = order.expiry_date <= today
+            ? `the ${order.expiry_date} prompt date has been reached`
+            : `good till ${order.good_till}`;
+        if (await finishOrder(db, order, 'expired', reason, 'info')) {
+            expired.push(order.id);
+        }
+    }
+    return expired;
+}
+
+// Match pending limit and stop-entry orders in the ticked metals against
+// base-currency spot prices ({ metal: price }). Returns the orders filled:
+// [{ id, userId, positionId, price }].
+async function matchOrders(db, prices) {
+    const metals = Object.keys(prices);
+    if (!metals.length) return [];
+
+    await expireOrders(db);
+
+    const orders = await db.all(`
+        SELECT * FROM orders
+        WHERE status = 'pending' AND order_type != 'market'
+          AND metal_type IN (${metals.map(() => '?').join(', ')})
+        ORDER BY created_at, id
+    `, metals);
+    if (!orders.length) return [];
+
+    const tickedOrders = orders.map(order => ({ ...order, current_market_price: prices[order.metal_type] }));
+    const forwardPrices = await forwardPricesForPositions(db, tickedOrders);
+    const rates = await getLatestRates(db);
+
+    const filled = [];
+    for (const order of tickedOrders) {
+        const marketPrice = forwardPrices[order.id];
+        if (!marketPrice) continue;
+
+        const price = convert(marketPrice, BASE_CURRENCY, order.currency, rates);
+        if (!isTriggered(order, price)) continue;
+
+        const positionId = await fillOrder(db, order, price);
+        if (positionId) {
+            filled.push({ id: order.id, userId: order.user_id, positionId, price: parseFloat(price.toFixed(2)) });
+        }
+    }
+    return filled;
+}
+
+// Match orders on every batch of quotes recorded by the market ticker,
+// skipping ticks that arrive while a batch is still being matched
+function startOrderMatcher(db) {
+    if (!config.orders.enabled) return () => {};
+
+    let running = false;
+    const onQuotes = (quotes) => {
+        if (running) return;
+        running = true;
+
+        const prices = {};
+        quotes.forEach(quote => { prices[quote.metal] = quote.price; });
+
+        matchOrders(db, prices)
+            .then(filled => {
+                filled.forEach(fill => {
+                    console.log(`Order matcher filled order ${fill.id} at ${fill.price} (position ${fill.positionId})`);
+                });
+            })
+            .catch(error => {
+                console.error('Order matcher error:', error);
+            })
+            .finally(() => {
+                running = false;
+            });
+    };
+
+    marketEvents.on('quotes', onQuotes);
+    return () => marketEvents.off('quotes', onQuotes);
+}
+
+module.exports = {
+    ORDER_TYPES,
+    TIME_IN_FORCE,
+    isTriggered,
+    validateOrderPrices,
+    marketPriceForOrder,
+    describeOrder,
+    fillOrder,
+    expireOrders,
+    matchOrders,
+    startOrderMatcher
+};
@@ -0,0 +1,260 @@
+const calendar = require('./calendar');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { isSupportedCurrency, getRate, getReportingCurrency } = require('./fx');
+const { normalizeUnit, toTonnes, validateQuantity, describeQuantity } = require('./units');
+const { forwardPriceForPosition, openPosition, closePosition } = require('./positions');
+const { valuePositions, realizedPnL } = require('./pnl');
+const { positionRisk } = require('./options');
+
+// Multi-leg packages of futures booked, valued and closed together:
+//   calendar_spread     two legs in one metal at different prompts, one long
+//                       and one short
+//   inter_metal_spread  two legs in different metals, one long and one short
+//   custom              two to MAX_LEGS legs of any kind
+// All legs share the package's currency and contract date. A leg's entry price
+// defaults to the forward price for its prompt and, like single positions,
+// must be within 10% of it. Legs are booked in one transaction, so either all
+// of them open or none does. The spread of a two-leg package is the first
+// leg's price minus the second's.
+
+const PACKAGE_TYPES = ['calendar_spread', 'inter_metal_spread', 'custom'];
+const MAX_LEGS = 6;
+const MAX_PRICE_DEVIATION = 0.1;
+
+function round(value, digits = 2) {
+    return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
+
+function describeLeg(leg) {
+    return `${leg.positionType} ${leg.unitQuantity} ${leg.quantityUnit} ${leg.metalType} ${leg.expiryDate}`;
+}
+
+// Check one leg of a package; returns { leg } or { error, suggestedExpiryDate }
+async function validateLeg(db, input, index, contractDate, currency, fxRate) {
+    const label = `Leg ${index + 1}`;
+    const metalType = input.metalType && String(input.metalType).toUpperCase();
+    if (!metalType || !DEFAULT_METALS[metalType]) {
+        return { error: `${label}: unknown metal ${input.metalType}` };
+    }
+
+    if (!['long', 'short'].includes(input.positionType)) {
+        return { error: `${label}: position type must be either "long" or "short"` };
+    }
+
+    const quantityUnit = normalizeUnit(input.quantityUnit);
+    const quantityError = validateQuantity(input.quantity, quantityUnit, metalType);
+    if (quantityError) return { error: `${label}: ${quantityError}` };
+
+    if (!input.expiryDate) return { error: `${label}: expiryDate is required` };
+    const prompt = calendar.checkPromptDate(metalType, input.expiryDate, contractDate);
+    if (!prompt.valid) {
+        return {
+            error: `${label}: expiry date is not a valid prompt date: ${prompt.reason}`,
+            suggestedExpiryDate: calendar.nextValidPrompt(metalType, input.expiryDate, contractDate)
+        };
+    }
+
+    const forward = await forwardPriceForPosition(db, { metal_type: metalType, expiry_date: input.expiryDate });
+    if (!forward) return { error: `${label}: no market price available for ${metalType}` };
+    const marketPrice = forward / fxRate;
+
+    let entryPrice = round(marketPrice);
+    if (input.entryPrice !== undefined && input.entryPrice !== null) {
+        entryPrice = Number(input.entryPrice);
+        if (!(entryPrice > 0)) return { error: `${label}: entry price must be a positive number` };
+        if (Math.abs(entryPrice - marketPrice) / marketPrice > MAX_PRICE_DEVIATION) {
+            return { error: `${label}: entry price is more than 10% away from current market price` };
+        }
+    }
+
+    return {
+        leg: {
+            metalType,
+            positionType: input.positionType,
+            quantity: toTonnes(input.quantity, quantityUnit, metalType),
+            quantityUnit,
+            unitQuantity: Number(input.quantity),
+            expiryDate: calendar.formatDate(input.expiryDate),
+            entryPrice,
+            currency
+        }
+    };
+}
+
+// Check a package request. Returns { pkg } or { error } (with
+// suggestedExpiryDate when a leg's prompt is not tradable).
+async function validatePackage(db, userId, input) {
+    const packageType = input.packageType || 'custom';
+    if (!PACKAGE_TYPES.includes(packageType)) {
+        return { error: `Package type must be one of: ${PACKAGE_TYPES.join(', ')}` };
+    }
+
+    const legsInput = input.legs;
+    if (!Array.isArray(legsInput) || legsInput.length < 2 || legsInput.length > MAX_LEGS) {
+        return { error: `legs must list between 2 and ${MAX_LEGS} legs` };
+    }
+    if (packageType !== 'custom' && legsInput.length !== 2) {
+        return { error: `A ${packageType.replace(/_/g, ' ')} has exactly two legs` };
+    }
+
+    const currency = input.currency
+        ? String(input.currency).toUpperCase()
+        : await getReportingCurrency(db, userId);
+    if (!isSupportedCurrency(currency)) {
+        return { error: `Unsupported currency: ${currency}` };
+    }
+
+    const contractDate = input.contractDate || calendar.formatDate(new Date());
+    const fxRate = await getRate(db, currency);
+
+    const legs = [];
+    for (let i = 0; i < legsInput.length; i++) {
+        const result = await validateLeg(db, legsInput[i] || {}, i, contractDate, currency, fxRate);
+        if (result.error) return result;
+        legs.push(result.leg);
+    }
+
+    if (packageType !== 'custom') {
+        const [first, second] = legs;
+        if (first.positionType === second.positionType) {
+            return { error: 'A spread needs one long and one short leg' };
+        }
+        if (packageType === 'calendar_spread' && (first.metalType !== second.metalType || first.expiryDate === second.expiryDate)) {
+            return { error: 'A calendar spread has both legs in one metal at different prompt dates' };
+        }
+        if (packageType === 'inter_metal_spread' && first.metalType === second.metalType) {
+            return { error: 'An inter-metal spread has its legs in different metals' };
+        }
+    }
+
+    const name = input.name && String(input.name).trim()
+        ? String(input.name).trim()
+        : `${packageType.replace(/_/g, ' ')}: ${legs.map(describeLeg).join(' / ')}`;
+
+    return { pkg: { name, packageType, currency, contractDate, fxRate, legs } };
+}
+
+// Book a validated package and its legs in one transaction. Returns
+// { packageId, positionIds }.
+async function createPackage(db, userId, pkg) {
+    return db.transaction(async () => {
+        const result = await db.run(`
+            INSERT INTO position_packages (user_id, name, package_type, currency)
+            VALUES (?, ?, ?, ?)
+        `, [userId, pkg.name, pkg.packageType, pkg.currency]);
+
+        const positionIds = [];
+        for (const leg of pkg.legs) {
+            const positionId = await openPosition(db, {
+                userId,
+                metalType: leg.metalType,
+                positionType: leg.positionType,
+                quantity: leg.quantity,
+                entryPrice: leg.entryPrice,
+                contractDate: pkg.contractDate,
+                expiryDate: leg.expiryDate,
+                currency: pkg.currency,
+                entryFxRate: pkg.fxRate,
+                quantityUnit: leg.quantityUnit,
+                unitQuantity: leg.unitQuantity
+            });
+            await db.run('UPDATE hedging_positions SET package_id = ? WHERE id = ?', [result.id, positionId]);
+            positionIds.push(positionId);
+        }
+
+        return { packageId: result.id, positionIds };
+    });
+}
+
+// The legs of a package, in booking order
+function packageLegs(db, packageId) {
+    return db.all('SELECT * FROM hedging_positions WHERE package_id = ? ORDER BY id', [packageId]);
+}
+
+// Net P&L and exposure of a package in the reporting currency. P&L is the
+// realized P&L of every leg plus the unrealized P&L of the active ones;
+// net exposure is per metal, in signed tonnes (long positive) and at the
+// forward price, over the active legs.
+async function summarizePackage(db, pkg, legs, reportingCurrency) {
+    const active = legs.filter(leg => leg.status === 'active');
+    const values = await valuePositions(db, legs, reportingCurrency);
+    const realized = await realizedPnL(db, legs, reportingCurrency);
+    const risk = await positionRisk(db, active);
+    const reportingRate = await getRate(db, reportingCurrency);
+
+    const unrealizedPnL = active.reduce((sum, leg) => sum + values[leg.id].pnl.amount, 0);
+    const realizedTotal = legs.reduce((sum, leg) => sum + (realized[leg.id] ? realized[leg.id].amount : 0), 0);
+
+    const exposure = {};
+    active.forEach(leg => {
+        const entry = exposure[leg.metal_type] || (exposure[leg.metal_type] = { metal: leg.metal_type, quantity: 0, value: 0 });
+        const greeks = risk[leg.id] ? risk[leg.id].greeks : null;
+        entry.quantity += leg.position_type === 'long' ? leg.quantity : -leg.quantity;
+        entry.value += greeks ? greeks.deltaValue / reportingRate : 0;
+    });
+
+    // Spread in the package currency: first leg minus second, at entry and now
+    let spread = null;
+    if (legs.length === 2) {
+        const [first, second] = legs;
+        const current = values[first.id].price !== null && values[second.id].price !== null
+            ? values[first.id].price - values[second.id].price
+            : null;
+        spread = {
+            entry: round(first.entry_price - second.entry_price),
+            current: round(current),
+            change: current !== null ? round(current - (first.entry_price - second.entry_price)) : null
+        };
+    }
+
+    return {
+        ...pkg,
+        status: active.length ? 'active' : 'closed',
+        reporting_currency: reportingCurrency,
+        legs: legs.map(leg => ({
+            ...leg,
+            ...describeQuantity(leg),
+            current_market_price: values[leg.id].price,
+            profit_loss: leg.status === 'active' ? values[leg.id].pnl.amount : (realized[leg.id] ? realized[leg.id].amount : 0),
+            realized_pnl: realized[leg.id] ? realized[leg.id].amount : 0
+        })),
+        spread,
+        netPnL: round(unrealizedPnL + realizedTotal),
+        unrealizedPnL: round(unrealizedPnL),
+        realizedPnL: round(realizedTotal),
+        netExposure: Object.values(exposure).map(entry => ({
+            metal: entry.metal,
+            quantity: round(entry.quantity, 3),
+            value: round(entry.value)
+        }))
+    };
+}
+
+// Close every active leg of a package at its market price in one
+// transaction. Returns { closed: [{ id, closePrice, finalPnL }], finalPnL }
+// with P&L in the reporting currency.
+async function closePackage(db, legs, ipAddress = null) {
+    return db.transaction(async () => {
+        const closed = [];
+        for (const leg of legs.filter(position => position.status === 'active')) {
+            const result = await closePosition(db, leg, { ipAddress });
+            if (result) {
+                closed.push({ id: leg.id, closePrice: result.closePrice, finalPnL: result.finalPnL });
+            }
+        }
+        return {
+            closed,
+            finalPnL: round(closed.reduce((sum, leg) => sum + leg.finalPnL, 0))
+        };
+    });
+}
+
+module.exports = {
+    PACKAGE_TYPES,
+    MAX_LEGS,
+    validatePackage,
+    createPackage,
+    packageLegs,
+    summarizePackage,
+    closePackage
+};
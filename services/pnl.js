@@ -0,0 +1,103 @@
+const { marketPricesForPositions } = require('./options');
+const { BASE_CURRENCY, getLatestRates, positionFxRates, convert } = require('./fx');
+
+// Mark-to-market P&L for a hedging_positions row at the given price. The
+// optional FX factors convert the entry price and the current price into the
+// currency the P&L is reported in (see positionFxRates() in services/fx).
+function calculatePnL(position, currentPrice, { entryRate = 1, currentRate = 1 } = {}) {
+    const entryValue = position.quantity * position.entry_price * entryRate;
+    const currentValue = position.quantity * currentPrice * currentRate;
+
+    let amount;
+    if (position.position_type === 'long') {
+        amount = currentValue - entryValue;
+    } else {
+        amount = entryValue - currentValue;
+    }
+
+    return {
+        amount: parseFloat(amount.toFixed(2)),
+        percentage: entryValue ? parseFloat((amount / entryValue * 100).toFixed(2)) : 0
+    };
+}
+
+// Value positions in a reporting currency: active futures at the forward
+// price for their expiry and options at their Black-76 premium, closed ones
+// at their recorded close price.
+// Returns { positionId: { price, pnl } } with price in the position's currency.
+async function valuePositions(db, positions, reportingCurrency) {
+    const marketPrices = await marketPricesForPositions(db, positions);
+    const fxRates = await positionFxRates(db, positions, reportingCurrency);
+    const rates = await getLatestRates(db);
+
+    const values = {};
+    positions.forEach(position => {
+        const fx = fxRates[position.id];
+
+        if (position.status === 'active') {
+            // Far out-of-the-money options can be worth nothing, which is still a price
+            const marketPrice = marketPrices[position.id];
+            values[position.id] = marketPrice !== null && marketPrice !== undefined
+                ? {
+                    price: parseFloat(convert(marketPrice, BASE_CURRENCY, position.currency, rates).toFixed(2)),
+                    pnl: calculatePnL(position, marketPrice, fx)
+                }
+                : { price: position.entry_price, pnl: { amount: 0, percentage: 0 } };
+            return;
+        }
+
+        const closePrice = position.current_price || position.entry_price;
+        values[position.id] = {
+            price: closePrice,
+            pnl: calculatePnL(position, closePrice, { entryRate: fx.entryRate, currentRate: fx.closeRate })
+        };
+    });
+    return values;
+}
+
+// Realized P&L of positions from their reduce and close fills, in a reporting
+// currency: { positionId: { amount, fills } } for positions with any realized
+// fills. Each fill is valued against the average entry it was realized
+// against, converting the entry at the rate on the position's open date and
+// the fill at the rate on the fill date, as closed positions are elsewhere.
+async function realizedPnL(db, positions, reportingCurrency) {
+    const realized = {};
+    const ids = positions.map(position => position.id);
+
+    // Chunked to stay within SQLite's bound parameter limit
+    for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        const fills = await db.all(`
+            SELECT pf.*, hp.position_type, hp.created_at AS opened_at
+            FROM position_fills pf
+            JOIN hedging_positions hp ON hp.id = pf.position_id
+            WHERE pf.fill_type IN ('reduce', 'close')
+              AND pf.position_id IN (${chunk.map(() => '?').join(', ')})
+            ORDER BY pf.id
+        `, chunk);
+
+        const fxRates = await positionFxRates(db, fills.map(fill => ({
+            id: fill.id,
+            status: 'closed',
+            entry_fx_rate: fill.entry_fx_rate,
+            created_at: fill.opened_at,
+            close_fx_rate: fill.fx_rate,
+            updated_at: fill.created_at
+        })), reportingCurrency);
+
+        fills.forEach(fill => {
+            const fx = fxRates[fill.id];
+            const pnl = calculatePnL(fill, fill.price, { entryRate: fx.entryRate, currentRate: fx.closeRate });
+            if (!realized[fill.position_id]) realized[fill.position_id] = { amount: 0, fills: 0 };
+            realized[fill.position_id].amount += pnl.amount;
+            realized[fill.position_id].fills++;
+        });
+    }
+
+    Object.values(realized).forEach(entry => {
+        entry.amount = parseFloat(entry.amount.toFixed(2));
+    });
+    return realized;
+}
+
+module.exports = { calculatePnL, valuePositions, realizedPnL };
@@ -0,0 +1,363 @@
+const { getLatestCurves, priceAtDate } = require('./forwardCurve');
+const { calculatePnL } = require('./pnl');
+const { getRate, getLatestRates, getReportingCurrency, positionFxRates } = require('./fx');
+const { isOption, priceOption } = require('./options');
+const { isSwap, swapAveraging } = require('./swaps');
+const { fromTonnes } = require('./units');
+
+// Why a position was closed, with the notification title used for each
+const CLOSE_REASONS = {
+    manual: 'Position Closed',
+    stop_loss: 'Stop Loss Triggered',
+    trailing_stop: 'Trailing Stop Triggered',
+    target: 'Target Price Reached',
+    expiry: 'Position Settled'
+};
+
+// Maximum active positions per subscription plan
+const POSITION_LIMITS = {
+    basic: 5,
+    pro: 25,
+    enterprise: 1000
+};
+
+// Returns an error message when the user's plan allows no more active
+// positions (counting `reserved` further ones, e.g. pending orders), or null
+async function checkPositionLimit(db, userId, reserved = 0) {
+    const user = await db.get('SELECT subscription_plan FROM users WHERE id = ?', [userId]);
+    const positionCount = await db.get('SELECT COUNT(*) as count FROM hedging_positions WHERE user_id = ? AND status = ?', [userId, 'active']);
+
+    if (positionCount.count + reserved >= POSITION_LIMITS[user.subscription_plan]) {
+        return `Position limit reached for ${user.subscription_plan} plan. Upgrade to create more positions.`;
+    }
+    return null;
+}
+
+// A manual close price (in the position's currency) must be left out or be a
+// positive number. Returns an error message or null.
+function validateClosePrice(closePrice) {
+    if (closePrice === undefined || closePrice === null) return null;
+    const price = typeof closePrice === 'string' && closePrice.trim() === '' ? NaN : Number(closePrice);
+    return Number.isFinite(price) && price > 0 ? null : 'Close price must be a positive number';
+}
+
+// Insert a new active position and its open fill; returns the position id.
+// quantity is in tonnes and entryPrice in the position's currency (the
+// premium per tonne for options, the fixed price for swaps). A trailing stop
+// starts trailing from the entry price.
+async function openPosition(db, fields) {
+    const {
+        userId, metalType, positionType, quantity, entryPrice, contractDate, expiryDate,
+        currency, entryFxRate, quantityUnit = 't', unitQuantity = quantity,
+        targetPrice = null, stopLoss = null, trailingStopAmount = null, trailingStopPercent = null,
+        autoRoll = false, rolledFromId = null,
+        instrumentType = 'future', strikePrice = null, entryVolatility = null, structureId = null,
+        averagingStart = null
+    } = fields;
+    const hasTrailingStop = Boolean(trailingStopAmount || trailingStopPercent);
+
+    const result = await db.run(`
+        INSERT INTO hedging_positions (
+            user_id, metal_type, position_type, quantity, entry_price, 
+            target_price, stop_loss, contract_date, expiry_date, currency, entry_fx_rate,
+            quantity_unit, unit_quantity, trailing_stop_amount, trailing_stop_percent, best_price,
+            auto_roll, rolled_from_id, instrument_type, strike_price, entry_volatility, structure_id,
+            averaging_start
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        userId, metalType, positionType, quantity, entryPrice,
+        targetPrice || null, stopLoss || null, contractDate, expiryDate, currency, entryFxRate,
+        quantityUnit, unitQuantity, trailingStopAmount || null, trailingStopPercent || null,
+        hasTrailingStop ? entryPrice : null, autoRoll ? 1 : 0, rolledFromId,
+        instrumentType, strikePrice, entryVolatility, structureId, averagingStart
+    ]);
+
+    await recordFill(db, { id: result.id, user_id: userId }, {
+        fillType: 'open',
+        quantity,
+        price: entryPrice,
+        fxRate: entryFxRate,
+        entryPrice,
+        entryFxRate
+    });
+
+    return result.id;
+}
+
+// Record a fill for a position (see migration 009). quantity is in tonnes,
+// price in the position's currency and realizedPnL in the base currency. The
+// entry defaults to the position's current average entry.
+async function recordFill(db, position, fill) {
+    const {
+        fillType,
+        quantity,
+        price,
+        fxRate = 1,
+        entryPrice = position.entry_price,
+        entryFxRate = position.entry_fx_rate,
+        realizedPnL = null,
+        reason = null
+    } = fill;
+
+    await db.run(`
+        INSERT INTO position_fills (
+            position_id, user_id, fill_type, quantity, price, fx_rate,
+            entry_price, entry_fx_rate, realized_pnl, reason
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [position.id, position.user_id, fillType, quantity, price, fxRate, entryPrice, entryFxRate, realizedPnL, reason]);
+}
+
+// P&L already realized by partial reduces, in the base currency
+async function realizedToDate(db, positionId) {
+    const row = await db.get(`
+        SELECT COALESCE(SUM(realized_pnl), 0) AS total
+        FROM position_fills
+        WHERE position_id = ? AND fill_type IN ('reduce', 'close')
+    `, [positionId]);
+    return row.total;
+}
+
+// Current forward price for a position's expiry, or the latest spot price
+// when no curve is stored for its metal
+async function forwardPriceForPosition(db, position) {
+    const curves = await getLatestCurves(db, [position.metal_type]);
+    const forwardPrice = priceAtDate(curves[position.metal_type], position.expiry_date);
+    if (forwardPrice !== null) return forwardPrice;
+
+    const marketData = await db.get(`
+        SELECT price FROM market_data
+        WHERE metal_type = ?
+        ORDER BY timestamp DESC
+        LIMIT 1
+    `, [position.metal_type]);
+    return marketData ? marketData.price : null;
+}
+
+// Current base-currency market price for a position: the forward price for
+// futures, the Black-76 premium against it for options and the estimated
+// average for swaps
+async function marketPriceForPosition(db, position) {
+    if (isSwap(position)) {
+        const averaging = await swapAveraging(db, [position]);
+        return averaging[position.id] ? averaging[position.id].averagePrice : null;
+    }
+
+    const forwardPrice = await forwardPriceForPosition(db, position);
+    if (!forwardPrice || !isOption(position)) return forwardPrice;
+
+    const rates = await getLatestRates(db);
+    return priceOption(position, forwardPrice, { strikeRate: rates[position.currency] || 1 }).premium;
+}
+
+// Close price in the position's currency, the FX rate at close and the final
+// P&L in the base currency. marketPrice is a base-currency price used when no
+// close price was given (a zero close price is kept, for options expiring
+// worthless). The FX rate defaults to the latest one.
+async function closingValues(db, position, closePrice, marketPrice, fxRate = null) {
+    const closeFxRate = fxRate || await getRate(db, position.currency);
+    const finalClosePrice = closePrice !== null && closePrice !== undefined
+        ? closePrice
+        : marketPrice !== null && marketPrice !== undefined
+            ? parseFloat((marketPrice / closeFxRate).toFixed(2))
+            : position.entry_price;
+
+    return {
+        closePrice: finalClosePrice,
+        closeFxRate,
+        baseAmount: calculatePnL(position, finalClosePrice, {
+            entryRate: position.entry_fx_rate,
+            currentRate: closeFxRate
+        }).amount
+    };
+}
+
+// Close an active position at closePrice (in the position's currency) or, when
+// omitted, at its market price (see marketPriceForPosition). Records the close
+// fill, stores the position's lifetime P&L (including earlier partial reduces)
+// in the base currency, writes the audit log entry and notifies the user. Expiry
+// settlement passes status 'settled' and the FX rate of the settlement date.
+// Returns null if the position was no longer active, otherwise
+// { finalPnL, closePrice, reportingCurrency } with the P&L in the user's
+// reporting currency.
+async function closePosition(db, position, options = {}) {
+    const { closePrice = null, reason = 'manual', ipAddress = null, status = 'closed', closeFxRate = null } = options;
+    return db.transaction(async () => {
+        const marketPrice = closePrice !== null ? null : await marketPriceForPosition(db, position);
+        const closing = await closingValues(db, position, closePrice, marketPrice, closeFxRate);
+        const earlierPnL = await realizedToDate(db, position.id);
+
+        const result = await db.run(`
+            UPDATE hedging_positions
+            SET status = ?, profit_loss = ?, current_price = ?, close_fx_rate = ?, close_reason = ?,
+                settled_at = ${status === 'settled' ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'active'
+        `, [status, earlierPnL + closing.baseAmount, closing.closePrice, closing.closeFxRate, reason, position.id]);
+
+        // Closed concurrently (e.g. by the user while a stop was being executed)
+        if (!result.changes) return null;
+
+        await recordFill(db, position, {
+            fillType: 'close',
+            quantity: position.quantity,
+            price: closing.closePrice,
+            fxRate: closing.closeFxRate,
+            realizedPnL: closing.baseAmount,
+            reason
+        });
+
+        // Final P&L is stored in the base currency and reported in the user's currency
+        const reportingCurrency = await getReportingCurrency(db, position.user_id);
+        const closedPosition = { ...position, status: 'closed', close_fx_rate: closing.closeFxRate, updated_at: null };
+        const fx = (await positionFxRates(db, [closedPosition], reportingCurrency))[position.id];
+        const finalPnL = calculatePnL(position, closing.closePrice, { entryRate: fx.entryRate, currentRate: fx.closeRate }).amount;
+
+        const settled = status === 'settled';
+        const trigger = reason === 'manual' ? '' : ` (${reason.replace('_', ' ')} at ${closing.closePrice} ${position.currency})`;
+        await db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [
+            position.user_id,
+            settled ? 'POSITION_SETTLED' : 'POSITION_CLOSED',
+            `${settled ? 'Settled' : 'Closed'} position ${position.id}${trigger} with P&L: ${finalPnL.toFixed(2)} ${reportingCurrency}`,
+            ipAddress
+        ]);
+
+        const pnlType = finalPnL >= 0 ? 'profit' : 'loss';
+        const how = reason === 'manual' ? '' : ` at ${closing.closePrice} ${position.currency}`;
+        await db.run(`
+            INSERT INTO notifications (user_id, title, message, type)
+            VALUES (?, ?, ?, ?)
+        `, [
+            position.user_id,
+            CLOSE_REASONS[reason] || CLOSE_REASONS.manual,
+            `Your ${position.position_type} position for ${position.metal_type} has been ${settled ? 'settled' : 'closed'}${how} with a ${pnlType} of ${Math.abs(finalPnL).toFixed(2)} ${reportingCurrency}.`,
+            finalPnL >= 0 ? 'success' : 'warning'
+        ]);
+
+        return { finalPnL, closePrice: closing.closePrice, reportingCurrency };
+    });
+}
+
+// Close part of an active position: quantity tonnes at closePrice (or its
+// market price). The realized P&L on that quantity is recorded
+// as a reduce fill and the rest stays open at the same average entry. Reducing
+// by the whole quantity closes the position. Returns null if the position was
+// closed or changed concurrently, otherwise { finalPnL, closePrice,
+// reportingCurrency, remainingQuantity } with finalPnL the P&L realized now.
+async function reducePosition(db, position, options = {}) {
+    const { quantity, closePrice = null, reason = 'manual', ipAddress = null } = options;
+    return db.transaction(async () => {
+        if (quantity >= position.quantity - 1e-9) {
+            const closed = await closePosition(db, position, { closePrice, reason, ipAddress });
+            return closed && { ...closed, remainingQuantity: 0 };
+        }
+
+        const reduced = { ...position, quantity };
+        const marketPrice = closePrice !== null ? null : await marketPriceForPosition(db, position);
+        const closing = await closingValues(db, reduced, closePrice, marketPrice);
+        const remaining = position.quantity - quantity;
+
+        // Guarded on the quantity read, so two concurrent reduces cannot both apply
+        const result = await db.run(`
+            UPDATE hedging_positions
+            SET quantity = ?, unit_quantity = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'active' AND quantity = ?
+        `, [remaining, fromTonnes(remaining, position.quantity_unit, position.metal_type), position.id, position.quantity]);
+        if (!result.changes) return null;
+
+        await recordFill(db, position, {
+            fillType: 'reduce',
+            quantity,
+            price: closing.closePrice,
+            fxRate: closing.closeFxRate,
+            realizedPnL: closing.baseAmount,
+            reason
+        });
+
+        const reportingCurrency = await getReportingCurrency(db, position.user_id);
+        const closedPart = { ...reduced, status: 'closed', close_fx_rate: closing.closeFxRate, updated_at: null };
+        const fx = (await positionFxRates(db, [closedPart], reportingCurrency))[position.id];
+        const finalPnL = calculatePnL(reduced, closing.closePrice, { entryRate: fx.entryRate, currentRate: fx.closeRate }).amount;
+
+        await db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [
+            position.user_id,
+            'POSITION_REDUCED',
+            `Reduced position ${position.id} by ${quantity} t at ${closing.closePrice} ${position.currency} with P&L: ${finalPnL.toFixed(2)} ${reportingCurrency}`,
+            ipAddress
+        ]);
+
+        await db.run(`
+            INSERT INTO notifications (user_id, title, message, type)
+            VALUES (?, ?, ?, ?)
+        `, [
+            position.user_id,
+            'Position Reduced',
+            `Your ${position.position_type} position for ${position.metal_type} has been reduced by ${quantity} t with a ${finalPnL >= 0 ? 'profit' : 'loss'} of ${Math.abs(finalPnL).toFixed(2)} ${reportingCurrency}. ${parseFloat(remaining.toFixed(6))} t remain open.`,
+            finalPnL >= 0 ? 'success' : 'warning'
+        ]);
+
+        return { finalPnL, closePrice: closing.closePrice, reportingCurrency, remainingQuantity: remaining };
+    });
+}
+
+// Add quantity tonnes to an active position at price (in the position's
+// currency). The entry price becomes the quantity-weighted average, and the
+// entry FX rate the one that keeps the combined base-currency cost. Returns
+// null if the position changed concurrently, otherwise { quantity,
+// entryPrice, entryFxRate }.
+async function addToPosition(db, position, options = {}) {
+    const { quantity, price, ipAddress = null } = options;
+    return db.transaction(async () => {
+        const fxRate = await getRate(db, position.currency);
+
+        const totalQuantity = position.quantity + quantity;
+        const localCost = position.quantity * position.entry_price + quantity * price;
+        const baseCost = position.quantity * position.entry_price * position.entry_fx_rate + quantity * price * fxRate;
+        const entryPrice = localCost / totalQuantity;
+        const entryFxRate = baseCost / localCost;
+
+        const result = await db.run(`
+            UPDATE hedging_positions
+            SET quantity = ?, unit_quantity = ?, entry_price = ?, entry_fx_rate = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'active' AND quantity = ?
+        `, [
+            totalQuantity, fromTonnes(totalQuantity, position.quantity_unit, position.metal_type),
+            entryPrice, entryFxRate, position.id, position.quantity
+        ]);
+        if (!result.changes) return null;
+
+        await recordFill(db, position, { fillType: 'add', quantity, price, fxRate, entryPrice, entryFxRate });
+
+        await db.run(`
+            INSERT INTO audit_log (user_id, action, details, ip_address)
+            VALUES (?, ?, ?, ?)
+        `, [
+            position.user_id,
+            'POSITION_INCREASED',
+            `Added ${quantity} t to position ${position.id} at ${price} ${position.currency}; average entry now ${entryPrice.toFixed(2)} ${position.currency}`,
+            ipAddress
+        ]);
+
+        return { quantity: totalQuantity, entryPrice, entryFxRate };
+    });
+}
+
+module.exports = {
+    CLOSE_REASONS,
+    POSITION_LIMITS,
+    checkPositionLimit,
+    validateClosePrice,
+    openPosition,
+    recordFill,
+    realizedToDate,
+    forwardPriceForPosition,
+    marketPriceForPosition,
+    closingValues,
+    closePosition,
+    reducePosition,
+    addToPosition
+};
@@ -0,0 +1,69 @@
+const { PriceFeedProvider } = require('./provider');
+
+// Tries each provider in priority order and falls through to the next one
+// when a call fails, remembering which provider served the last request
+class FailoverPriceFeed extends PriceFeedProvider {
+    constructor(providers) {
+        super('failover');
+        if (!providers.length) {
+            throw new Error('At least one price feed provider is required');
+        }
+        this.providers = providers;
+        this.activeProvider = providers[0].name;
+        this.lastErrors = {};
+    }
+
+    async callWithFailover(method, ...args) {
+        for (const provider of this.providers) {
+            try {
+                const result = await provider[method](...args);
+                if (this.activeProvider !== provider.name) {
+                    console.warn(`Price feed switched from ${this.activeProvider} to ${provider.name}`);
+                    this.activeProvider = provider.name;
+                }
+                delete this.lastErrors[provider.name];
+                return { provider: provider.name, result };
+            } catch (error) {
+                this.lastErrors[provider.name] = { message: error.message, at: new Date().toISOString() };
+                console.error(`Price feed ${provider.name} ${method} failed:`, error.message);
+            }
+        }
+
+        throw new Error(`All price feed providers failed for ${method}`);
+    }
+
+    async getLatestQuotes() {
+        const { result } = await this.callWithFailover('getLatestQuotes');
+        return result;
+    }
+
+    async getHistory(metal, from, to) {
+        const { result } = await this.callWithFailover('getHistory', metal, from, to);
+        return result;
+    }
+
+    async healthCheck() {
+        const providers = [];
+        for (const provider of this.providers) {
+            let health;
+            try {
+                health = await provider.healthCheck();
+            } catch (error) {
+                health = { healthy: false, message: error.message };
+            }
+            providers.push({
+                name: provider.name,
+                ...health,
+                lastError: this.lastErrors[provider.name] || null
+            });
+        }
+
+        return {
+            healthy: providers.some(provider => provider.healthy),
+            activeProvider: this.activeProvider,
+            providers
+        };
+    }
+}
+
+module.exports = FailoverPriceFeed;
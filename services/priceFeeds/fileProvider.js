@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { PriceFeedProvider, normalizeQuote, toDate } = require('./provider');
+const { parseCsv } = require('../../utils/csv');
+
+// Reads quotes from CSV or JSON files dropped into a local directory.
+// CSV files need a header with at least metal and price columns (timestamp,
+// volume, change_24h and change_percent are optional); JSON files hold an
+// array of objects with the same fields or an object keyed by metal.
+class FileProvider extends PriceFeedProvider {
+    constructor({ dir, maxAgeMs = 0 }) {
+        super('file');
+        this.dir = path.resolve(dir);
+        this.maxAgeMs = maxAgeMs;
+    }
+
+    listFiles() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(file => /\.(csv|json)$/i.test(file))
+            .map(file => path.join(this.dir, file));
+    }
+
+    readFile(file) {
+        const content = fs.readFileSync(file, 'utf8');
+
+        let records;
+        if (/\.json$/i.test(file)) {
+            const parsed = JSON.parse(content);
+            records = Array.isArray(parsed)
+                ? parsed
+                : Object.entries(parsed).map(([metal, value]) => ({ metal, ...value }));
+        } else {
+            records = parseCsv(content);
+        }
+
+        return records
+            .map(record => normalizeQuote({
+                metal: record.metal || record.metal_type || record.symbol || record.currency,
+                price: record.price,
+                volume: record.volume,
+                change24h: record.change24h !== undefined ? record.change24h : record.change_24h,
+                changePercent: record.changePercent !== undefined ? record.changePercent : record.change_percent,
+                timestamp: record.timestamp || record.date || fs.statSync(file).mtime
+            }))
+            .filter(Boolean);
+    }
+
+    readAll() {
+        return this.listFiles().flatMap(file => this.readFile(file));
+    }
+
+    async getLatestQuotes() {
+        const files = this.listFiles();
+        if (files.length === 0) {
+            throw new Error(`No price files found in ${this.dir}`);
+        }
+
+        const latest = {};
+        this.readAll().forEach(quote => {
+            if (!latest[quote.metal] || quote.timestamp > latest[quote.metal].timestamp) {
+                latest[quote.metal] = quote;
+            }
+        });
+
+        const quotes = Object.values(latest);
+        if (this.maxAgeMs > 0) {
+            const cutoff = Date.now() - this.maxAgeMs;
+            const fresh = quotes.filter(quote => new Date(quote.timestamp).getTime() >= cutoff);
+            if (fresh.length === 0) {
+                throw new Error(`Price files in ${this.dir} are older than ${this.maxAgeMs}ms`);
+            }
+            return fresh;
+        }
+
+        return quotes;
+    }
+
+    async getHistory(metal, from, to) {
+        const key = metal.toUpperCase();
+        const start = toDate(from);
+        const end = toDate(to);
+
+        return this.readAll()
+            .filter(quote => quote.metal === key)
+            .filter(quote => new Date(quote.timestamp) >= start && new Date(quote.timestamp) <= end)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .map(quote => ({ timestamp: quote.timestamp, price: quote.price, volume: quote.volume }));
+    }
+
+    async healthCheck() {
+        if (!fs.existsSync(this.dir)) {
+            return { healthy: false, message: `Directory ${this.dir} does not exist` };
+        }
+
+        const files = this.listFiles();
+        if (files.length === 0) {
+            return { healthy: false, message: 'No price files found', dir: this.dir };
+        }
+
+        const newest = Math.max(...files.map(file => fs.statSync(file).mtimeMs));
+        return {
+            healthy: true,
+            message: 'OK',
+            dir: this.dir,
+            files: files.length,
+            lastModified: new Date(newest).toISOString()
+        };
+    }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const { PriceFeedProvider, normalizeQuote } = require('./provider');
+
+const DEFAULT_FIELD_MAP = {
+    metal: 'metal',
+    price: 'price',
+    volume: 'volume',
+    change24h: 'change24h',
+    changePercent: 'changePercent',
+    timestamp: 'timestamp'
+};
+
+// Read a dotted path such as "data.quotes" from an object
+function getPath(object, path) {
+    if (!path) return object;
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Generic JSON-over-HTTP provider. URLs may contain {metal}, {from} and {to}
+// placeholders; fieldMap maps our quote fields to (dotted) paths in each
+// record and symbolMap translates vendor symbols such as CU to our metals.
+class HttpProvider extends PriceFeedProvider {
+    constructor({
+        url,
+        historyUrl,
+        healthUrl,
+        dataPath,
+        historyDataPath,
+        fieldMap = {},
+        symbolMap = {},
+        headers = {},
+        timeout = 5000,
+        retries = 2,
+        retryDelay = 500
+    }) {
+        super('http');
+        if (!url) {
+            throw new Error('HTTP price feed requires a url');
+        }
+
+        this.url = url;
+        this.historyUrl = historyUrl;
+        this.healthUrl = healthUrl;
+        this.dataPath = dataPath;
+        this.historyDataPath = historyDataPath || dataPath;
+        this.fieldMap = { ...DEFAULT_FIELD_MAP, ...fieldMap };
+        this.symbolMap = symbolMap;
+        this.client = axios.create({ timeout, headers });
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+    }
+
+    // GET with retries and linear backoff; 4xx responses are not retried
+    async request(url) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            try {
+                const response = await this.client.get(url);
+                return response.data;
+            } catch (error) {
+                lastError = error;
+                const status = error.response && error.response.status;
+                if (status && status >= 400 && status < 500) break;
+                if (attempt < this.retries) {
+                    await sleep(this.retryDelay * (attempt + 1));
+                }
+            }
+        }
+        throw new Error(`HTTP price feed request to ${url} failed: ${lastError.message}`);
+    }
+
+    // Accept an array of records or an object keyed by metal
+    extractRecords(body, dataPath) {
+        const data = getPath(body, dataPath);
+        if (Array.isArray(data)) return data;
+        if (data && typeof data === 'object') {
+            return Object.entries(data).map(([metal, value]) => ({ [this.fieldMap.metal]: metal, ...value }));
+        }
+        throw new Error('HTTP price feed returned an unexpected payload');
+    }
+
+    mapRecord(record) {
+        const mapped = {};
+        Object.entries(this.fieldMap).forEach(([field, path]) => {
+            mapped[field] = getPath(record, path);
+        });
+
+        if (mapped.metal !== undefined) {
+            const symbol = String(mapped.metal).toUpperCase();
+            mapped.metal = this.symbolMap[symbol] || symbol;
+        }
+        return normalizeQuote(mapped);
+    }
+
+    fillTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => encodeURIComponent(values[key] !== undefined ? values[key] : match));
+    }
+
+    async getLatestQuotes() {
+        const body = await this.request(this.url);
+        const quotes = this.extractRecords(body, this.dataPath)
+            .map(record => this.mapRecord(record))
+            .filter(Boolean);
+
+        if (quotes.length === 0) {
+            throw new Error('HTTP price feed returned no usable quotes');
+        }
+        return quotes;
+    }
+
+    async getHistory(metal, from, to) {
+        if (!this.historyUrl) {
+            throw new Error('HTTP price feed has no history url configured');
+        }
+
+        const key = metal.toUpperCase();
+        const vendorSymbol = Object.keys(this.symbolMap).find(symbol => this.symbolMap[symbol] === key) || key;
+        const url = this.fillTemplate(this.historyUrl, {
+            metal: vendorSymbol,
+            from: new Date(from).toISOString().slice(0, 10),
+            to: new Date(to).toISOString().slice(0, 10)
+        });
+
+        const body = await this.request(url);
+        return this.extractRecords(body, this.historyDataPath)
+            .map(record => this.mapRecord({ [this.fieldMap.metal]: vendorSymbol, ...record }))
+            .filter(quote => quote && quote.metal === key)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .map(quote => ({ timestamp: quote.timestamp, price: quote.price, volume: quote.volume }));
+    }
+
+    async healthCheck() {
+        const started = Date.now();
+        try {
+            await this.request(this.healthUrl || this.url);
+            return { healthy: true, message: 'OK', latencyMs: Date.now() - started };
+        } catch (error) {
+            return { healthy: false, message: error.message, latencyMs: Date.now() - started };
+        }
+    }
+}
+
+module.exports = HttpProvider;
@@ -0,0 +1,32 @@
+const FailoverPriceFeed = require('./failover');
+const SimulatorProvider = require('./simulatorProvider');
+const FileProvider = require('./fileProvider');
+const HttpProvider = require('./httpProvider');
+const StaticProvider = require('./staticProvider');
+const { PriceFeedProvider, normalizeQuote } = require('./provider');
+
+const PROVIDERS = {
+    simulator: (options, { simulator }) => new SimulatorProvider({ simulator, ...options }),
+    file: (options) => new FileProvider(options),
+    http: (options) => new HttpProvider(options),
+    static: (options) => new StaticProvider(options)
+};
+
+// Build the configured providers (in failover order) behind one feed
+function createPriceFeed(feedConfig, dependencies = {}) {
+    const providers = feedConfig.providers.map(name => {
+        const factory = PROVIDERS[name];
+        if (!factory) {
+            throw new Error(`Unknown price feed provider: ${name}`);
+        }
+        return factory(feedConfig[name] || {}, dependencies);
+    });
+
+    return new FailoverPriceFeed(providers);
+}
+
+module.exports = {
+    createPriceFeed,
+    PriceFeedProvider,
+    normalizeQuote
+};
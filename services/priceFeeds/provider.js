@@ -0,0 +1,63 @@
+// Base class for price-feed providers. A provider returns quotes in the
+// normalized shape produced by normalizeQuote():
+//   { metal, price, change24h, changePercent, volume, marketCap, timestamp }
+// change24h/changePercent may be null when the source does not supply them.
+class PriceFeedProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Latest quote for each metal the provider knows about
+    async getLatestQuotes() {
+        throw new Error(`${this.name} provider does not implement getLatestQuotes`);
+    }
+
+    // Daily history for one metal between two dates: [{ timestamp, price, volume }]
+    async getHistory(metal, from, to) {
+        throw new Error(`${this.name} provider does not implement getHistory`);
+    }
+
+    // { healthy, message, ...details }
+    async healthCheck() {
+        return { healthy: true, message: 'OK' };
+    }
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return new Date();
+    const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Validate and coerce a raw quote; returns null when it is unusable
+function normalizeQuote(raw) {
+    if (!raw || !raw.metal) return null;
+
+    const price = toNumber(raw.price);
+    const timestamp = toDate(raw.timestamp);
+    if (!(price > 0) || !timestamp) return null;
+
+    const volume = toNumber(raw.volume) || 0;
+    return {
+        metal: String(raw.metal).trim().toUpperCase(),
+        price,
+        change24h: toNumber(raw.change24h),
+        changePercent: toNumber(raw.changePercent),
+        volume,
+        marketCap: toNumber(raw.marketCap) || Math.round(price * volume * 0.1),
+        timestamp: timestamp.toISOString()
+    };
+}
+
+module.exports = {
+    PriceFeedProvider,
+    normalizeQuote,
+    toNumber,
+    toDate
+};
@@ -0,0 +1,60 @@
+const { PriceFeedProvider } = require('./provider');
+const { MarketSimulator } = require('../marketSimulator');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Serves prices from the shared market simulator
+class SimulatorProvider extends PriceFeedProvider {
+    constructor({ simulator, tickSeconds = 30 }) {
+        super('simulator');
+        this.simulator = simulator;
+        this.tickSeconds = tickSeconds;
+    }
+
+    // Each call advances the simulation by one tick
+    async getLatestQuotes() {
+        return this.simulator.step(this.tickSeconds);
+    }
+
+    // Deterministic daily path from a simulator with the same seed, scaled so
+    // that it ends at the current simulated price
+    async getHistory(metal, from, to) {
+        const key = metal.toUpperCase();
+        if (!this.simulator.hasMetal(key)) return [];
+
+        const start = new Date(from);
+        const end = new Date(to);
+        const days = Math.floor((end - start) / (SECONDS_PER_DAY * 1000));
+        if (days < 0) return [];
+
+        const pathSimulator = new MarketSimulator({
+            seed: `${this.simulator.seed}:history`,
+            metals: this.simulator.params,
+            correlation: this.simulator.correlation
+        });
+
+        const path = [{ price: pathSimulator.getQuote(key).price, volume: pathSimulator.getQuote(key).volume }];
+        for (let day = 1; day <= days; day++) {
+            const quote = pathSimulator.step(SECONDS_PER_DAY).find(q => q.metal === key);
+            path.push({ price: quote.price, volume: quote.volume });
+        }
+
+        const scale = this.simulator.getPrice(key) / path[path.length - 1].price;
+        return path.map((point, day) => ({
+            timestamp: new Date(start.getTime() + day * SECONDS_PER_DAY * 1000).toISOString(),
+            price: parseFloat((point.price * scale).toFixed(2)),
+            volume: point.volume
+        }));
+    }
+
+    async healthCheck() {
+        return {
+            healthy: true,
+            message: 'Simulated prices',
+            seed: this.simulator.seed,
+            metals: this.simulator.metals.length
+        };
+    }
+}
+
+module.exports = SimulatorProvider;
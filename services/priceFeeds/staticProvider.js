@@ -0,0 +1,26 @@
+const { PriceFeedProvider, normalizeQuote } = require('./provider');
+
+// Serves a fixed set of prices, e.g. FX rates kept in config or a local JSON
+// file ({ "EUR": 1.08, "CNY": 0.138 }). It has no history.
+class StaticProvider extends PriceFeedProvider {
+    constructor({ prices = {} }) {
+        super('static');
+        this.prices = prices;
+    }
+
+    async getLatestQuotes() {
+        const timestamp = new Date();
+        return Object.entries(this.prices)
+            .map(([symbol, price]) => normalizeQuote({ metal: symbol, price, timestamp }))
+            .filter(Boolean);
+    }
+
+    async healthCheck() {
+        const count = Object.keys(this.prices).length;
+        return count > 0
+            ? { healthy: true, message: 'OK', symbols: count }
+            : { healthy: false, message: 'No static prices configured' };
+    }
+}
+
+module.exports = StaticProvider;
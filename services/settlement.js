@@ -0,0 +1,215 @@
+const moment = require('moment');
+const config = require('../config');
+const calendar = require('./calendar');
+const { getLatestCurves, priceAtDate } = require('./forwardCurve');
+const { getRate } = require('./fx');
+const { closePosition, openPosition } = require('./positions');
+const { isOption } = require('./options');
+const { isSwap, swapAveraging } = require('./swaps');
+
+// Expiry settlement. Active positions whose expiry date has passed are settled
+// at the settlement price for that date: the official price from
+// settlement_prices when one has been recorded, otherwise the last market_data
+// price on or before the date, if no more than config.settlement.maxPriceAgeDays
+// old (it is then recorded as the settlement price, so every position on that
+// prompt settles alike). Positions without either stay active with a warning. Options are cash
+// settled at their intrinsic value against that price, and average-price
+// swaps at the average of the daily closes over their averaging period.
+// Positions with auto-roll enabled are reopened at the next monthly prompt, in
+// the same transaction as the settlement.
+
+// Settlement price (base currency) for a metal on a date: { price, source } or null
+async function settlementPrice(db, metal, date) {
+    const official = await db.get(`
+        SELECT price, source FROM settlement_prices
+        WHERE metal_type = ? AND settlement_date = ?
+    `, [metal, date]);
+    if (official) return official;
+
+    const oldest = moment.utc(date).subtract(config.settlement.maxPriceAgeDays, 'days').format('YYYY-MM-DD');
+    const lastTick = await db.get(`
+        SELECT price FROM market_data
+        WHERE metal_type = ? AND timestamp >= ? AND timestamp <= ?
+        ORDER BY timestamp DESC, id DESC
+        LIMIT 1
+    `, [metal, `${oldest} 00:00:00`, `${date} 23:59:59`]);
+    if (!lastTick) return null;
+
+    await db.run(`
+        INSERT OR IGNORE INTO settlement_prices (metal_type, settlement_date, price, source)
+        VALUES (?, ?, ?, 'market_data')
+    `, [metal, date, lastTick.price]);
+    return { price: lastTick.price, source: 'market_data' };
+}
+
+async function recordSettlementPrice(db, metal, date, price, source = 'official') {
+    await db.run(`
+        INSERT INTO settlement_prices (metal_type, settlement_date, price, source)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (metal_type, settlement_date)
+        DO UPDATE SET price = excluded.price, source = excluded.source, created_at = CURRENT_TIMESTAMP
+    `, [metal, date, price, source]);
+}
+
+// Final average (base currency) for a swap whose averaging period has ended:
+// { price, source: 'average' }, or null when no day in the period has a close
+async function swapSettlementPrice(db, position, asOf) {
+    const averaging = (await swapAveraging(db, [position], asOf))[position.id];
+    if (!averaging || !averaging.pricedDays) return null;
+    return { price: averaging.averagePrice, source: 'average' };
+}
+
+// Settlement value per tonne in the position's currency: the underlying price
+// for futures, the intrinsic value for options
+function intrinsicValue(position, underlyingPrice) {
+    if (!isOption(position)) return underlyingPrice;
+    return Math.max(0, position.instrument_type === 'call'
+        ? underlyingPrice - position.strike_price
+        : position.strike_price - underlyingPrice);
+}
+
+// Open the replacement for a settled auto-roll position at the forward price
+// for the next monthly prompt. Stops and targets are price levels for the old
+// prompt and are not carried over; trailing stops restart from the new entry.
+async function rollPosition(db, position, settlementPriceBase, asOf) {
+    const expiryDate = calendar.formatDate(calendar.nextMonthlyPrompt(asOf));
+    const contractDate = calendar.formatDate(asOf);
+
+    const curves = await getLatestCurves(db, [position.metal_type]);
+    const forwardPrice = priceAtDate(curves[position.metal_type], expiryDate);
+    const entryFxRate = await getRate(db, position.currency);
+    const entryPrice = parseFloat(((forwardPrice || settlementPriceBase) / entryFxRate).toFixed(2));
+    const id = await openPosition(db, {
+        userId: position.user_id,
+        metalType: position.metal_type,
+        positionType: position.position_type,
+        quantity: position.quantity,
+        entryPrice,
+        contractDate,
+        expiryDate,
+        currency: position.currency,
+        entryFxRate,
+        quantityUnit: position.quantity_unit,
+        unitQuantity: position.unit_quantity,
+        trailingStopAmount: position.trailing_stop_amount,
+        trailingStopPercent: position.trailing_stop_percent,
+        autoRoll: true,
+        rolledFromId: position.id
+    });
+
+    await db.run(`
+        INSERT INTO audit_log (user_id, action, details, ip_address)
+        VALUES (?, ?, ?, ?)
+    `, [position.user_id, 'POSITION_ROLLED', `Rolled position ${position.id} into position ${id} expiring ${expiryDate} at ${entryPrice} ${position.currency}`, null]);
+
+    const dropped = position.stop_loss || position.target_price ? ' Stop-loss and target levels were not carried over.' : '';
+    await db.run(`
+        INSERT INTO notifications (user_id, title, message, type)
+        VALUES (?, ?, ?, ?)
+    `, [
+        position.user_id,
+        'Position Rolled',
+        `Your ${position.position_type} ${position.metal_type} position has been rolled to the ${expiryDate} prompt at ${entryPrice} ${position.currency}.${dropped}`,
+        'info'
+    ]);
+
+    return { id, expiryDate, entryPrice };
+}
+
+// Settle every active position that expired before asOf's date. Returns
+// { settled: [...], pending: [{ id, reason }] }; positions without a
+// settlement price stay active and are retried on the next run.
+async function settleExpiredPositions(db, asOf = new Date()) {
+    const today = calendar.formatDate(asOf);
+    const positions = await db.all(`
+        SELECT * FROM hedging_positions
+        WHERE status = 'active' AND expiry_date < ?
+        ORDER BY expiry_date, id
+    `, [today]);
+
+    const settled = [];
+    const pending = [];
+    for (const position of positions) {
+        try {
+            const date = calendar.formatDate(position.expiry_date);
+            const settlement = isSwap(position)
+                ? await swapSettlementPrice(db, position, asOf)
+                : await settlementPrice(db, position.metal_type, date);
+            if (!settlement) {
+                const reason = isSwap(position)
+                    ? `No daily prices for ${position.metal_type} in the averaging period to ${date}`
+                    : `No settlement price for ${position.metal_type} on ${date} and no market price in the ${config.settlement.maxPriceAgeDays} days before`;
+                pending.push({ id: position.id, reason });
+                continue;
+            }
+
+            // Convert at the FX rate in effect on the settlement date
+            const closeFxRate = await getRate(db, position.currency, `${date} 23:59:59`);
+            const underlyingPrice = settlement.price / closeFxRate;
+            const closePrice = parseFloat(intrinsicValue(position, underlyingPrice).toFixed(2));
+
+            // Settle and roll together, so a failed roll leaves the position
+            // active to be retried rather than settled without its replacement
+            const { result, rolled } = await db.transaction(async () => {
+                const closed = await closePosition(db, position, { closePrice, closeFxRate, reason: 'expiry', status: 'settled' });
+                const roll = closed && position.auto_roll && position.instrument_type === 'future'
+                    ? await rollPosition(db, position, settlement.price, asOf)
+                    : null;
+                return { result: closed, rolled: roll };
+            });
+            if (!result) continue;
+
+            settled.push({
+                id: position.id,
+                metal: position.metal_type,
+                expiryDate: date,
+                settlementPrice: parseFloat(underlyingPrice.toFixed(2)),
+                closePrice,
+                currency: position.currency,
+                source: settlement.source,
+                finalPnL: result.finalPnL,
+                reportingCurrency: result.reportingCurrency,
+                rolledInto: rolled
+            });
+        } catch (error) {
+            console.error(`Settlement error for position ${position.id}:`, error);
+            pending.push({ id: position.id, reason: error.message });
+        }
+    }
+
+    return { settled, pending };
+}
+
+// Settle on startup and then every config.settlement.interval milliseconds
+function startSettlementJob(db, intervalMs = config.settlement.interval) {
+    if (!config.settlement.enabled) return () => {};
+
+    let running = false;
+    const run = () => {
+        if (running) return;
+        running = true;
+        settleExpiredPositions(db)
+            .then(({ settled, pending }) => {
+                if (settled.length || pending.length) {
+                    console.log(`Settlement: ${settled.length} settled, ${pending.length} pending`);
+                }
+            })
+            .catch(error => {
+                console.error('Settlement job error:', error);
+            })
+            .finally(() => {
+                running = false;
+            });
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    settlementPrice,
+    recordSettlementPrice,
+    settleExpiredPositions,
+    startSettlementJob
+};
@@ -0,0 +1,228 @@
+const config = require('../config');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { bucketStart, getCandles } = require('./candles');
+
+// Return statistics for metals: rolling realized volatility, EWMA volatility
+// and pairwise correlations of daily log returns. Daily closes come from the
+// 1d candles rolled up from market_data; the current day is left out until
+// it closes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, digits = 6) {
+    return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Sample standard deviation; null with fewer than two values
+function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+// Daily log returns from [{ date, close }] sorted by date: [{ date, value }]
+function logReturns(closes) {
+    const returns = [];
+    for (let index = 1; index < closes.length; index++) {
+        returns.push({
+            date: closes[index].date,
+            value: Math.log(closes[index].close / closes[index - 1].close)
+        });
+    }
+    return returns;
+}
+
+// Standard deviation of the last `window` returns at each date
+function rollingVolatility(returns, window) {
+    const result = [];
+    for (let index = window - 1; index < returns.length; index++) {
+        const slice = returns.slice(index - window + 1, index + 1).map(r => r.value);
+        result.push({ date: returns[index].date, value: standardDeviation(slice) });
+    }
+    return result;
+}
+
+// RiskMetrics-style EWMA volatility: variance seeded with the first squared
+// return, then updated as lambda * variance + (1 - lambda) * return^2
+function ewmaVolatility(returns, lambda) {
+    if (!returns.length) return null;
+    let variance = returns[0].value ** 2;
+    for (let index = 1; index < returns.length; index++) {
+        variance = lambda * variance + (1 - lambda) * returns[index].value ** 2;
+    }
+    return Math.sqrt(variance);
+}
+
+// Pearson correlation of two return series over the dates they share
+function correlation(a, b) {
+    const other = new Map(b.map(r => [r.date, r.value]));
+    const pairs = a.filter(r => other.has(r.date)).map(r => [r.value, other.get(r.date)]);
+    if (pairs.length < 3) return null;
+
+    const meanA = mean(pairs.map(p => p[0]));
+    const meanB = mean(pairs.map(p => p[1]));
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    pairs.forEach(([x, y]) => {
+        covariance += (x - meanA) * (y - meanB);
+        varianceA += (x - meanA) ** 2;
+        varianceB += (y - meanB) ** 2;
+    });
+    if (!varianceA || !varianceB) return null;
+    return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+// Ordinary least squares fit of y on x: { slope, intercept, rSquared, observations },
+// or null with fewer than three points or no variation in x
+function linearRegression(xs, ys) {
+    const n = Math.min(xs.length, ys.length);
+    if (n < 3) return null;
+
+    const meanX = mean(xs.slice(0, n));
+    const meanY = mean(ys.slice(0, n));
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    if (!varianceX) return null;
+
+    const slope = covariance / varianceX;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        rSquared: varianceY ? (covariance * covariance) / (varianceX * varianceY) : 1,
+        observations: n
+    };
+}
+
+// Closed daily closes per metal over the lookback: { metal: [{ date, close }] }
+async function getDailyCloses(db, metals, lookbackDays) {
+    const now = new Date();
+    const today = bucketStart(now, '1d');
+    // One extra day so the first day in the window has a return
+    const from = new Date(now.getTime() - (lookbackDays + 1) * DAY_MS);
+
+    const closes = {};
+    for (const metal of metals) {
+        const candles = await getCandles(db, metal, '1d', from, now);
+        closes[metal] = candles
+            .filter(candle => candle.timestamp < today)
+            .map(candle => ({ date: candle.timestamp.slice(0, 10), close: candle.close }));
+    }
+    return closes;
+}
+
+// Daily log returns per metal: { metal: [{ date, value }] }
+async function getDailyReturns(db, { metals = Object.keys(DEFAULT_METALS), lookbackDays = config.statistics.lookbackDays } = {}) {
+    const closes = await getDailyCloses(db, metals, lookbackDays);
+    const returns = {};
+    metals.forEach(metal => { returns[metal] = logReturns(closes[metal]); });
+    return returns;
+}
+
+// Volatility and correlation statistics for every metal. Volatilities are
+// daily standard deviations of log returns, annualized with the square root of
+// config.statistics.tradingDays.
+async function getMarketStatistics(db, options = {}) {
+    const {
+        metals = Object.keys(DEFAULT_METALS),
+        lookbackDays = config.statistics.lookbackDays,
+        window = config.statistics.window,
+        lambda = config.statistics.ewmaLambda
+    } = options;
+    const annualize = Math.sqrt(config.statistics.tradingDays);
+
+    const returns = await getDailyReturns(db, { metals, lookbackDays });
+
+    const volatility = {};
+    metals.forEach(metal => {
+        const series = returns[metal];
+        const rolling = rollingVolatility(series, window);
+        const realized = rolling.length ? rolling[rolling.length - 1].value : null;
+        const ewma = ewmaVolatility(series, lambda);
+
+        volatility[metal] = {
+            observations: series.length,
+            from: series.length ? series[0].date : null,
+            to: series.length ? series[series.length - 1].date : null,
+            realized: {
+                daily: round(realized),
+                annualized: realized !== null ? round(realized * annualize) : null
+            },
+            ewma: {
+                daily: round(ewma),
+                annualized: ewma !== null ? round(ewma * annualize) : null
+            },
+            rolling: rolling.map(point => ({
+                date: point.date,
+                daily: round(point.value),
+                annualized: round(point.value * annualize)
+            }))
+        };
+    });
+
+    const matrix = metals.map((a, i) => metals.map((b, j) => {
+        if (i === j) return returns[a].length >= 3 ? 1 : null;
+        return round(correlation(returns[a], returns[b]), 4);
+    }));
+
+    return {
+        lookbackDays,
+        window,
+        lambda,
+        tradingDays: config.statistics.tradingDays,
+        volatility,
+        correlation: { metals, matrix }
+    };
+}
+
+// Annualized volatility of a set of signed exposures ({ metal: amount }, short
+// exposure negative) from the EWMA volatilities and correlations in a
+// getMarketStatistics() result. Metals without statistics are left out and
+// listed in `missing`.
+function portfolioVolatility(exposures, statistics) {
+    const { metals, matrix } = statistics.correlation;
+    const included = Object.keys(exposures).filter(metal => {
+        const stats = statistics.volatility[metal];
+        return stats && stats.ewma.annualized !== null;
+    });
+
+    let variance = 0;
+    included.forEach(a => {
+        included.forEach(b => {
+            const rho = a === b ? 1 : matrix[metals.indexOf(a)][metals.indexOf(b)];
+            if (rho === null) return;
+            variance += exposures[a] * exposures[b] * rho
+                * statistics.volatility[a].ewma.annualized * statistics.volatility[b].ewma.annualized;
+        });
+    });
+
+    const amount = Math.sqrt(Math.max(variance, 0));
+    const gross = included.reduce((sum, metal) => sum + Math.abs(exposures[metal]), 0);
+    return {
+        amount,
+        percentage: gross ? amount / gross * 100 : 0,
+        missing: Object.keys(exposures).filter(metal => !included.includes(metal))
+    };
+}
+
+module.exports = {
+    standardDeviation,
+    logReturns,
+    rollingVolatility,
+    ewmaVolatility,
+    correlation,
+    linearRegression,
+    getDailyReturns,
+    getMarketStatistics,
+    portfolioVolatility
+};
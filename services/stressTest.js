@@ -0,0 +1,292 @@
+const moment = require('moment');
+const { DEFAULT_METALS } = require('./marketSimulator');
+const { forwardPricesForPositions } = require('./forwardCurve');
+const { calculatePnL } = require('./pnl');
+const { isOption, priceOption } = require('./options');
+const { isSwap, swapAveraging, averageWithRemainingAt } = require('./swaps');
+const { BASE_CURRENCY, isSupportedCurrency, getLatestRates, getReportingCurrency, positionFxRates } = require('./fx');
+
+// Stress scenarios revalue a user's active positions under shocked prices and
+// FX rates. A scenario's shocks look like:
+//
+//   {
+//     "metals": { "COPPER": { "type": "percent", "value": -20 },
+//                 "ZINC": { "type": "absolute", "value": -300 } },
+//     "fx": { "EUR": { "type": "percent", "value": 5 } },
+//     "historical": "GFC_2008"   // or { "from": "2020-01-17", "to": "2020-03-23" }
+//   }
+//
+// Metal shocks apply to the USD forward price each position is valued at
+// (absolute shocks in USD per tonne), with options revalued with Black-76 at
+// the shocked forward; FX shocks to the USD rate of a currency.
+// A historical scenario replays each metal's move between two dates in
+// market_data; explicit metal shocks override the replayed ones.
+
+const SHOCK_TYPES = ['percent', 'absolute'];
+
+const HISTORICAL_SCENARIOS = {
+    GFC_2008: {
+        name: 'Global financial crisis',
+        description: 'Base metals sell-off from the July 2008 peak to the end of 2008',
+        from: '2008-07-01',
+        to: '2008-12-31'
+    },
+    COVID_2020: {
+        name: 'COVID-19 crash',
+        description: 'Demand shock from mid-January 2020 to the March 2020 low',
+        from: '2020-01-17',
+        to: '2020-03-23'
+    },
+    NICKEL_SQUEEZE_2022: {
+        name: 'Nickel short squeeze',
+        description: 'LME nickel squeeze and the moves around it in early March 2022',
+        from: '2022-03-04',
+        to: '2022-03-08'
+    }
+};
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+function validateShock(shock, label) {
+    if (!shock || typeof shock !== 'object' || !SHOCK_TYPES.includes(shock.type)) {
+        return `${label}: type must be one of ${SHOCK_TYPES.join(', ')}`;
+    }
+    if (!Number.isFinite(Number(shock.value))) {
+        return `${label}: value must be a number`;
+    }
+    if (shock.type === 'percent' && Number(shock.value) <= -100) {
+        return `${label}: percent shocks must be above -100`;
+    }
+    return null;
+}
+
+// Check and normalize a shocks object; returns { shocks } or { error }
+function validateShocks(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Shocks must be an object with metals, fx and/or historical' };
+    }
+
+    const shocks = { metals: {}, fx: {} };
+
+    for (const [key, shock] of Object.entries(input.metals || {})) {
+        const metal = key.toUpperCase();
+        if (!DEFAULT_METALS[metal]) return { error: `Unknown metal: ${key}` };
+        const error = validateShock(shock, metal);
+        if (error) return { error };
+        shocks.metals[metal] = { type: shock.type, value: Number(shock.value) };
+    }
+
+    for (const [key, shock] of Object.entries(input.fx || {})) {
+        const currency = key.toUpperCase();
+        if (currency === BASE_CURRENCY) return { error: `FX shocks are against ${BASE_CURRENCY}; shock the other currencies` };
+        if (!isSupportedCurrency(currency)) return { error: `Unsupported currency: ${key}` };
+        const error = validateShock(shock, currency);
+        if (error) return { error };
+        shocks.fx[currency] = { type: shock.type, value: Number(shock.value) };
+    }
+
+    if (input.historical) {
+        if (typeof input.historical === 'string') {
+            const key = input.historical.toUpperCase();
+            if (!HISTORICAL_SCENARIOS[key]) {
+                return { error: `Unknown historical scenario. Use one of: ${Object.keys(HISTORICAL_SCENARIOS).join(', ')}` };
+            }
+            shocks.historical = key;
+        } else {
+            const from = moment.utc(input.historical.from, DATE_FORMAT, true);
+            const to = moment.utc(input.historical.to, DATE_FORMAT, true);
+            if (!from.isValid() || !to.isValid() || !to.isAfter(from)) {
+                return { error: 'Historical window needs from and to dates (YYYY-MM-DD) with to after from' };
+            }
+            shocks.historical = { from: from.format(DATE_FORMAT), to: to.format(DATE_FORMAT) };
+        }
+    }
+
+    if (!Object.keys(shocks.metals).length && !Object.keys(shocks.fx).length && !shocks.historical) {
+        return { error: 'At least one metal shock, FX shock or historical scenario is required' };
+    }
+
+    return { shocks };
+}
+
+function applyShock(value, shock) {
+    if (!shock) return value;
+    const shocked = shock.type === 'percent' ? value * (1 + shock.value / 100) : value + shock.value;
+    return Math.max(shocked, 0);
+}
+
+// Percent move of each metal between two dates: the last price on or before
+// each date, or the first one after `from` when nothing earlier is stored.
+// Returns { moves: { metal: percent }, missing: [metal] }.
+async function replayHistory(db, from, to, metals) {
+    const moves = {};
+    const missing = [];
+
+    for (const metal of metals) {
+        const start = await db.get(`
+            SELECT price FROM market_data
+            WHERE metal_type = ? AND timestamp <= ?
+            ORDER BY timestamp DESC, id DESC
+            LIMIT 1
+        `, [metal, `${from} 23:59:59`]) || await db.get(`
+            SELECT price FROM market_data
+            WHERE metal_type = ? AND timestamp > ? AND timestamp <= ?
+            ORDER BY timestamp ASC, id ASC
+            LIMIT 1
+        `, [metal, `${from} 23:59:59`, `${to} 23:59:59`]);
+        const end = await db.get(`
+            SELECT price FROM market_data
+            WHERE metal_type = ? AND timestamp >= ? AND timestamp <= ?
+            ORDER BY timestamp DESC, id DESC
+            LIMIT 1
+        `, [metal, `${from} 00:00:00`, `${to} 23:59:59`]);
+
+        if (start && end && start.price > 0) {
+            moves[metal] = (end.price - start.price) / start.price * 100;
+        } else {
+            missing.push(metal);
+        }
+    }
+
+    return { moves, missing };
+}
+
+// Revalue a user's active positions under the shocks. P&L figures are in the
+// user's reporting currency; prices are USD per tonne.
+async function runScenario(db, userId, shocks) {
+    const positions = await db.all(`
+        SELECT * FROM hedging_positions
+        WHERE user_id = ? AND status = 'active'
+        ORDER BY id
+    `, [userId]);
+
+    const reportingCurrency = await getReportingCurrency(db, userId);
+    const warnings = [];
+
+    // Replayed moves first, so explicit metal shocks override them
+    const metalShocks = {};
+    let historical = null;
+    if (shocks.historical) {
+        const window = typeof shocks.historical === 'string'
+            ? { key: shocks.historical, ...HISTORICAL_SCENARIOS[shocks.historical] }
+            : shocks.historical;
+        const metals = [...new Set(positions.map(position => position.metal_type))];
+        const { moves, missing } = await replayHistory(db, window.from, window.to, metals);
+
+        Object.entries(moves).forEach(([metal, percent]) => {
+            metalShocks[metal] = { type: 'percent', value: percent };
+        });
+        if (missing.length) {
+            warnings.push(`No market_data between ${window.from} and ${window.to} for ${missing.join(', ')}; import history to replay this scenario`);
+        }
+        historical = {
+            ...window,
+            moves: Object.fromEntries(Object.entries(moves).map(([metal, percent]) => [metal, round(percent)]))
+        };
+    }
+    Object.assign(metalShocks, shocks.metals);
+
+    const forwardPrices = await forwardPricesForPositions(db, positions);
+    const fxRates = await positionFxRates(db, positions, reportingCurrency);
+    const rates = await getLatestRates(db);
+    const averaging = await swapAveraging(db, positions);
+    const stressedReportingRate = reportingCurrency === BASE_CURRENCY
+        ? 1
+        : applyShock(rates[reportingCurrency], shocks.fx[reportingCurrency]);
+    if (!stressedReportingRate) {
+        warnings.push(`The ${reportingCurrency} shock takes the rate to zero; P&L is converted at the current rate`);
+    }
+
+    const byMetal = {};
+    const results = positions.map(position => {
+        const fx = fxRates[position.id];
+        // Without a market price the position is carried at its entry price
+        const forwardPrice = forwardPrices[position.id];
+        let marketPrice = forwardPrice || position.entry_price * (position.entry_fx_rate || 1);
+        let stressedPrice = applyShock(marketPrice, metalShocks[position.metal_type]);
+        if (forwardPrice && isOption(position)) {
+            const strikeRate = rates[position.currency] || 1;
+            marketPrice = priceOption(position, forwardPrice, { strikeRate }).premium;
+            stressedPrice = priceOption(position, stressedPrice, { strikeRate }).premium;
+        }
+        // Swaps move only with the days of their average still to price
+        const status = averaging[position.id];
+        if (isSwap(position) && status) {
+            marketPrice = status.averagePrice;
+            stressedPrice = status.remainingDays
+                ? averageWithRemainingAt(status, applyShock(status.remainingAverage, metalShocks[position.metal_type]))
+                : status.averagePrice;
+        }
+
+        const current = calculatePnL(position, marketPrice, fx);
+        const stressed = calculatePnL(position, stressedPrice, {
+            entryRate: fx.entryRate,
+            currentRate: stressedReportingRate ? 1 / stressedReportingRate : fx.currentRate
+        });
+        const impact = stressed.amount - current.amount;
+
+        const metal = byMetal[position.metal_type] || (byMetal[position.metal_type] = {
+            metal: position.metal_type, positions: 0, currentPnL: 0, stressedPnL: 0, impact: 0
+        });
+        metal.positions++;
+        metal.currentPnL += current.amount;
+        metal.stressedPnL += stressed.amount;
+        metal.impact += impact;
+
+        return {
+            id: position.id,
+            metal: position.metal_type,
+            positionType: position.position_type,
+            instrumentType: position.instrument_type,
+            strikePrice: position.strike_price,
+            quantity: position.quantity,
+            expiryDate: position.expiry_date,
+            marketPrice: round(marketPrice),
+            stressedPrice: round(stressedPrice),
+            currentPnL: current.amount,
+            stressedPnL: stressed.amount,
+            impact: round(impact)
+        };
+    });
+
+    const metals = Object.values(byMetal).map(metal => ({
+        ...metal,
+        shock: metalShocks[metal.metal]
+            ? { type: metalShocks[metal.metal].type, value: round(metalShocks[metal.metal].value) }
+            : null,
+        currentPnL: round(metal.currentPnL),
+        stressedPnL: round(metal.stressedPnL),
+        impact: round(metal.impact)
+    }));
+
+    const total = key => round(metals.reduce((sum, metal) => sum + metal[key], 0));
+
+    return {
+        currency: reportingCurrency,
+        shocks,
+        historical,
+        fx: shocks.fx[reportingCurrency]
+            ? { currency: reportingCurrency, rate: rates[reportingCurrency], stressedRate: parseFloat(stressedReportingRate.toFixed(6)) }
+            : null,
+        totals: {
+            positions: results.length,
+            currentPnL: total('currentPnL'),
+            stressedPnL: total('stressedPnL'),
+            impact: total('impact')
+        },
+        byMetal: metals,
+        positions: results,
+        warnings
+    };
+}
+
+module.exports = {
+    SHOCK_TYPES,
+    HISTORICAL_SCENARIOS,
+    validateShocks,
+    runScenario
+};
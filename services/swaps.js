@@ -0,0 +1,146 @@
+const moment = require('moment');
+const calendar = require('./calendar');
+const { getDailyCloses } = require('./candles');
+const { getLatestCurves, priceAtDate } = require('./forwardCurve');
+
+// Average-price swaps. A swap fixes a price (entry_price, in the position's
+// currency) against the arithmetic average of the metal's daily closes over
+// the exchange business days of its averaging period, averaging_start to
+// expiry_date. Long pays fixed and receives the average, so it gains when the
+// average comes out above the fixed price. Until the period ends the average
+// is estimated from the closes known so far plus the forward price for each
+// remaining day (today counts as remaining until its candle closes). A known
+// business day without a close takes the previous close, or the next one at
+// the start of the period. Known days carry no more price risk, so a swap's
+// delta is its quantity times the share of days still to price. Swaps settle
+// at the final average through the expiry settlement job.
+
+const MONTH_FORMAT = 'YYYY-MM';
+const DATE_FORMAT = 'YYYY-MM-DD';
+// Closes looked back over for a day missing at the start of the period
+const FILL_LOOKBACK_DAYS = 10;
+
+function isSwap(position) {
+    return position.instrument_type === 'swap';
+}
+
+// Averaging period for a month (YYYY-MM): its first to last business day, or
+// null when the month is invalid
+function averagingPeriod(month) {
+    const first = moment.utc(month, MONTH_FORMAT, true);
+    if (!first.isValid()) return null;
+
+    return {
+        start: calendar.formatDate(calendar.nextBusinessDay(first)),
+        end: calendar.formatDate(calendar.previousBusinessDay(first.clone().endOf('month')))
+    };
+}
+
+function businessDays(start, end) {
+    const days = [];
+    for (const day = moment.utc(start); day.format(DATE_FORMAT) <= end; day.add(1, 'day')) {
+        if (calendar.isBusinessDay(day)) days.push(day.format(DATE_FORMAT));
+    }
+    return days;
+}
+
+// Business days a swap averages over
+function averagingDays(position) {
+    return businessDays(position.averaging_start, calendar.formatDate(position.expiry_date));
+}
+
+function round(value, digits = 2) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+// Known and remaining days of a swap's averaging period, with their average
+// prices and the resulting (estimated or final) average, in the base
+// currency. closes are the metal's daily closes from before the period start,
+// curve its latest forward curve and spot the price for remaining days when
+// there is no curve.
+function averagingStatus(position, closes, curve, spot, today) {
+    const days = averagingDays(position);
+    const known = days.filter(day => day < today);
+    const remaining = days.filter(day => day >= today);
+
+    const closeByDate = new Map(closes.map(close => [close.date, close.close]));
+    let missingDays = 0;
+    const knownPrices = known.map(day => {
+        if (closeByDate.has(day)) return closeByDate.get(day);
+        missingDays++;
+        const previous = closes.filter(close => close.date < day).pop();
+        const next = closes.find(close => close.date > day);
+        return (previous || next || { close: spot }).close;
+    });
+    const remainingPrices = remaining.map(day => {
+        const forward = priceAtDate(curve, day);
+        return forward !== null ? forward : spot;
+    });
+
+    if (knownPrices.some(price => !price) || remainingPrices.some(price => !price)) return null;
+
+    const sum = prices => prices.reduce((total, price) => total + price, 0);
+    const knownSum = sum(knownPrices);
+    const remainingSum = sum(remainingPrices);
+
+    return {
+        averagingStart: position.averaging_start,
+        averagingEnd: calendar.formatDate(position.expiry_date),
+        totalDays: days.length,
+        knownDays: known.length,
+        remainingDays: remaining.length,
+        missingDays,
+        pricedDays: known.filter(day => closeByDate.has(day)).length,
+        knownAverage: known.length ? round(knownSum / known.length) : null,
+        remainingAverage: remaining.length ? round(remainingSum / remaining.length) : null,
+        averagePrice: days.length ? (knownSum + remainingSum) / days.length : null
+    };
+}
+
+// Averaging status per swap: { positionId: status } with averagePrice the
+// base-currency average (final once every day is known). Swaps with no price
+// for some day are left out.
+async function swapAveraging(db, positions, asOf = new Date()) {
+    const swaps = positions.filter(isSwap);
+    if (!swaps.length) return {};
+
+    const today = calendar.formatDate(asOf);
+    const metals = [...new Set(swaps.map(position => position.metal_type))];
+    const curves = await getLatestCurves(db, metals);
+
+    const spots = {};
+    for (const metal of metals) {
+        const latest = await db.get(`
+            SELECT price FROM market_data
+            WHERE metal_type = ?
+            ORDER BY timestamp DESC
+            LIMIT 1
+        `, [metal]);
+        spots[metal] = latest ? latest.price : null;
+    }
+
+    const result = {};
+    for (const position of swaps) {
+        const from = moment.utc(position.averaging_start).subtract(FILL_LOOKBACK_DAYS, 'days').format(DATE_FORMAT);
+        const closes = await getDailyCloses(db, position.metal_type, from, calendar.formatDate(position.expiry_date));
+        const status = averagingStatus(position, closes, curves[position.metal_type], spots[position.metal_type], today);
+        if (status) result[position.id] = status;
+    }
+    return result;
+}
+
+// Base-currency average with the remaining days at another price, e.g. a
+// stressed forward
+function averageWithRemainingAt(status, remainingPrice) {
+    if (!status.remainingDays) return status.averagePrice;
+    const knownSum = status.averagePrice * status.totalDays - status.remainingAverage * status.remainingDays;
+    return (knownSum + remainingPrice * status.remainingDays) / status.totalDays;
+}
+
+module.exports = {
+    isSwap,
+    averagingPeriod,
+    averagingDays,
+    swapAveraging,
+    averageWithRemainingAt
+};
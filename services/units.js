@@ -0,0 +1,104 @@
+const config = require('../config');
+
+// Positions are priced per tonne, so hedging_positions.quantity is always held
+// in tonnes. The unit a position was entered in is kept alongside it
+// (quantity_unit, unit_quantity) for display and lot validation.
+const DEFAULT_LOT_SIZES = {
+    COPPER: 25,
+    ALUMINUM: 25,
+    ZINC: 25,
+    NICKEL: 6,
+    LEAD: 25,
+    TIN: 5
+};
+
+// Tonnes per unit; lots depend on the metal
+const UNIT_TONNES = {
+    t: 1,
+    kg: 0.001,
+    lb: 0.00045359237
+};
+
+const UNIT_ALIASES = {
+    t: 't',
+    mt: 't',
+    tonne: 't',
+    tonnes: 't',
+    kg: 'kg',
+    kgs: 'kg',
+    kilogram: 'kg',
+    kilograms: 'kg',
+    lb: 'lb',
+    lbs: 'lb',
+    pound: 'lb',
+    pounds: 'lb',
+    lot: 'lot',
+    lots: 'lot'
+};
+
+const QUANTITY_UNITS = ['t', 'lot', 'kg', 'lb'];
+
+function lotSize(metal) {
+    const overrides = config.contracts.lotSizes || {};
+    return overrides[metal] || DEFAULT_LOT_SIZES[metal] || null;
+}
+
+// Canonical unit code for user input, or null when it is not recognised
+function normalizeUnit(unit) {
+    if (unit === undefined || unit === null || unit === '') return 't';
+    return UNIT_ALIASES[String(unit).trim().toLowerCase()] || null;
+}
+
+function toTonnes(quantity, unit, metal) {
+    if (unit === 'lot') {
+        const size = lotSize(metal);
+        if (!size) throw new Error(`No lot size defined for ${metal}`);
+        return quantity * size;
+    }
+    return quantity * UNIT_TONNES[unit];
+}
+
+function fromTonnes(tonnes, unit, metal) {
+    if (unit === 'lot') {
+        const size = lotSize(metal);
+        if (!size) throw new Error(`No lot size defined for ${metal}`);
+        return tonnes / size;
+    }
+    return tonnes / UNIT_TONNES[unit];
+}
+
+// Returns an error message, or null when the quantity is valid
+function validateQuantity(quantity, unit, metal) {
+    if (!QUANTITY_UNITS.includes(unit)) {
+        return `Quantity unit must be one of: ${QUANTITY_UNITS.join(', ')}`;
+    }
+    if (!(quantity > 0)) {
+        return 'Quantity must be a positive number';
+    }
+    if (unit === 'lot') {
+        if (!lotSize(metal)) return `${metal} is not traded in lots`;
+        if (!Number.isInteger(Number(quantity))) return 'Lot-based positions must be a whole number of lots';
+    }
+    return null;
+}
+
+// Quantity fields added to position responses
+function describeQuantity(position) {
+    const size = lotSize(position.metal_type);
+    return {
+        quantity_tonnes: position.quantity,
+        lots: size ? parseFloat(fromTonnes(position.quantity, 'lot', position.metal_type).toFixed(4)) : null,
+        lot_size: size
+    };
+}
+
+module.exports = {
+    DEFAULT_LOT_SIZES,
+    QUANTITY_UNITS,
+    lotSize,
+    normalizeUnit,
+    toTonnes,
+    fromTonnes,
+    validateQuantity,
+    describeQuantity
+};
@@ -0,0 +1,167 @@
+const config = require('../config');
+const { cholesky, createRandom, createNormal } = require('./marketSimulator');
+const { getDailyReturns, ewmaVolatility, correlation } = require('./statistics');
+const { normalPdf, normalInverse } = require('../utils/normal');
+
+// Value-at-Risk and Expected Shortfall of signed exposures per metal (short
+// exposure negative) by historical simulation, variance-covariance and Monte
+// Carlo. Losses are positive amounts in the exposures' currency; daily figures
+// are scaled to the horizon with the square root of time.
+
+const MAX_SIMULATIONS = 100000;
+
+function round(value, digits = 2) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+// Per-metal VaR breakdown. componentVaR sums to the portfolio VaR; marginalVaR
+// is the change in VaR per unit of additional exposure.
+function components(metals, exposures, contributions) {
+    const total = contributions.reduce((sum, value) => sum + value, 0);
+    return metals.map((metal, index) => ({
+        metal,
+        exposure: round(exposures[metal]),
+        componentVaR: round(contributions[index]),
+        marginalVaR: exposures[metal] ? round(contributions[index] / exposures[metal], 6) : 0,
+        percentage: total ? round(contributions[index] / total * 100) : 0
+    }));
+}
+
+function emptyResult() {
+    return { valueAtRisk: 0, expectedShortfall: 0, components: [] };
+}
+
+// VaR and ES from simulated scenarios, each an array of P&L per metal. The
+// component split is each metal's average share of the tail losses, scaled to
+// the VaR.
+function scenarioVaR(metals, exposures, scenarios, confidence) {
+    if (!metals.length || !scenarios.length) return emptyResult();
+
+    const losses = scenarios
+        .map(pnl => ({ pnl, loss: -pnl.reduce((sum, value) => sum + value, 0) }))
+        .sort((a, b) => a.loss - b.loss);
+    const cutoff = Math.min(losses.length - 1, Math.max(0, Math.ceil(confidence * losses.length) - 1));
+    const valueAtRisk = losses[cutoff].loss;
+    const tail = losses.slice(cutoff);
+    const expectedShortfall = tail.reduce((sum, s) => sum + s.loss, 0) / tail.length;
+
+    const tailLosses = metals.map((_, index) => -tail.reduce((sum, s) => sum + s.pnl[index], 0) / tail.length);
+    const scale = expectedShortfall ? valueAtRisk / expectedShortfall : 0;
+
+    return {
+        valueAtRisk: round(valueAtRisk),
+        expectedShortfall: round(expectedShortfall),
+        components: components(metals, exposures, tailLosses.map(value => value * scale))
+    };
+}
+
+function historicalScenarios(metals, exposures, returns, horizonDays) {
+    // Only dates with a return for every metal
+    const byDate = metals.map(metal => new Map(returns[metal].map(r => [r.date, r.value])));
+    const dates = returns[metals[0]].map(r => r.date).filter(date => byDate.every(series => series.has(date)));
+    const scale = Math.sqrt(horizonDays);
+
+    return dates.map(date => metals.map((metal, index) => (
+        exposures[metal] * (Math.exp(byDate[index].get(date) * scale) - 1)
+    )));
+}
+
+function covarianceMatrix(volatilities, correlations, horizonDays) {
+    return volatilities.map((a, i) => volatilities.map((b, j) => correlations[i][j] * a * b * horizonDays));
+}
+
+function parametricVaR(metals, exposures, covariance, confidence) {
+    if (!metals.length) return emptyResult();
+
+    const weights = metals.map(metal => exposures[metal]);
+    const weighted = covariance.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0));
+    const sigma = Math.sqrt(Math.max(weights.reduce((sum, weight, i) => sum + weight * weighted[i], 0), 0));
+    const z = normalInverse(confidence);
+
+    return {
+        valueAtRisk: round(z * sigma),
+        expectedShortfall: round(sigma * normalPdf(z) / (1 - confidence)),
+        components: components(metals, exposures, weights.map((weight, i) => (
+            sigma ? weight * z * weighted[i] / sigma : 0
+        )))
+    };
+}
+
+// Cholesky factor of a sample correlation matrix. Pairwise estimates are not
+// always positive definite, so off-diagonal terms are shrunk towards zero
+// until the factorization succeeds.
+function correlationFactor(correlations) {
+    let matrix = correlations;
+    for (let attempt = 0; attempt < 20; attempt++) {
+        try {
+            return cholesky(matrix);
+        } catch (error) {
+            matrix = matrix.map((row, i) => row.map((value, j) => (i === j ? 1 : value * 0.9)));
+        }
+    }
+    return correlations.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+}
+
+function monteCarloScenarios(metals, exposures, volatilities, correlations, horizonDays, simulations, seed) {
+    const factor = correlationFactor(correlations);
+    const normal = createNormal(createRandom(seed));
+    const scale = Math.sqrt(horizonDays);
+
+    const scenarios = [];
+    for (let run = 0; run < simulations; run++) {
+        const shocks = metals.map(() => normal());
+        scenarios.push(metals.map((metal, i) => {
+            let shock = 0;
+            for (let k = 0; k <= i; k++) shock += factor[i][k] * shocks[k];
+            return exposures[metal] * (Math.exp(volatilities[i] * scale * shock) - 1);
+        }));
+    }
+    return scenarios;
+}
+
+// VaR and ES at each confidence level by all three methods. Volatilities are
+// EWMA estimates from daily returns over the lookback; metals without enough
+// history are left out and listed in `missing`.
+async function calculateVaR(db, exposures, options = {}) {
+    const {
+        confidenceLevels = config.risk.confidenceLevels,
+        horizonDays = config.risk.horizonDays,
+        simulations = config.risk.simulations,
+        seed = config.risk.seed,
+        lookbackDays = config.statistics.lookbackDays,
+        lambda = config.statistics.ewmaLambda
+    } = options;
+
+    const exposed = Object.keys(exposures).filter(metal => exposures[metal]);
+    const returns = exposed.length ? await getDailyReturns(db, { metals: exposed, lookbackDays }) : {};
+    const metals = exposed.filter(metal => returns[metal].length >= 2);
+
+    const volatilities = metals.map(metal => ewmaVolatility(returns[metal], lambda));
+    const correlations = metals.map((a, i) => metals.map((b, j) => (
+        i === j ? 1 : correlation(returns[a], returns[b]) || 0
+    )));
+    const covariance = covarianceMatrix(volatilities, correlations, horizonDays);
+
+    const historical = metals.length ? historicalScenarios(metals, exposures, returns, horizonDays) : [];
+    const simulated = metals.length
+        ? monteCarloScenarios(metals, exposures, volatilities, correlations, horizonDays, Math.min(simulations, MAX_SIMULATIONS), seed)
+        : [];
+
+    return {
+        horizonDays,
+        lookbackDays,
+        observations: historical.length,
+        simulations: Math.min(simulations, MAX_SIMULATIONS),
+        seed,
+        metals,
+        missing: exposed.filter(metal => !metals.includes(metal)),
+        levels: confidenceLevels.map(confidence => ({
+            confidence,
+            historical: scenarioVaR(metals, exposures, historical, confidence),
+            parametric: parametricVaR(metals, exposures, covariance, confidence),
+            monteCarlo: scenarioVaR(metals, exposures, simulated, confidence)
+        }))
+    };
+}
+
+module.exports = { MAX_SIMULATIONS, scenarioVaR, parametricVaR, calculateVaR };
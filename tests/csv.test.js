@@ -0,0 +1,25 @@
+const { parseCsv, parseCsvLines } = require('../utils/csv');
+
+describe('parseCsvLines', () => {
+    test('numbers rows by their source line, counting skipped blank lines', () => {
+        const text = 'date,metal,price\r\n\r\n2026-01-02,COPPER,9000\r\n\r\n2026-01-05,ZINC,2500\r\n';
+
+        expect(parseCsvLines(text)).toEqual([
+            { line: 3, record: { date: '2026-01-02', metal: 'COPPER', price: '9000' } },
+            { line: 5, record: { date: '2026-01-05', metal: 'ZINC', price: '2500' } }
+        ]);
+    });
+
+    test('counts line breaks inside quoted fields', () => {
+        const rows = parseCsvLines('note,price\n"two\nlines",1\nplain,2');
+
+        expect(rows.map(row => row.line)).toEqual([2, 4]);
+        expect(rows[0].record.note).toBe('two\nlines');
+    });
+});
+
+describe('parseCsv', () => {
+    test('returns the records keyed by the lower-cased header', () => {
+        expect(parseCsv('Metal,Price\nCOPPER,"9,000"\n')).toEqual([{ metal: 'COPPER', price: '9,000' }]);
+    });
+});
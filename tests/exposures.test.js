@@ -0,0 +1,43 @@
+const config = require('../config');
+const { exposureQuantity, classify } = require('../services/exposures');
+
+describe('exposureQuantity', () => {
+    test('inventory and fixed-price purchases are long, fixed-price sales short', () => {
+        expect(exposureQuantity({ exposure_type: 'inventory', pricing_basis: 'fixed', quantity: 50 })).toBe(50);
+        expect(exposureQuantity({ exposure_type: 'purchase_commitment', pricing_basis: 'fixed', quantity: 50 })).toBe(50);
+        expect(exposureQuantity({ exposure_type: 'sales_commitment', pricing_basis: 'fixed', quantity: 50 })).toBe(-50);
+    });
+
+    test('floating-price commitments carry no price exposure unless their price is fixed', () => {
+        const settings = { hedgeFloatingPrice: false };
+        expect(exposureQuantity({ exposure_type: 'purchase_commitment', pricing_basis: 'floating', quantity: 50 }, settings)).toBe(0);
+        expect(exposureQuantity({ exposure_type: 'sales_commitment', pricing_basis: 'floating', quantity: 50 }, settings)).toBe(0);
+        expect(exposureQuantity({ exposure_type: 'inventory', pricing_basis: 'floating', quantity: 50 }, settings)).toBe(50);
+    });
+
+    test('fixing the floating price makes floating purchases short and floating sales long', () => {
+        const settings = { hedgeFloatingPrice: true };
+        expect(exposureQuantity({ exposure_type: 'purchase_commitment', pricing_basis: 'floating', quantity: 50 }, settings)).toBe(-50);
+        expect(exposureQuantity({ exposure_type: 'sales_commitment', pricing_basis: 'floating', quantity: 50 }, settings)).toBe(50);
+        expect(exposureQuantity({ exposure_type: 'inventory', pricing_basis: 'floating', quantity: 50 }, settings)).toBe(50);
+        expect(exposureQuantity({ exposure_type: 'sales_commitment', pricing_basis: 'fixed', quantity: 50 }, settings)).toBe(-50);
+    });
+});
+
+describe('classify', () => {
+    const { min, max } = config.hedgeRatio;
+
+    test('grades a hedge ratio against the configured band', () => {
+        expect(classify(0, 50, 0)).toBe('unhedged');
+        expect(classify(min / 2, 50, -10)).toBe('under_hedged');
+        expect(classify(min, 50, -40)).toBe('hedged');
+        expect(classify(max, 50, -60)).toBe('hedged');
+        expect(classify(max + 0.1, 50, -70)).toBe('over_hedged');
+        expect(classify(-0.5, 50, 25)).toBe('wrong_direction');
+    });
+
+    test('hedges without physical exposure are over-hedged', () => {
+        expect(classify(null, 0, 25)).toBe('over_hedged');
+        expect(classify(null, 0, 0)).toBe('no_exposure');
+    });
+});
@@ -0,0 +1,55 @@
+const { black76 } = require('../services/options');
+
+const FORWARD = 9000;
+const YEARS = 0.5;
+const VOLATILITY = 0.25;
+const RATE = 0.045;
+
+describe('black76', () => {
+    test.each([7500, 9000, 10500])('call and put at strike %d satisfy put-call parity', strike => {
+        const call = black76('call', FORWARD, strike, YEARS, VOLATILITY, RATE);
+        const put = black76('put', FORWARD, strike, YEARS, VOLATILITY, RATE);
+
+        // C - P = e^(-rT) (F - K)
+        expect(call.price - put.price).toBeCloseTo(Math.exp(-RATE * YEARS) * (FORWARD - strike), 6);
+        // and their deltas differ by the discount factor
+        expect(call.delta - put.delta).toBeCloseTo(Math.exp(-RATE * YEARS), 10);
+    });
+
+    test('Greeks have the signs of a long option', () => {
+        const call = black76('call', FORWARD, 9500, YEARS, VOLATILITY, RATE);
+        const put = black76('put', FORWARD, 8500, YEARS, VOLATILITY, RATE);
+
+        expect(call.delta).toBeGreaterThan(0);
+        expect(call.delta).toBeLessThan(1);
+        expect(put.delta).toBeLessThan(0);
+        expect(put.delta).toBeGreaterThan(-1);
+        [call, put].forEach(option => {
+            expect(option.price).toBeGreaterThan(0);
+            expect(option.gamma).toBeGreaterThan(0);
+            expect(option.vega).toBeGreaterThan(0);
+            expect(option.theta).toBeLessThan(0);
+        });
+    });
+
+    test('calls and puts at the same strike share gamma and vega', () => {
+        const call = black76('call', FORWARD, 9200, YEARS, VOLATILITY, RATE);
+        const put = black76('put', FORWARD, 9200, YEARS, VOLATILITY, RATE);
+
+        expect(call.gamma).toBeCloseTo(put.gamma, 12);
+        expect(call.vega).toBeCloseTo(put.vega, 8);
+    });
+
+    test('delta matches the finite-difference slope of the price', () => {
+        const bump = 1;
+        const up = black76('call', FORWARD + bump, 9200, YEARS, VOLATILITY, RATE).price;
+        const down = black76('call', FORWARD - bump, 9200, YEARS, VOLATILITY, RATE).price;
+
+        expect(black76('call', FORWARD, 9200, YEARS, VOLATILITY, RATE).delta).toBeCloseTo((up - down) / (2 * bump), 4);
+    });
+
+    test('an expired option is worth its intrinsic value', () => {
+        expect(black76('call', FORWARD, 8000, 0, VOLATILITY, RATE)).toEqual({ price: 1000, delta: 1, gamma: 0, vega: 0, theta: 0 });
+        expect(black76('put', FORWARD, 8000, 0, VOLATILITY, RATE)).toEqual({ price: 0, delta: 0, gamma: 0, vega: 0, theta: 0 });
+    });
+});
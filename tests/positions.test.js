@@ -0,0 +1,94 @@
+process.env.BCRYPT_ROUNDS = '4';
+
+const Database = require('../database/database');
+const { recordFill, reducePosition, validateClosePrice } = require('../services/positions');
+
+describe('reducePosition', () => {
+    let db;
+    let userId;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = await new Database(':memory:').init();
+        userId = (await db.get('SELECT id FROM users WHERE role = ?', ['admin'])).id;
+    });
+
+    afterAll(async () => {
+        await db.close();
+        console.log.mockRestore();
+    });
+
+    const open = async (positionType, quantity, entryPrice) => {
+        const result = await db.run(`
+            INSERT INTO hedging_positions (
+                user_id, metal_type, position_type, quantity, entry_price,
+                contract_date, expiry_date, currency, entry_fx_rate, quantity_unit, unit_quantity
+            ) VALUES (?, 'COPPER', ?, ?, ?, '2026-10-19', '2026-12-16', 'USD', 1, 't', ?)
+        `, [userId, positionType, quantity, entryPrice, quantity]);
+        await recordFill(db, { id: result.id, user_id: userId }, {
+            fillType: 'open', quantity, price: entryPrice, entryPrice, entryFxRate: 1
+        });
+        return result.id;
+    };
+    const position = id => db.get('SELECT * FROM hedging_positions WHERE id = ?', [id]);
+    const fills = id => db.all('SELECT * FROM position_fills WHERE position_id = ? ORDER BY id', [id]);
+
+    test('realizes P&L on the reduced quantity and keeps the rest open at the same entry', async () => {
+        const id = await open('long', 50, 8000);
+
+        const reduced = await reducePosition(db, await position(id), { quantity: 20, closePrice: 8500 });
+
+        expect(reduced.finalPnL).toBeCloseTo(20 * 500, 6);
+        expect(reduced.remainingQuantity).toBe(30);
+        const remaining = await position(id);
+        expect(remaining).toMatchObject({ status: 'active', quantity: 30, entry_price: 8000 });
+        const reduceFill = (await fills(id)).pop();
+        expect(reduceFill).toMatchObject({ fill_type: 'reduce', quantity: 20, price: 8500 });
+        expect(reduceFill.realized_pnl).toBeCloseTo(10000, 6);
+    });
+
+    test('closing the rest stores the lifetime P&L of every fill', async () => {
+        const id = await open('long', 50, 8000);
+        await reducePosition(db, await position(id), { quantity: 20, closePrice: 8500 });
+
+        const closed = await reducePosition(db, await position(id), { quantity: 30, closePrice: 7900 });
+
+        expect(closed.finalPnL).toBeCloseTo(30 * -100, 6);
+        expect(closed.remainingQuantity).toBe(0);
+        const final = await position(id);
+        expect(final.status).toBe('closed');
+        expect(final.profit_loss).toBeCloseTo(10000 - 3000, 6);
+        expect((await fills(id)).map(fill => fill.fill_type)).toEqual(['open', 'reduce', 'close']);
+    });
+
+    test('a short position gains when it is bought back lower', async () => {
+        const id = await open('short', 40, 2500);
+
+        const reduced = await reducePosition(db, await position(id), { quantity: 10, closePrice: 2400 });
+
+        expect(reduced.finalPnL).toBeCloseTo(10 * 100, 6);
+        expect((await position(id)).quantity).toBe(30);
+    });
+
+    test('does nothing to a position changed since it was read', async () => {
+        const id = await open('long', 50, 8000);
+        const stale = await position(id);
+        await reducePosition(db, stale, { quantity: 10, closePrice: 8100 });
+
+        expect(await reducePosition(db, stale, { quantity: 10, closePrice: 8100 })).toBeNull();
+        expect((await position(id)).quantity).toBe(40);
+    });
+});
+
+describe('validateClosePrice', () => {
+    test('accepts a missing or positive close price', () => {
+        expect(validateClosePrice(undefined)).toBeNull();
+        expect(validateClosePrice(null)).toBeNull();
+        expect(validateClosePrice(8500)).toBeNull();
+        expect(validateClosePrice('8500.5')).toBeNull();
+    });
+
+    test.each(['abc', '', 0, -10, Infinity, {}])('rejects %p', closePrice => {
+        expect(validateClosePrice(closePrice)).toBe('Close price must be a positive number');
+    });
+});
@@ -0,0 +1,45 @@
+const { ewmaVolatility, correlation, linearRegression } = require('../services/statistics');
+
+const series = values => values.map((value, i) => ({ date: `2026-10-${String(i + 1).padStart(2, '0')}`, value }));
+
+describe('ewmaVolatility', () => {
+    test('is the absolute return when returns do not change size', () => {
+        expect(ewmaVolatility(series([0.01, -0.01, 0.01, -0.01]), 0.94)).toBeCloseTo(0.01, 12);
+    });
+
+    test('weights the latest return by 1 - lambda', () => {
+        const variance = 0.94 * 0.01 ** 2 + 0.06 * 0.03 ** 2;
+        expect(ewmaVolatility(series([0.01, 0.03]), 0.94)).toBeCloseTo(Math.sqrt(variance), 12);
+    });
+
+    test('is null without returns', () => {
+        expect(ewmaVolatility([], 0.94)).toBeNull();
+    });
+});
+
+describe('correlation', () => {
+    test('is 1 for series moving together and -1 for opposite ones', () => {
+        const a = series([0.01, -0.02, 0.015, 0.003, -0.007]);
+        expect(correlation(a, series([0.02, -0.04, 0.03, 0.006, -0.014]))).toBeCloseTo(1, 12);
+        expect(correlation(a, series([-0.01, 0.02, -0.015, -0.003, 0.007]))).toBeCloseTo(-1, 12);
+    });
+
+    test('only pairs returns from shared dates', () => {
+        const a = series([0.01, -0.02, 0.015, 0.003]);
+        const b = series([0.02, -0.04, 0.03, 0.006]).slice(0, 2);
+        expect(correlation(a, b)).toBeNull();
+    });
+});
+
+describe('linearRegression', () => {
+    test('recovers an exact line', () => {
+        const fit = linearRegression([1, 2, 3, 4], [-1, -3, -5, -7]);
+        expect(fit.slope).toBeCloseTo(-2, 12);
+        expect(fit.intercept).toBeCloseTo(1, 12);
+        expect(fit.rSquared).toBeCloseTo(1, 12);
+    });
+
+    test('is null without variation in x', () => {
+        expect(linearRegression([1, 1, 1], [1, 2, 3])).toBeNull();
+    });
+});
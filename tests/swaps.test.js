@@ -0,0 +1,35 @@
+const { averagingPeriod, averageWithRemainingAt } = require('../services/swaps');
+
+describe('averageWithRemainingAt', () => {
+    // 20 days: 15 known at an average of 9000, 5 remaining at 9400
+    const status = {
+        totalDays: 20,
+        remainingDays: 5,
+        remainingAverage: 9400,
+        averagePrice: (15 * 9000 + 5 * 9400) / 20
+    };
+
+    test('reprices only the remaining days', () => {
+        expect(averageWithRemainingAt(status, 8400)).toBeCloseTo((15 * 9000 + 5 * 8400) / 20, 8);
+    });
+
+    test('keeps the average at the remaining days\' own price', () => {
+        expect(averageWithRemainingAt(status, 9400)).toBeCloseTo(status.averagePrice, 8);
+    });
+
+    test('leaves a fully priced average unchanged', () => {
+        const final = { totalDays: 20, remainingDays: 0, remainingAverage: null, averagePrice: 9050 };
+        expect(averageWithRemainingAt(final, 5000)).toBe(9050);
+    });
+});
+
+describe('averagingPeriod', () => {
+    test('runs from the first to the last business day of the month', () => {
+        expect(averagingPeriod('2026-11')).toEqual({ start: '2026-11-02', end: '2026-11-30' });
+    });
+
+    test('rejects anything but a YYYY-MM month', () => {
+        expect(averagingPeriod('2026-13')).toBeNull();
+        expect(averagingPeriod('November')).toBeNull();
+    });
+});
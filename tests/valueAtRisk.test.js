@@ -0,0 +1,52 @@
+const { scenarioVaR, parametricVaR } = require('../services/valueAtRisk');
+const { normalPdf, normalInverse } = require('../utils/normal');
+
+describe('scenarioVaR', () => {
+    test('takes VaR and ES from the tail of the loss distribution', () => {
+        // Losses of 1 to 100, one scenario each
+        const scenarios = Array.from({ length: 100 }, (_, i) => [-(i + 1)]);
+        const result = scenarioVaR(['COPPER'], { COPPER: 1000 }, scenarios, 0.95);
+
+        expect(result.valueAtRisk).toBe(95);
+        expect(result.expectedShortfall).toBe(97.5);
+        expect(result.components).toEqual([
+            { metal: 'COPPER', exposure: 1000, componentVaR: 95, marginalVaR: 0.095, percentage: 100 }
+        ]);
+    });
+
+    test('matches the normal quantiles for normally distributed P&L', () => {
+        const sigma = 10000;
+        const count = 20000;
+        const scenarios = Array.from({ length: count }, (_, i) => [sigma * normalInverse((i + 0.5) / count)]);
+        const result = scenarioVaR(['COPPER'], { COPPER: 1 }, scenarios, 0.99);
+
+        const z = normalInverse(0.99);
+        expect(result.valueAtRisk / (z * sigma)).toBeCloseTo(1, 2);
+        expect(result.expectedShortfall / (sigma * normalPdf(z) / 0.01)).toBeCloseTo(1, 2);
+    });
+
+    test('splits VaR between metals in proportion to their tail losses', () => {
+        // Zinc always loses three times what copper does
+        const scenarios = Array.from({ length: 100 }, (_, i) => [-(i + 1), -3 * (i + 1)]);
+        const result = scenarioVaR(['COPPER', 'ZINC'], { COPPER: 1, ZINC: 3 }, scenarios, 0.95);
+
+        expect(result.valueAtRisk).toBe(380);
+        expect(result.components.map(component => component.componentVaR)).toEqual([95, 285]);
+        expect(result.components.map(component => component.percentage)).toEqual([25, 75]);
+    });
+
+    test('is zero without scenarios', () => {
+        expect(scenarioVaR(['COPPER'], { COPPER: 1 }, [], 0.95)).toEqual({ valueAtRisk: 0, expectedShortfall: 0, components: [] });
+    });
+});
+
+describe('parametricVaR', () => {
+    test('is z times the standard deviation of the portfolio', () => {
+        // Two uncorrelated exposures of 30000 and 40000 with unit volatility: sigma 50000
+        const covariance = [[1, 0], [0, 1]];
+        const result = parametricVaR(['COPPER', 'ZINC'], { COPPER: 30000, ZINC: 40000 }, covariance, 0.95);
+
+        expect(result.valueAtRisk).toBeCloseTo(normalInverse(0.95) * 50000, 1);
+        expect(result.components.reduce((sum, component) => sum + component.componentVaR, 0)).toBeCloseTo(result.valueAtRisk, 1);
+    });
+});
@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+// CRLF line endings. Returns one { line, record } per data row, with the
+// record keyed by the header and line the source line the row starts on
+// (blank lines are skipped but still counted).
+function parseCsvLines(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let lineNumber = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') lineNumber++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = '';
+            lineNumber++;
+            rowLine = lineNumber;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+    }
+
+    const nonEmpty = rows.filter(r => r.values.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].values.map(name => name.trim().toLowerCase());
+    return nonEmpty.slice(1).map(({ line, values }) => {
+        const record = {};
+        header.forEach((name, index) => {
+            record[name] = values[index] !== undefined ? values[index].trim() : '';
+        });
+        return { line, record };
+    });
+}
+
+// As parseCsvLines, returning only the records
+function parseCsv(text) {
+    return parseCsvLines(text).map(({ record }) => record);
+}
+
+function formatField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format rows (arrays of values) as CSV text with CRLF line endings
+function formatCsv(rows) {
+    return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, parseCsvLines, formatCsv };